@@ -29,10 +29,24 @@ export default [
       ...react.configs['jsx-runtime'].rules,
       ...reactHooks.configs.recommended.rules,
       'react/jsx-no-target-blank': 'off',
+      'react/prop-types': 'off', // component props are documented with JSDoc
       'react-refresh/only-export-components': [
         'warn',
         { allowConstantExport: true },
       ],
     },
   },
+  {
+    files: ['src/service-worker.js'],
+    languageOptions: {
+      globals: {
+        ...globals.serviceworker,
+        __SW_BUILD__: 'readonly', // filled in by the build, see vite.config.js
+      },
+    },
+  },
+  {
+    files: ['scripts/**/*.js'],
+    languageOptions: { globals: globals.node },
+  },
 ]
@@ -0,0 +1,126 @@
+/**
+ * In-memory sync server for trying out and testing the optional sync locally
+ * Implements the protocol described in `src/sync.js`: every accepted change gets the next
+ * sequence number, which pulls use as their cursor, and only the latest change of each
+ * record is kept
+ *
+ * Usage: `npm run sync-server`, then enter `http://localhost:8787` as the sync endpoint
+ * `PORT` changes the port and `SYNC_TOKEN` makes the server require that bearer token
+ * @module mock-sync-server
+ */
+
+import {createServer} from 'node:http';
+
+const PORT = Number(process.env.PORT) || 8787;
+const TOKEN = process.env.SYNC_TOKEN ?? '';
+
+/** Maximum number of changes returned by one pull */
+const MAX_LIMIT = 1000;
+
+/** @type {Map<string, Object>} Latest change of every record, keyed by store and syncId */
+const changes = new Map();
+let sequence = 0;
+
+/**
+ * Sends a JSON response that any origin may read
+ * @param {import('node:http').ServerResponse} response - Response to send
+ * @param {number} status - HTTP status code
+ * @param {Object} [body] - Response body
+ * @returns {void}
+ */
+const send = (response, status, body) => {
+    response.writeHead(status, {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        ...(body && { 'Content-Type': 'application/json' }),
+    });
+    response.end(body && JSON.stringify(body));
+};
+
+/**
+ * Reads and parses a JSON request body
+ * @param {import('node:http').IncomingMessage} request - Incoming request
+ * @returns {Promise<Object>} A promise that resolves with the parsed body
+ * @throws {SyntaxError} When the body is not valid JSON
+ */
+const readBody = async (request) => {
+    const chunks = [];
+    for await (const chunk of request) chunks.push(chunk);
+    return JSON.parse(Buffer.concat(chunks).toString() || '{}');
+};
+
+/**
+ * Returns the changes made after a cursor, oldest first
+ * @param {URLSearchParams} params - `since` cursor and optional `limit`
+ * @returns {{changes: Array<Object>, cursor: number, more: boolean}} Pull response
+ */
+const pull = (params) => {
+    const since = Number(params.get('since')) || 0;
+    const limit = Math.min(Number(params.get('limit')) || MAX_LIMIT, MAX_LIMIT);
+    const newer = [...changes.values()].filter((change) => change.seq > since).sort((a, b) => a.seq - b.seq);
+    const page = newer.slice(0, limit);
+    return {
+        changes: page.map(({ syncId, store, record, deleted, updatedAt }) => ({ syncId, store, record, deleted, updatedAt })),
+        cursor: page.length > 0 ? page[page.length - 1].seq : since,
+        more: newer.length > page.length,
+    };
+};
+
+/**
+ * Stores pushed changes, rejecting those older than the change the server already has
+ * @param {Array<Object>} pushed - Pushed changes
+ * @returns {{accepted: string[], rejected: string[]}} syncIds of the accepted and rejected changes
+ */
+const push = (pushed) => {
+    const result = { accepted: [], rejected: [] };
+    pushed.forEach((change) => {
+        const key = `${change.store}:${change.syncId}`;
+        const existing = changes.get(key);
+        if (existing && existing.updatedAt > change.updatedAt) {
+            result.rejected.push(change.syncId);
+            return;
+        }
+        changes.set(key, { ...change, seq: ++sequence });
+        result.accepted.push(change.syncId);
+    });
+    return result;
+};
+
+const server = createServer(async (request, response) => {
+    const url = new URL(request.url, `http://${request.headers.host}`);
+    if (request.method === 'OPTIONS') {
+        send(response, 204);
+        return;
+    }
+    if (TOKEN && request.headers.authorization !== `Bearer ${TOKEN}`) {
+        send(response, 401, { error: 'Unauthorized' });
+        return;
+    }
+    if (url.pathname !== '/changes') {
+        send(response, 404, { error: 'Not found' });
+        return;
+    }
+    if (request.method === 'GET') {
+        send(response, 200, pull(url.searchParams));
+        return;
+    }
+    if (request.method !== 'POST') {
+        send(response, 405, { error: 'Method not allowed' });
+        return;
+    }
+    try {
+        const body = await readBody(request);
+        if (!Array.isArray(body.changes)) {
+            send(response, 400, { error: 'Expected { changes: [] }' });
+            return;
+        }
+        send(response, 200, push(body.changes));
+    } catch {
+        send(response, 400, { error: 'Invalid JSON' });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock sync server listening on http://localhost:${PORT}`);
+});
@@ -1,80 +1,87 @@
-import {useState, useEffect, useMemo} from 'react';
+import {useState, useEffect, useLayoutEffect, useMemo} from 'react';
 import {Chart} from 'chart.js/auto';
-import {Button, TextField, MenuItem, Box, Typography, Paper, Container, Grid} from '@mui/material';
-import {createTheme, ThemeProvider, styled} from '@mui/material/styles';
-import IDBWrapper from './idb';
-
-const expenseDB = new IDBWrapper('ExpenseTrackerDB', 'expenses');
-
-/**
- * Material-UI theme configuration for the expense tracker
- * Defines a custom theme with primary color (green) and secondary color (white)
- * Includes dark mode adjustments and hover states
- * @type {import('@mui/material').Theme}
- */
-const theme = createTheme({
-    palette: {
-        primary: {
-            main: '#4caf50', /* Green */
-            dark: '#434d55',
-        },
-        secondary: {
-            main: '#ffffff', /* White */
-        },
-    },
-});
-
-/**
- * Styled button component with custom variants for regular and delete actions
- * Handles different states (hover, active) and color schemes based on variant
- * @component
- * @param {Object} props - Component props
- * @param {Object} props.theme - Material-UI theme object
- * @param {'delete' | undefined} props.variant - Button variant
- * @returns {JSX.Element} Styled button component
- */
-const StyledButton = styled(Button)(({ theme, variant }) => ({
-    ...(variant === 'delete' && {
-        backgroundColor: theme.palette.secondary.main,
-        color: 'Maroon',
-        border: `1px solid Maroon`,
-        '&:hover': {
-            backgroundColor: 'Maroon', /* Dark red on hover */
-            color: 'white',
-            border: `1px solid Maroon`,
-        },
-    }),
-    ...(!variant && {
-        backgroundColor: theme.palette.secondary.main,
-        color: theme.palette.primary.main,
-        border: `1px solid ${theme.palette.primary.main}`,
-        '&:hover': {
-            backgroundColor: theme.palette.primary.main,
-            color: theme.palette.secondary.main,
-        },
-    }),
-}));
-
-/* Custom styled TextField */
-const StyledTextField = styled(TextField)(({theme}) => ({
-    '& .MuiInputLabel-root': {
-        color: theme.palette.primary.main, /* Label color */
-    },
-    '& .MuiOutlinedInput-root': {
-        '& fieldset': {
-            borderColor: theme.palette.primary.main, /* Border color */
-        },
-        '&:hover fieldset': {
-            borderColor: theme.palette.primary.dark, /* Border color on hover */
-        },
-        '&.Mui-focused fieldset': {
-            borderColor: theme.palette.primary.main, /* Border color when focused */
-        },
-    },
-    '& .MuiInputBase-input': {
-        color: theme.palette.primary.main, /* Input text color */
-    },
-}));
+import {
+    MenuItem,
+    Box,
+    Typography,
+    Paper,
+    Container,
+    Grid,
+    TableSortLabel,
+    Checkbox,
+    FormControlLabel,
+    ToggleButton,
+    ToggleButtonGroup,
+    Chip,
+    CssBaseline,
+} from '@mui/material';
+import {ThemeProvider} from '@mui/material/styles';
+import {CacheProvider} from '@emotion/react';
+import {expenseDB} from './db';
+import {connectionEvents} from './idb';
+import {createAppTheme, styleCache, themeChart, StyledButton, StyledTextField} from './styles';
+import {categoryLabel, categoryTotals, loadCategories, resolveCategory} from './categories';
+import {
+    ENTRY_KINDS,
+    isIncome,
+    isValidDate,
+    loadExpensesBetween,
+    toDateString,
+    updateExpenses,
+    validateExpense,
+} from './expenses';
+import {
+    SORT_FIELDS,
+    applyFilter,
+    hasPeriod,
+    isInPeriod,
+    parseFilterQuery,
+    periodBounds,
+    sortExpenses,
+    toFilterQuery,
+} from './filters';
+import {loadTemplates, materializeRecurring} from './recurring';
+import {TOTAL_BUDGET, findBudgetOverruns, loadBudgetStatus, loadBudgets} from './budgets';
+import {CURRENCIES, createConverter, loadRates} from './currency';
+import {restoreExpenses, trashExpenses} from './trash';
+import {EMPTY_ATTACHMENT_INPUT, loadAttachments, prepareAttachments, saveAttachments} from './attachments';
+import {EMPTY_SPLIT_INPUT, loadPeople, parseSplitInput, personName, toSplitInput} from './splits';
+import {amountStep, amountToInput, formatMoney, parseAmount, setCurrencyDisplay} from './money';
+import {DEFAULT_SETTINGS, loadSettings, saveSetting} from './settings';
+import {
+    LANGUAGES,
+    detectLanguage,
+    formatDate,
+    getLocale,
+    localizeChart,
+    setLanguage,
+    t,
+    textDirection,
+} from './i18n';
+import {cashFlowTotals} from './cashflow';
+import {loadTaggedExpenses, loadTags, normalizeTags} from './tags';
+import CategoryManager from './category-manager';
+import PreferencesManager from './preferences-manager';
+import BudgetManager from './budget-manager';
+import BudgetProgress from './budget-progress';
+import RecurringManager from './recurring-manager';
+import ImportExport from './import-export';
+import CurrencyManager from './currency-manager';
+import SyncManager from './sync-manager';
+import TrashView from './trash-view';
+import BulkActions from './bulk-actions';
+import SplitFields from './split-fields';
+import BalancesView from './balances-view';
+import AttachmentFields from './attachment-fields';
+import AttachmentThumbnails from './attachment-thumbnails';
+import AttachmentViewer from './attachment-viewer';
+import ExpenseFilters from './expense-filters';
+import ReportsView from './reports-view';
+import CashFlowView from './cash-flow-view';
+import TagInput from './tag-input';
+import TagChart from './tag-chart';
+import UpdatePrompt from './update-prompt';
+import UndoSnackbar from './undo-snackbar';
 
 /**
  * Main ExpenseTracker component that handles expense management and visualization
@@ -83,40 +90,117 @@ const StyledTextField = styled(TextField)(({theme}) => ({
  */
 const ExpenseTracker = () => {
     const [formData, setFormData] = useState({
+        kind: 'expense',
         amount: '',
-        category: 'food',
+        /* Left empty until the categories are loaded, so the select never holds a key it does not list */
+        category: '',
         description: '',
         date: '',
+        currency: '',
+        tags: [],
+        notes: '',
     });
-    const [monthYear, setMonthYear] = useState('');
+    /* The list filter lives in the URL query string, so a filtered view can be bookmarked */
+    const [filter, setFilter] = useState(() => parseFilterQuery(window.location.search));
     const [expenses, setExpenses] = useState([]);
     const [message, setMessage] = useState({ text: '', type: '' });
+    const [undoAction, setUndoAction] = useState(null);
     const [pieChart, setPieChart] = useState(null);
+    const [editingId, setEditingId] = useState(null);
+    const [selectedIds, setSelectedIds] = useState(() => new Set());
+    const [splitInput, setSplitInput] = useState(EMPTY_SPLIT_INPUT);
+    const [people, setPeople] = useState([]);
+    const [attachmentInput, setAttachmentInput] = useState(EMPTY_ATTACHMENT_INPUT);
+    const [viewedAttachment, setViewedAttachment] = useState(null);
+    /* Tags in use, suggested in the form and offered by the tag filter */
+    const [knownTags, setKnownTags] = useState([]);
+
+    const [categories, setCategories] = useState([]);
+    const [budgets, setBudgets] = useState([]);
+    const [budgetStatus, setBudgetStatus] = useState([]);
+    const [templates, setTemplates] = useState([]);
+    const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+    const [rates, setRates] = useState([]);
+    /* Count of changes other tabs made per store; the loaders below reload when their count moves */
+    const [revisions, setRevisions] = useState({});
+    /* Color scheme of the browser, followed while the theme preference is `system` */
+    const [prefersDark, setPrefersDark] = useState(() => window.matchMedia('(prefers-color-scheme: dark)').matches);
+
+    const { baseCurrency } = settings;
+    const language = settings.language || detectLanguage();
+    /* Language and currency display the formatters were switched to; a change renders the page again */
+    const [, setAppliedLocale] = useState('');
+
+    /**
+     * Switches the formatters to the chosen language and currency display before the page is painted,
+     * then renders it again so every component and formatter shows them
+     * @returns {void}
+     */
+    useLayoutEffect(() => {
+        setLanguage(language);
+        setCurrencyDisplay(settings.currencyDisplay);
+        setAppliedLocale(`${language}:${settings.currencyDisplay}`);
+    }, [language, settings.currencyDisplay]);
+
+    const direction = textDirection(language);
+    const paletteMode = settings.theme === 'system' ? (prefersDark ? 'dark' : 'light') : settings.theme;
+    const appTheme = useMemo(() => createAppTheme(paletteMode, direction), [paletteMode, direction]);
+    /* Month shown by the budget progress and offered to the budget and export panels */
+    const monthYear = filter.period === 'month' ? filter.month : '';
+    /* Converts an expense to the base currency, or returns null when no rate is known */
+    const toBase = useMemo(() => createConverter(baseCurrency, rates), [baseCurrency, rates]);
+    /* The loaded expenses of the filter's period, narrowed by the other filters and sorted */
+    const visibleExpenses = useMemo(
+        () => sortExpenses(
+            applyFilter(expenses, filter, baseCurrency, toBase),
+            filter,
+            (key) => resolveCategory(categories, key).label,
+            toBase
+        ),
+        [expenses, filter, baseCurrency, toBase, categories]
+    );
+    const unconvertedCount = visibleExpenses.filter((expense) => toBase(expense) === null).length;
+    /* Income, spending and net of the list */
+    const cashFlow = useMemo(() => cashFlowTotals(visibleExpenses, toBase), [visibleExpenses, toBase]);
+    /* Batch actions only apply to selected expenses the list still shows */
+    const selectedExpenses = visibleExpenses.filter((expense) => selectedIds.has(expense.id));
+    const allSelected = visibleExpenses.length > 0 && selectedExpenses.length === visibleExpenses.length;
+    /* Batch recategorizing keeps income and expenses apart, so a mixed selection has no targets */
+    const bulkCategories = categories.filter(
+        (c) => !c.archived && selectedExpenses.every((expense) => isIncome(expense) === isIncome(c))
+    );
 
-    const CATEGORIES = useMemo(() => ({
-        food: 'Food',
-        transportation: 'Transportation',
-        utilities: 'Utilities',
-        entertainment: 'Entertainment',
-        other: 'Other',
-    }), []); // Empty dependency array since categories are constant
+    const isIncomeForm = formData.kind === 'income';
+    /* Categories of the form's kind; archived ones stay selectable only for the entry being edited */
+    const activeCategories = useMemo(
+        () => categories.filter((c) => isIncome(c) === isIncomeForm && (!c.archived || c.key === formData.category)),
+        [categories, formData.category, isIncomeForm]
+    );
+    /* Recurring expenses and budgets only apply to spending */
+    const expenseCategories = useMemo(() => categories.filter((c) => !isIncome(c)), [categories]);
 
-    const CHART_COLORS = useMemo(() => ({
-        food: '#cc184e',
-        transportation: '#0066cc',
-        utilities: '#f18e04',
-        entertainment: '#0d6b10',
-        other: '#6619b5',
-    }), []); // Empty dependency array since colors are constant
+    /**
+     * Picks the category a new entry of a kind starts in
+     * @param {string} kind - One of the ENTRY_KINDS keys
+     * @returns {string} Key of the preferred expense category while it is active, else of the first active category
+     * of that kind, or an empty string while the categories are not loaded
+     */
+    const defaultCategory = (kind) => {
+        if (kind === 'expense' && expenseCategories.some((c) => c.key === settings.defaultCategory && !c.archived)) {
+            return settings.defaultCategory;
+        }
+        return categories.find((c) => !c.archived && isIncome(c) === (kind === 'income'))?.key ?? '';
+    };
+    const defaultExpenseCategory = defaultCategory('expense');
 
     /**
      * Displays a temporary message to the user with optional type styling
-     * @param {string} text - Message content to display
+     * @param {string} text - Message content to display, in English or already translated
      * @param {'success' | 'error'} [type='success'] - Message type that determines styling
      * @returns {void}
      */
     const showMessage = (text, type = 'success') => {
-        setMessage({ text, type });
+        setMessage({ text: t(text), type });
         setTimeout(() => setMessage({ text: '', type: '' }), 3000);
     };
 
@@ -126,7 +210,64 @@ const ExpenseTracker = () => {
     };
 
     /**
-     * Handles form submission to add a new expense
+     * Switches the form between expense and income, moving to a category of the new kind
+     * Income is never shared, so the split is cleared
+     * @param {string|null} kind - One of the ENTRY_KINDS keys, or null when the active button is clicked again
+     * @returns {void}
+     */
+    const changeKind = (kind) => {
+        if (!kind || kind === formData.kind) return;
+        setFormData((prev) => ({ ...prev, kind, category: defaultCategory(kind) }));
+        setSplitInput(EMPTY_SPLIT_INPUT);
+    };
+
+    /**
+     * Resets the form to its initial state and leaves edit mode
+     * @returns {void}
+     */
+    const resetForm = () => {
+        setFormData({
+            kind: 'expense',
+            amount: '',
+            category: defaultExpenseCategory,
+            description: '',
+            date: settings.defaultDateToday ? toDateString() : '',
+            currency: '',
+            tags: [],
+            notes: '',
+        });
+        setSplitInput(EMPTY_SPLIT_INPUT);
+        setAttachmentInput(EMPTY_ATTACHMENT_INPUT);
+        setEditingId(null);
+    };
+
+    /**
+     * Asks for confirmation when an expense would push its category or the overall budget over the limit
+     * @param {Object} expense - Expense about to be saved
+     * @param {Object} [previous] - Stored version of the expense when it is being edited
+     * @returns {Promise<boolean>} True when the expense should be saved
+     */
+    const confirmBudgets = async (expense, previous) => {
+        const statuses = await loadBudgetStatus(budgets, expense.date.slice(0, 7), toBase);
+        const overruns = findBudgetOverruns(statuses, expense, previous, toBase);
+        if (overruns.length === 0) {
+            return true;
+        }
+        const details = overruns.map((status) => {
+            const name = status.category === TOTAL_BUDGET
+                ? t('Overall')
+                : resolveCategory(categories, status.category).label;
+            return t('{name}: {spent} of {limit}', {
+                name,
+                spent: formatMoney(status.spent, baseCurrency),
+                limit: formatMoney(status.limit, baseCurrency),
+            });
+        });
+        return window.confirm(t('This expense goes over budget:\n{details}\n\nSave it anyway?', { details: details.join('\n') }));
+    };
+
+    /**
+     * Handles form submission to add a new expense or save an edited one
      * Validates input data and updates database and UI state
      * @param {React.FormEvent<HTMLFormElement>} e - Form submission event
      * @returns {Promise<void>}
@@ -135,117 +276,528 @@ const ExpenseTracker = () => {
     const addExpense = async (e) => {
         e.preventDefault();
         try {
-            if (!formData.amount || formData.amount <= 0) {
-                showMessage('Amount Must Be Greater Than 0', 'error');
+            const currency = formData.currency || baseCurrency;
+            const amount = parseAmount(formData.amount, currency);
+            const error = validateExpense({ ...formData, amount, currency }, categories);
+            if (error) {
+                showMessage(error, 'error');
                 return;
             }
-            if (!formData.description.trim()) {
-                showMessage('Description is required', 'error');
+            const { fields: shared, error: splitError } = isIncomeForm
+                ? { fields: null, error: null }
+                : parseSplitInput(splitInput, amount, currency, people);
+            if (splitError) {
+                showMessage(splitError, 'error');
                 return;
             }
-            if (!formData.date) {
-                showMessage('Date is required', 'error');
+            const addedAttachments = await prepareAttachments(attachmentInput.files);
+            const isEditing = editingId !== null;
+            /* Keep fields the form does not show, such as the recurrence of a generated expense */
+            const previous = isEditing ? await expenseDB.get(editingId) : undefined;
+            const newExpense = {
+                ...previous,
+                ...formData,
+                amount,
+                currency,
+                tags: normalizeTags(formData.tags),
+                notes: formData.notes.trim(),
+                ...shared,
+            };
+            if (!shared) {
+                delete newExpense.paidBy;
+                delete newExpense.split;
+            }
+            /* Empty tags and notes are left out, like the other optional fields */
+            if (newExpense.tags.length === 0) {
+                delete newExpense.tags;
+            }
+            if (!newExpense.notes) {
+                delete newExpense.notes;
+            }
+            /* Only income is marked; records without a kind are expenses */
+            if (!isIncomeForm) {
+                delete newExpense.kind;
+            }
+            if (!(await confirmBudgets(newExpense, previous))) {
                 return;
             }
-            const newExpense = { ...formData, amount: parseFloat(formData.amount) };
             const id = await expenseDB.save(newExpense);
-            const updatedExpenses = [...expenses, {
-                ...newExpense,
-                id
-            }].sort((a, b) => new Date(b.date) - new Date(a.date));
+            if (addedAttachments.length > 0 || attachmentInput.removed.length > 0) {
+                await saveAttachments(id, addedAttachments, attachmentInput.removed);
+            }
+            /* Only the filter's period is loaded, so an expense moved out of it leaves the list */
+            const otherExpenses = expenses.filter((expense) => expense.id !== id);
+            const updatedExpenses = isInPeriod(newExpense.date, filter)
+                ? [...otherExpenses, { ...newExpense, id }]
+                : otherExpenses;
             setExpenses(updatedExpenses);
-            setFormData({ amount: '', category: 'food', description: '', date: '' });
-            showMessage('Expense Added Successfully!');
+            resetForm();
+            const noun = ENTRY_KINDS[formData.kind];
+            showMessage(isEditing ? `${noun} Updated Successfully!` : `${noun} Added Successfully!`);
         } catch (error) {
-            showMessage(error.message);
+            showMessage(error.message, 'error');
         }
     };
 
     /**
-     * Deletes an expense from the database and updates the UI
-     * Prompts for confirmation before deletion
+     * Loads an existing expense into the form for editing
+     * @param {Object} expense - Expense record to edit
+     * @returns {void}
+     */
+    const editExpense = (expense) => {
+        setFormData({
+            kind: isIncome(expense) ? 'income' : 'expense',
+            amount: amountToInput(expense.amount, expense.currency),
+            category: expense.category,
+            description: expense.description,
+            date: expense.date,
+            currency: expense.currency,
+            tags: expense.tags ?? [],
+            notes: expense.notes ?? '',
+        });
+        setSplitInput(toSplitInput(expense));
+        setAttachmentInput(EMPTY_ATTACHMENT_INPUT);
+        setEditingId(expense.id);
+        loadAttachments(expense.id)
+            .then((existing) => setAttachmentInput((prev) => ({ ...prev, existing })))
+            .catch((error) => {
+                console.error('Error loading attachments:', error);
+                showMessage('Failed to load attachments', 'error');
+            });
+    };
+
+    /**
+     * Moves an expense to the trash and updates the UI
+     * Offers to undo the deletion instead of asking for confirmation first
      * @param {string|number} id - Unique identifier of the expense to delete
      * @returns {Promise<void>}
      */
     const deleteExpense = async (id) => {
-        if (window.confirm('Are You Sure You Want To Delete This Expense?')) {
-            await expenseDB.delete(id);
-            const updatedExpenses = expenses.filter((expense) => expense.id !== id);
-            setExpenses(updatedExpenses);
-            showMessage('Expense Deleted Successfully!');
+        try {
+            await trashExpenses([id]);
+            setExpenses((prev) => prev.filter((expense) => expense.id !== id));
+            if (editingId === id) {
+                resetForm();
+            }
+            setUndoAction({ text: t('Expense Moved to Trash'), ids: [id] });
+        } catch (error) {
+            showMessage(error.message, 'error');
         }
     };
 
     /**
-     * Fetches expenses from IndexedDB on component mount
-     * Sorts expenses by date in descending order and updates state
+     * Selects or deselects one expense of the list
+     * @param {number} id - Key of the expense
+     * @returns {void}
+     */
+    const toggleSelected = (id) => {
+        setSelectedIds((prev) => {
+            const next = new Set(prev);
+            if (!next.delete(id)) next.add(id);
+            return next;
+        });
+    };
+
+    /**
+     * Selects every expense in the current view, or clears the selection when all are selected
+     * @returns {void}
+     */
+    const toggleAllSelected = () => {
+        setSelectedIds(allSelected ? new Set() : new Set(visibleExpenses.map((expense) => expense.id)));
+    };
+
+    /**
+     * Moves the selected expenses to the trash in one transaction
+     * @returns {Promise<void>}
+     */
+    const deleteSelected = async () => {
+        const ids = selectedExpenses.map((expense) => expense.id);
+        try {
+            const trashed = await trashExpenses(ids);
+            setExpenses((prev) => prev.filter((expense) => !ids.includes(expense.id)));
+            if (ids.includes(editingId)) {
+                resetForm();
+            }
+            setSelectedIds(new Set());
+            setUndoAction({ text: t('{count} Expense(s) Moved to Trash', { count: trashed.length }), ids });
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+    };
+
+    /**
+     * Applies the same change to the selected expenses in one transaction and updates the list;
+     * expenses moved out of the filter's period leave it, and a new category must match the kind of every one
+     * @param {Object} changes - Fields to overwrite
+     * @param {string} summary - Message shown afterwards, with a `{count}` placeholder for the
+     * number of changed expenses and any other placeholders filled from `params`
+     * @param {Object<string, *>} [params={}] - Values of the other placeholders
+     * @returns {Promise<void>}
+     */
+    const updateSelected = async (changes, summary, params = {}) => {
+        const fitsCategory = (expense) =>
+            categories.some((c) => c.key === changes.category && isIncome(c) === isIncome(expense));
+        if (changes.category !== undefined && !selectedExpenses.every(fitsCategory)) {
+            showMessage('Please choose a valid category', 'error');
+            return;
+        }
+        try {
+            const updated = await updateExpenses(selectedExpenses.map((expense) => expense.id), changes);
+            setExpenses((prev) => prev
+                .map((expense) => updated.find((u) => u.id === expense.id) ?? expense)
+                .filter((expense) => isInPeriod(expense.date, filter)));
+            setSelectedIds(new Set());
+            showMessage(t(summary, { ...params, count: updated.length }));
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+    };
+
+    /**
+     * Moves the selected expenses to another category
+     * @param {string} category - Category key
+     * @returns {Promise<void>}
+     */
+    const recategorizeSelected = (category) =>
+        updateSelected({ category }, '{count} Expense(s) Moved to {target}', {
+            target: resolveCategory(categories, category).label,
+        });
+
+    /**
+     * Moves the selected expenses to another date
+     * @param {string} date - Date in `YYYY-MM-DD` format
+     * @returns {Promise<void>}
+     */
+    const moveSelected = async (date) => {
+        if (!isValidDate(date)) {
+            showMessage('Date is not a valid date', 'error');
+            return;
+        }
+        await updateSelected({ date }, '{count} Expense(s) Moved to {target}', { target: formatDate(date) });
+    };
+
+    /**
+     * Restores the expenses of the last deletion from the trash
      * @returns {Promise<void>}
      */
+    const undoDelete = async () => {
+        const { ids } = undoAction;
+        setUndoAction(null);
+        try {
+            handleExpensesAdded(await restoreExpenses(ids));
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+    };
+
+    /**
+     * Sorts the list by a field, or reverses the order when it is already sorted by that field
+     * @param {string} field - One of the SORT_FIELDS keys
+     * @returns {void}
+     */
+    const changeSort = (field) => {
+        setFilter((prev) => ({
+            ...prev,
+            sort: field,
+            direction: prev.sort === field ? (prev.direction === 'asc' ? 'desc' : 'asc') : SORT_FIELDS[field],
+        }));
+    };
+
+    /**
+     * Replaces expenses whose category changed during a category merge, and reloads the budgets
+     * and recurring templates the merge moved along
+     * @param {Array<Object>} moved - Updated expense records
+     * @returns {void}
+     */
+    const handleExpensesMoved = (moved) => {
+        setExpenses((prev) => prev.map((expense) => moved.find((m) => m.id === expense.id) ?? expense));
+        setRevisions((prev) => ({ ...prev, budgets: (prev.budgets ?? 0) + 1, recurring: (prev.recurring ?? 0) + 1 }));
+    };
+
+    /**
+     * Switches the totals to a new base currency and reloads the budgets converted into it
+     * @param {string} currency - New base currency
+     * @returns {void}
+     */
+    const handleBaseCurrencyChange = (currency) => {
+        setSettings((prev) => ({ ...prev, baseCurrency: currency }));
+        setRevisions((prev) => ({ ...prev, budgets: (prev.budgets ?? 0) + 1 }));
+    };
+
+    /**
+     * Adds new expenses of the filter's period, e.g. imported or generated ones, and any
+     * categories created alongside them to the UI state
+     * @param {Array<Object>} stored - New expense records with their ids
+     * @param {Array<Object>} [addedCategories=[]] - Categories created with the expenses
+     * @returns {void}
+     */
+    const handleExpensesAdded = (stored, addedCategories = []) => {
+        setCategories((prev) => [...prev, ...addedCategories]);
+        setExpenses((prev) => [...prev, ...stored.filter((expense) => isInPeriod(expense.date, filter))]);
+    };
+
+    /**
+     * Reloads the expenses after a sync wrote changes pulled from the server
+     * @returns {void}
+     */
+    const handleExpensesSynced = () => {
+        setRevisions((prev) => ({ ...prev, expenses: (prev.expenses ?? 0) + 1 }));
+    };
+
+    /**
+     * Tells the user when another tab holds up or performs a database upgrade, and reloads
+     * the data other tabs changed
+     * @returns {void}
+     */
+    useEffect(() => {
+        const handleBlocked = () => showMessage('Please close other tabs of this app to finish updating', 'error');
+        const handleVersionChange = () => showMessage('The app was updated in another tab, please reload', 'error');
+        const handleChange = (e) => setRevisions((prev) => ({
+            ...prev,
+            ...Object.fromEntries(e.detail.stores.map((store) => [store, (prev[store] ?? 0) + 1])),
+        }));
+        connectionEvents.addEventListener('blocked', handleBlocked);
+        connectionEvents.addEventListener('versionchange', handleVersionChange);
+        connectionEvents.addEventListener('change', handleChange);
+        return () => {
+            connectionEvents.removeEventListener('blocked', handleBlocked);
+            connectionEvents.removeEventListener('versionchange', handleVersionChange);
+            connectionEvents.removeEventListener('change', handleChange);
+        };
+    }, []);
+
+    /**
+     * Loads categories from IndexedDB on mount and after another tab changed them
+     * @returns {void}
+     */
+    useEffect(() => {
+        loadCategories()
+            .then(setCategories)
+            .catch((error) => {
+                console.error('Error loading categories:', error);
+                showMessage('Failed to load categories', 'error');
+            });
+    }, [revisions.categories]);
+
+    /**
+     * Applies the preferred category and date to an untouched new entry once categories and
+     * settings are loaded or the preferences change
+     * @returns {void}
+     */
+    useEffect(() => {
+        setFormData((prev) => (prev.amount === '' && prev.description === '' && prev.kind === 'expense'
+            ? { ...prev, category: defaultExpenseCategory, date: settings.defaultDateToday ? toDateString() : '' }
+            : prev));
+    }, [defaultExpenseCategory, settings.defaultDateToday]);
+
+    /**
+     * Loads the people expenses are shared with on mount and after another tab changed them
+     * @returns {void}
+     */
+    useEffect(() => {
+        loadPeople()
+            .then(setPeople)
+            .catch((error) => {
+                console.error('Error loading people:', error);
+                showMessage('Failed to load people', 'error');
+            });
+    }, [revisions.people]);
+
+    /**
+     * Adds recurring expenses that are due or were missed since the last visit, then loads the templates
+     * @returns {void}
+     */
+    useEffect(() => {
+        materializeRecurring(toDateString())
+            .then((created) => {
+                if (created.length > 0) {
+                    showMessage(t('{count} Recurring Expense(s) Added', { count: created.length }));
+                }
+                return loadTemplates();
+            })
+            .then(setTemplates)
+            .catch((error) => {
+                console.error('Error generating recurring expenses:', error);
+                showMessage('Failed to generate recurring expenses', 'error');
+            });
+    }, []);
+
+    /**
+     * Reloads the templates after another tab changed them; that tab already generated any due expenses
+     * @returns {void}
+     */
+    useEffect(() => {
+        if (!revisions.recurring) return;
+        loadTemplates()
+            .then(setTemplates)
+            .catch((error) => console.error('Error loading recurring expenses:', error));
+    }, [revisions.recurring]);
+
+    /**
+     * Loads settings and exchange rates from IndexedDB on mount and after another tab changed them
+     * @returns {void}
+     */
+    useEffect(() => {
+        Promise.all([loadSettings(), loadRates()])
+            .then(([storedSettings, storedRates]) => {
+                setSettings(storedSettings);
+                setRates(storedRates);
+            })
+            .catch((error) => {
+                console.error('Error loading settings:', error);
+                showMessage('Failed to load settings', 'error');
+            });
+    }, [revisions.settings, revisions.rates]);
+
+    /**
+     * Loads budgets from IndexedDB on mount and after another tab changed them
+     * @returns {void}
+     */
+    useEffect(() => {
+        loadBudgets()
+            .then(setBudgets)
+            .catch((error) => {
+                console.error('Error loading budgets:', error);
+                showMessage('Failed to load budgets', 'error');
+            });
+    }, [revisions.budgets]);
+
+    /**
+     * Recomputes spent versus budget for the selected month whenever budgets or expenses change
+     * @returns {void}
+     */
+    useEffect(() => {
+        if (!monthYear) {
+            setBudgetStatus([]);
+            return undefined;
+        }
+        let cancelled = false;
+        loadBudgetStatus(budgets, monthYear, toBase)
+            .then((statuses) => {
+                if (!cancelled) setBudgetStatus(statuses);
+            })
+            .catch((error) => console.error('Error computing budgets:', error));
+        return () => {
+            cancelled = true;
+        };
+    }, [budgets, monthYear, expenses, toBase]);
+
+    /**
+     * Fetches the expenses of the filter's period from IndexedDB through the date index, or
+     * through the tags index when a tag is chosen
+     * Nothing is loaded until a month or week is selected; the other filters apply to the loaded expenses
+     * Reloads after another tab changed expenses, which also refreshes the totals and the chart
+     * @returns {void}
+     */
+    const { period, month, week, from, to, tag } = filter;
     useEffect(() => {
-        const fetchExpenses = async () => {
-            try {
-                const storedExpenses = await expenseDB.getAll();
-                const sortedExpenses = storedExpenses.sort((a, b) => new Date(b.date) - new Date(a.date));
-                setExpenses(sortedExpenses);
-            } catch (error) {
+        const selected = { period, month, week, from, to };
+        if (!hasPeriod(selected)) {
+            setExpenses([]);
+            return undefined;
+        }
+        let cancelled = false;
+        (tag ? loadTaggedExpenses(tag, periodBounds(selected)) : loadExpensesBetween(periodBounds(selected)))
+            .then((periodExpenses) => {
+                if (!cancelled) setExpenses(periodExpenses);
+            })
+            .catch((error) => {
                 console.error('Error fetching expenses:', error);
                 showMessage('Failed to load expenses', 'error');
-            }
+            });
+        /* Ignore results of a period that was changed before its query finished */
+        return () => {
+            cancelled = true;
         };
-        fetchExpenses().catch(error => {
-            console.error('Error in fetchExpenses effect:', error);
-            showMessage('Failed to load expenses', 'error');
-        });
-    }, []);
+    }, [period, month, week, from, to, tag, revisions.expenses]);
 
-    /* Adjustments for dark and light mode of the browser */
-    const [isDarkMode, setIsDarkMode] = useState(false);
+    /**
+     * Reloads the tags in use whenever the loaded expenses change
+     * @returns {void}
+     */
+    useEffect(() => {
+        let cancelled = false;
+        loadTags()
+            .then((loaded) => {
+                if (!cancelled) setKnownTags(loaded);
+            })
+            .catch((error) => console.error('Error loading tags:', error));
+        return () => {
+            cancelled = true;
+        };
+    }, [expenses]);
 
+    /**
+     * Mirrors the filter in the URL query string without adding history entries
+     * @returns {void}
+     */
     useEffect(() => {
-        const mediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
-        setIsDarkMode(mediaQuery.matches);
+        const { pathname, hash } = window.location;
+        window.history.replaceState(window.history.state, '', `${pathname}${toFilterQuery(filter)}${hash}`);
+    }, [filter]);
 
-        const handleChange = (e) => setIsDarkMode(e.matches);
+    /**
+     * Follows changes of the browser's color scheme
+     * @returns {Function} Cleanup that stops listening
+     */
+    useEffect(() => {
+        const mediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
+        const handleChange = (e) => setPrefersDark(e.matches);
         mediaQuery.addEventListener('change', handleChange);
 
         return () => mediaQuery.removeEventListener('change', handleChange);
     }, []);
 
-    /* Filter expenses based on the selected month and year */
-    const filteredExpenses = useMemo(() => {
-        if (!monthYear) return [];
-        return expenses.filter((expense) => {
-            const expenseDate = new Date(expense.date);
-            const [year, month] = monthYear.split('-').map(Number);
-            return (
-                expenseDate.getFullYear() === year &&
-                expenseDate.getMonth() === month - 1
-            );
-        });
-    }, [expenses, monthYear]);
+    /**
+     * Tells the browser the language and writing direction of the page, for screen readers,
+     * hyphenation and the layout of native controls
+     * @returns {void}
+     */
+    useEffect(() => {
+        document.documentElement.lang = getLocale();
+        document.documentElement.dir = direction;
+    }, [language, direction]);
+
+    /**
+     * Switches the interface language and remembers the choice
+     * @param {string} code - Language code, or an empty string to follow the browser
+     * @returns {Promise<void>}
+     */
+    const changeLanguage = async (code) => {
+        try {
+            await saveSetting('language', code);
+            setSettings((prev) => ({ ...prev, language: code }));
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+    };
 
     /**
      * Manages pie chart creation and updates
-     * Creates a new chart instance or updates existing one based on filtered expenses
+     * Creates a new chart instance or updates existing one based on the filtered expenses
      * Handles chart data formatting and display options
      * @effect
-     * @param {Array<Object>} filteredExpenses - Filtered expense data for selected month
-     * @param {string} monthYear - Selected month and year
+     * @param {Array<Object>} visibleExpenses - Expenses matching the active filter
+     * @param {Object} filter - Active filter
      * @returns {void}
      */
     useEffect(() => {
-        if (monthYear) {
-            const categoryTotals = filteredExpenses.reduce((acc, expense) => {
-                acc[expense.category] = (acc[expense.category] || 0) + expense.amount;
-                return acc;
-            }, {});
+        if (hasPeriod(filter)) {
+            const totals = categoryTotals(visibleExpenses, toBase);
+
+            /* Slices are integer minor units of the base currency; formatting is the only rounding */
+            const tooltipLabel = (context) => {
+                const label = context.label || '';
+                const value = context.raw || 0;
+                return `${label}: ${formatMoney(value, baseCurrency)}`;
+            };
 
             const data = {
-                labels: Object.keys(categoryTotals).map((key) => CATEGORIES[key]),
+                labels: Object.keys(totals).map((key) => resolveCategory(categories, key).label),
                 datasets: [
                     {
-                        data: Object.values(categoryTotals),
-                        backgroundColor: Object.keys(categoryTotals).map((key) => CHART_COLORS[key]),
+                        data: Object.values(totals),
+                        backgroundColor: Object.keys(totals).map((key) => resolveCategory(categories, key).color),
                     },
                 ],
             };
@@ -253,6 +805,9 @@ const ExpenseTracker = () => {
             if (pieChart) {
                 /* Update the existing chart data */
                 pieChart.data = data;
+                pieChart.options.plugins.tooltip.callbacks.label = tooltipLabel;
+                localizeChart(pieChart.options);
+                themeChart(pieChart.options, appTheme);
                 pieChart.update();
             } else {
                 /* Create a new chart if it doesn't exist */
@@ -260,7 +815,7 @@ const ExpenseTracker = () => {
                 const newPieChart = new Chart(ctx, {
                     type: 'pie',
                     data: data,
-                    options: {
+                    options: themeChart(localizeChart({
                         responsive: true,
                         plugins: {
                             legend: {
@@ -268,20 +823,16 @@ const ExpenseTracker = () => {
                             },
                             tooltip: {
                                 callbacks: {
-                                    label: function (context) {
-                                        const label = context.label || '';
-                                        const value = context.raw || 0;
-                                        return `${label}: $${value.toFixed(2)}`;
-                                    },
+                                    label: tooltipLabel,
                                 },
                             },
                         },
-                    },
+                    }), appTheme),
                 });
                 setPieChart(newPieChart);
             }
         }
-    }, [expenses, monthYear, CATEGORIES, CHART_COLORS, filteredExpenses, pieChart]);
+    }, [visibleExpenses, filter, categories, pieChart, toBase, baseCurrency, language, appTheme]);
 
     /* Cleanup the chart when expense removed */
     useEffect(() => {
@@ -293,147 +844,436 @@ const ExpenseTracker = () => {
     }, [pieChart]);
 
     return (
-        <ThemeProvider theme={theme}>
-            <Container>
-                <Box p={4}>
-                    <Typography variant='h4' gutterBottom>Expense Tracker</Typography>
-
-                    {message.text && (
-                        <Typography
-                            variant='h6'
-                            style={{
-                                color: message.type === 'error' ? 'red' : 'limegreen',
-                                fontSize: '1.5rem',
-                                fontWeight: 'bold',
-                            }}
-                        >
-                            {message.text}
-                        </Typography>
-                    )}
-
-                    <Grid container spacing={4}>
-                        <Grid item xs={12} md={6}>
-                            <Paper elevation={3} style={{ padding: '20px' }}>
-                                <Typography variant='h5' gutterBottom>Add New Expense</Typography>
-                                <form onSubmit={addExpense}>
-                                    <StyledTextField
-                                        fullWidth
-                                        margin='normal'
-                                        label='Amount'
-                                        type='number'
-                                        name='amount'
-                                        value={formData.amount}
-                                        onChange={handleInputChange}
-                                        required
-                                        inputProps={{ step: '0.01', min: '0' }}
-                                    />
-                                    <StyledTextField
-                                        fullWidth
-                                        margin='normal'
-                                        select
-                                        label='Category'
-                                        name='category'
-                                        value={formData.category}
-                                        onChange={handleInputChange}
-                                        required
-                                    >
-                                        {Object.keys(CATEGORIES).map((key) => (
-                                            <MenuItem key={key} value={key}>
-                                                {CATEGORIES[key]}
-                                            </MenuItem>
-                                        ))}
-                                    </StyledTextField>
-                                    <StyledTextField
-                                        fullWidth
-                                        margin='normal'
-                                        label='Description'
-                                        name='description'
-                                        value={formData.description}
-                                        onChange={handleInputChange}
-                                        required
-                                    />
-                                    <StyledTextField
-                                        fullWidth
-                                        margin='normal'
-                                        label='Date'
-                                        type='date'
-                                        name='date'
-                                        value={formData.date}
-                                        onChange={handleInputChange}
-                                        required
-                                        InputLabelProps={{ shrink: true }}
-                                        sx={{
-                                            '& input[type="date"]::-webkit-calendar-picker-indicator': {
-                                                color: theme.palette.primary.dark,
-                                                filter: isDarkMode ? 'invert(1)':'invert(0)',
-                                            },
-                                            '& input[type="date"]::-webkit-inner-spin-button, & input[type="date"]::-webkit-clear-button': {
-                                                display: 'none',
-                                            },
-                                        }}
+        <CacheProvider value={styleCache(direction)}>
+            <ThemeProvider theme={appTheme}>
+                {/* Page colors and the color scheme of native controls, such as date pickers, follow the theme */}
+                <CssBaseline enableColorScheme/>
+                <Container>
+                    <Box p={4}>
+                        <Box display='flex' alignItems='center' gap={2}>
+                            <Typography variant='h4' gutterBottom flexGrow={1}>{t('Expense Tracker')}</Typography>
+                            <StyledTextField
+                                select
+                                size='small'
+                                label={t('Language')}
+                                value={settings.language}
+                                onChange={(e) => changeLanguage(e.target.value)}
+                                sx={{ minWidth: 160 }}
+                            >
+                                <MenuItem value=''>{t('Browser Default')}</MenuItem>
+                                {Object.entries(LANGUAGES).map(([code, { label }]) => (
+                                    <MenuItem key={code} value={code} lang={code}>{label}</MenuItem>
+                                ))}
+                            </StyledTextField>
+                        </Box>
+                        <UpdatePrompt/>
+                        <UndoSnackbar action={undoAction} onUndo={undoDelete} onClose={() => setUndoAction(null)}/>
+                        <AttachmentViewer attachment={viewedAttachment} onClose={() => setViewedAttachment(null)}/>
+
+                        {message.text && (
+                            <Typography
+                                variant='h6'
+                                style={{
+                                    color: message.type === 'error' ? 'red' : 'limegreen',
+                                    fontSize: '1.5rem',
+                                    fontWeight: 'bold',
+                                }}
+                            >
+                                {message.text}
+                            </Typography>
+                        )}
+
+                        <Grid container spacing={4}>
+                            <Grid item xs={12} md={6}>
+                                <Paper elevation={3} style={{ padding: '20px' }}>
+                                    <Typography variant='h5' gutterBottom>
+                                        {t(editingId !== null ? `Edit ${ENTRY_KINDS[formData.kind]}` : `Add New ${ENTRY_KINDS[formData.kind]}`)}
+                                    </Typography>
+                                    <form onSubmit={addExpense}>
+                                        <ToggleButtonGroup
+                                            exclusive
+                                            fullWidth
+                                            color='primary'
+                                            value={formData.kind}
+                                            onChange={(e, kind) => changeKind(kind)}
+                                        >
+                                            {Object.entries(ENTRY_KINDS).map(([kind, label]) => (
+                                                <ToggleButton key={kind} value={kind}>{t(label)}</ToggleButton>
+                                            ))}
+                                        </ToggleButtonGroup>
+                                        <Box display='flex' gap={1}>
+                                            <StyledTextField
+                                                fullWidth
+                                                margin='normal'
+                                                label={t('Amount')}
+                                                type='number'
+                                                name='amount'
+                                                value={formData.amount}
+                                                onChange={handleInputChange}
+                                                required
+                                                inputProps={{ step: amountStep(formData.currency || baseCurrency), min: '0' }}
+                                            />
+                                            <StyledTextField
+                                                margin='normal'
+                                                select
+                                                label={t('Currency')}
+                                                name='currency'
+                                                value={formData.currency || baseCurrency}
+                                                onChange={handleInputChange}
+                                                sx={{ width: 120 }}
+                                            >
+                                                {[...new Set([formData.currency || baseCurrency, baseCurrency, ...CURRENCIES])]
+                                                    .map((currency) => (
+                                                        <MenuItem key={currency} value={currency}>{currency}</MenuItem>
+                                                    ))}
+                                            </StyledTextField>
+                                        </Box>
+                                        <StyledTextField
+                                            fullWidth
+                                            margin='normal'
+                                            select
+                                            label={t('Category')}
+                                            name='category'
+                                            value={formData.category}
+                                            onChange={handleInputChange}
+                                            required
+                                        >
+                                            {activeCategories.map((category) => (
+                                                <MenuItem key={category.key} value={category.key}>
+                                                    {categoryLabel(category)}
+                                                </MenuItem>
+                                            ))}
+                                        </StyledTextField>
+                                        <StyledTextField
+                                            fullWidth
+                                            margin='normal'
+                                            label={t('Description')}
+                                            name='description'
+                                            value={formData.description}
+                                            onChange={handleInputChange}
+                                            required
+                                        />
+                                        <TagInput
+                                            value={formData.tags}
+                                            options={knownTags}
+                                            onChange={(tags) => setFormData((prev) => ({ ...prev, tags }))}
+                                        />
+                                        <StyledTextField
+                                            fullWidth
+                                            margin='normal'
+                                            label={t('Notes')}
+                                            name='notes'
+                                            value={formData.notes}
+                                            onChange={handleInputChange}
+                                            multiline
+                                            minRows={2}
+                                        />
+                                        <StyledTextField
+                                            fullWidth
+                                            margin='normal'
+                                            label={t('Date')}
+                                            type='date'
+                                            name='date'
+                                            value={formData.date}
+                                            onChange={handleInputChange}
+                                            required
+                                            InputLabelProps={{ shrink: true }}
+                                            sx={{
+                                                '& input[type="date"]::-webkit-inner-spin-button, & input[type="date"]::-webkit-clear-button': {
+                                                    display: 'none',
+                                                },
+                                            }}
+                                        />
+                                        {people.length > 0 && !isIncomeForm && (
+                                            <SplitFields
+                                                people={people}
+                                                value={splitInput}
+                                                currency={formData.currency || baseCurrency}
+                                                onChange={setSplitInput}
+                                            />
+                                        )}
+                                        <AttachmentFields
+                                            value={attachmentInput}
+                                            onChange={setAttachmentInput}
+                                            onOpen={setViewedAttachment}
+                                        />
+                                        <StyledButton type='submit' fullWidth>
+                                            {t(editingId !== null ? 'Save Changes' : `Add ${ENTRY_KINDS[formData.kind]}`)}
+                                        </StyledButton>
+                                        {editingId !== null && (
+                                            <StyledButton onClick={resetForm} fullWidth variant='delete' sx={{ mt: 1 }}>
+                                                {t('Cancel')}
+                                            </StyledButton>
+                                        )}
+                                    </form>
+                                </Paper>
+                            </Grid>
+
+                            <Grid item xs={12} md={6}>
+                                <Paper elevation={3} style={{ padding: '20px' }}>
+                                    <Typography variant='h5' gutterBottom>{t('View Expenses')}</Typography>
+                                    <ExpenseFilters
+                                        filter={filter}
+                                        categories={categories}
+                                        tags={knownTags}
+                                        currency={baseCurrency}
+                                        firstDayOfWeek={settings.firstDayOfWeek}
+                                        onChange={setFilter}
                                     />
-                                    <StyledButton type='submit' fullWidth>
-                                        Add Expense
-                                    </StyledButton>
-                                </form>
-                            </Paper>
-                        </Grid>
 
-                        <Grid item xs={12} md={6}>
-                            <Paper elevation={3} style={{ padding: '20px' }}>
-                                <Typography variant='h5' gutterBottom>View Expenses</Typography>
-                                <StyledTextField
-                                    fullWidth
-                                    margin='normal'
-                                    label='Select Month and Year'
-                                    type='month'
-                                    value={monthYear}
-                                    onChange={(e) => setMonthYear(e.target.value)}
-                                    sx={{
-                                        '& input[type="month"]::-webkit-calendar-picker-indicator': {
-                                            color: theme.palette.primary.dark,
-                                            filter: isDarkMode ? 'invert(1)':'invert(0)',
-                                        },
-                                        '& input[type="month"]::-webkit-inner-spin-button, & input[type="month"]::-webkit-clear-button': {
-                                            display: 'none',
-                                        },
-                                    }}
-                                />
+                                    <BudgetProgress statuses={budgetStatus} categories={categories} currency={baseCurrency}/>
 
-                                <Box mt={4}>
-                                    {monthYear && filteredExpenses.length === 0 ? (
-                                        <Typography variant='body1' style={{color: 'gray'}}>
-                                            No expenses for this month
+                                    {hasPeriod(filter) && visibleExpenses.length > 0 && (
+                                        <Box mt={2}>
+                                            <Typography variant='body1' style={{color: 'limegreen'}}>
+                                                {t('Income: {amount}', { amount: formatMoney(cashFlow.income, baseCurrency) })}
+                                            </Typography>
+                                            <Typography variant='body1' style={{color: 'red'}}>
+                                                {t('Spending: {amount}', { amount: formatMoney(cashFlow.spending, baseCurrency) })}
+                                            </Typography>
+                                            <Typography variant='h6' style={{color: cashFlow.net < 0 ? 'red' : 'limegreen'}}>
+                                                {t('Net: {amount}', { amount: formatMoney(cashFlow.net, baseCurrency) })}
+                                            </Typography>
+                                        </Box>
+                                    )}
+
+                                    {unconvertedCount > 0 && (
+                                        <Typography variant='body2' mt={2} style={{color: 'red'}}>
+                                            {t('{count} expense(s) have no exchange rate to {currency} and are left out of the totals', {
+                                                count: unconvertedCount,
+                                                currency: baseCurrency,
+                                            })}
                                         </Typography>
-                                    ) : (
-                                        filteredExpenses.map((expense) => (
-                                            <Box key={expense.id} mb={2}>
-                                                <Typography
-                                                    variant='body1'
-                                                    style={{color: CHART_COLORS[expense.category]}}
-                                                >
-                                                    {new Intl.DateTimeFormat('en-GB', { day: '2-digit', month: '2-digit', year: 'numeric' }).format(new Date(expense.date))}:
-                                                    ${expense.amount.toFixed(2)} - {CATEGORIES[expense.category]} ({expense.description})
-                                                </Typography>
-                                                <StyledButton
-                                                    onClick={() => deleteExpense(expense.id)}
-                                                    fullWidth
-                                                    variant='delete'
-                                                >
-                                                    Delete
-                                                </StyledButton>
-                                            </Box>
-                                        ))
                                     )}
-                                </Box>
-                                <canvas id='pieChart' style={{ marginTop: '20px' }}></canvas>
-                            </Paper>
+
+                                    <Box mt={4} display='flex' flexWrap='wrap' gap={2}>
+                                        {Object.keys(SORT_FIELDS).map((field) => (
+                                            <TableSortLabel
+                                                key={field}
+                                                active={filter.sort === field}
+                                                direction={filter.sort === field ? filter.direction : SORT_FIELDS[field]}
+                                                onClick={() => changeSort(field)}
+                                            >
+                                                {t(field[0].toUpperCase() + field.slice(1))}
+                                            </TableSortLabel>
+                                        ))}
+                                    </Box>
+
+                                    {visibleExpenses.length > 0 && (
+                                        <FormControlLabel
+                                            sx={{ mt: 2 }}
+                                            control={(
+                                                <Checkbox
+                                                    checked={allSelected}
+                                                    indeterminate={selectedExpenses.length > 0 && !allSelected}
+                                                    onChange={toggleAllSelected}
+                                                />
+                                            )}
+                                            label={t('Select All in View')}
+                                        />
+                                    )}
+
+                                    {selectedExpenses.length > 0 && (
+                                        <BulkActions
+                                            count={selectedExpenses.length}
+                                            categories={bulkCategories}
+                                            onDelete={deleteSelected}
+                                            onRecategorize={recategorizeSelected}
+                                            onMove={moveSelected}
+                                            onClear={() => setSelectedIds(new Set())}
+                                        />
+                                    )}
+
+                                    <Box mt={2}>
+                                        {hasPeriod(filter) && visibleExpenses.length === 0 ? (
+                                            <Typography variant='body1' style={{color: 'gray'}}>
+                                                {t(expenses.length === 0 ? 'No expenses for this period' : 'No expenses match the filters')}
+                                            </Typography>
+                                        ) : (
+                                            visibleExpenses.map((expense) => (
+                                                <Box key={expense.id} mb={2}>
+                                                    <Box display='flex' alignItems='center'>
+                                                        <Checkbox
+                                                            checked={selectedIds.has(expense.id)}
+                                                            onChange={() => toggleSelected(expense.id)}
+                                                            inputProps={{ 'aria-label': t('Select {description}', { description: expense.description }) }}
+                                                        />
+                                                        <Typography
+                                                            variant='body1'
+                                                            style={{color: resolveCategory(categories, expense.category).color}}
+                                                        >
+                                                            {formatDate(expense.date)}:
+                                                            {' '}{isIncome(expense) && '+'}{formatMoney(expense.amount, expense.currency)}
+                                                            {expense.currency !== baseCurrency && toBase(expense) !== null &&
+                                                                ` (${formatMoney(toBase(expense), baseCurrency)})`}
+                                                            {' '}- {resolveCategory(categories, expense.category).label} ({expense.description})
+                                                            {expense.paidBy && ` · ${t('Paid by {name}', { name: personName(people, expense.paidBy) })}`}
+                                                        </Typography>
+                                                    </Box>
+                                                    {expense.tags?.length > 0 && (
+                                                        <Box display='flex' flexWrap='wrap' gap={0.5} mb={1}>
+                                                            {expense.tags.map((expenseTag) => (
+                                                                <Chip
+                                                                    key={expenseTag}
+                                                                    size='small'
+                                                                    label={expenseTag}
+                                                                    onClick={() => setFilter((prev) => ({ ...prev, tag: expenseTag }))}
+                                                                />
+                                                            ))}
+                                                        </Box>
+                                                    )}
+                                                    {expense.notes && (
+                                                        <Typography variant='body2' mb={1} style={{color: 'gray', whiteSpace: 'pre-line'}}>
+                                                            {expense.notes}
+                                                        </Typography>
+                                                    )}
+                                                    <AttachmentThumbnails
+                                                        expenseId={expense.id}
+                                                        reloadKey={expense}
+                                                        onOpen={setViewedAttachment}
+                                                    />
+                                                    <StyledButton
+                                                        onClick={() => editExpense(expense)}
+                                                        fullWidth
+                                                        sx={{ mb: 1 }}
+                                                    >
+                                                        {t('Edit')}
+                                                    </StyledButton>
+                                                    <StyledButton
+                                                        onClick={() => deleteExpense(expense.id)}
+                                                        fullWidth
+                                                        variant='delete'
+                                                    >
+                                                        {t('Delete')}
+                                                    </StyledButton>
+                                                </Box>
+                                            ))
+                                        )}
+                                    </Box>
+                                    <Box mt={2} display='flex' flexWrap='wrap' gap={2}>
+                                        <Box flex='1 1 240px'>
+                                            <canvas id='pieChart'></canvas>
+                                        </Box>
+                                        <Box flex='1 1 240px'>
+                                            <TagChart expenses={visibleExpenses} baseCurrency={baseCurrency} toBase={toBase}/>
+                                        </Box>
+                                    </Box>
+                                </Paper>
+                            </Grid>
+
+                            <Grid item xs={12}>
+                                <ReportsView
+                                    categories={categories}
+                                    baseCurrency={baseCurrency}
+                                    toBase={toBase}
+                                    reloadKey={expenses}
+                                />
+                            </Grid>
+
+                            <Grid item xs={12}>
+                                <CashFlowView
+                                    baseCurrency={baseCurrency}
+                                    toBase={toBase}
+                                    reloadKey={expenses}
+                                />
+                            </Grid>
+
+                            <Grid item xs={12} md={6}>
+                                <RecurringManager
+                                    templates={templates}
+                                    categories={expenseCategories}
+                                    baseCurrency={baseCurrency}
+                                    onTemplatesChange={setTemplates}
+                                    onExpensesAdded={handleExpensesAdded}
+                                    showMessage={showMessage}
+                                />
+                            </Grid>
+
+                            <Grid item xs={12} md={6}>
+                                <BudgetManager
+                                    budgets={budgets}
+                                    categories={expenseCategories}
+                                    currency={baseCurrency}
+                                    monthYear={monthYear}
+                                    onBudgetsChange={setBudgets}
+                                    showMessage={showMessage}
+                                />
+                            </Grid>
+
+                            <Grid item xs={12} md={6}>
+                                <ImportExport
+                                    categories={categories}
+                                    baseCurrency={baseCurrency}
+                                    rates={rates}
+                                    monthYear={monthYear}
+                                    onImported={handleExpensesAdded}
+                                    onRatesChange={setRates}
+                                    showMessage={showMessage}
+                                />
+                            </Grid>
+
+                            <Grid item xs={12} md={6}>
+                                <CurrencyManager
+                                    baseCurrency={baseCurrency}
+                                    rates={rates}
+                                    onBaseCurrencyChange={handleBaseCurrencyChange}
+                                    onRatesChange={setRates}
+                                    showMessage={showMessage}
+                                />
+                            </Grid>
+
+                            <Grid item xs={12} md={6}>
+                                <SyncManager
+                                    settings={settings}
+                                    onSettingsChange={(changed) => setSettings((prev) => ({ ...prev, ...changed }))}
+                                    onExpensesChanged={handleExpensesSynced}
+                                    showMessage={showMessage}
+                                />
+                            </Grid>
+
+                            <Grid item xs={12} md={6}>
+                                <BalancesView
+                                    people={people}
+                                    onPeopleChange={setPeople}
+                                    reloadKey={expenses}
+                                    showMessage={showMessage}
+                                />
+                            </Grid>
+
+                            <Grid item xs={12} md={6}>
+                                <TrashView
+                                    categories={categories}
+                                    retentionDays={settings.trashRetentionDays}
+                                    reloadKey={expenses}
+                                    onRestored={handleExpensesAdded}
+                                    onRetentionChange={(days) => setSettings((prev) => ({ ...prev, trashRetentionDays: days }))}
+                                    showMessage={showMessage}
+                                />
+                            </Grid>
+
+                            <Grid item xs={12} md={6}>
+                                <PreferencesManager
+                                    settings={settings}
+                                    categories={expenseCategories}
+                                    onSettingsChange={(changed) => setSettings((prev) => ({ ...prev, ...changed }))}
+                                    showMessage={showMessage}
+                                />
+                            </Grid>
+
+                            <Grid item xs={12} md={6}>
+                                <CategoryManager
+                                    categories={categories}
+                                    onCategoriesChange={setCategories}
+                                    onExpensesMoved={handleExpensesMoved}
+                                    showMessage={showMessage}
+                                />
+                            </Grid>
                         </Grid>
-                    </Grid>
-                </Box>
-            </Container>
-        </ThemeProvider>
+                    </Box>
+                </Container>
+            </ThemeProvider>
+        </CacheProvider>
     );
 };
 
-export default ExpenseTracker;
\ No newline at end of file
+export default ExpenseTracker;
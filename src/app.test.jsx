@@ -0,0 +1,199 @@
+/**
+ * Tests of the expense tracker's add, delete, month filter and pie chart flows, rendered in jsdom
+ * against the in-memory IndexedDB; Chart.js is replaced by a stub that keeps every chart's configuration
+ * Rows are found by the role of their checkbox: a label lookup walks every label of the app and takes seconds
+ */
+
+import {afterEach, beforeEach, describe, expect, it, vi} from 'vitest';
+import {fireEvent, render, screen, waitFor, within} from '@testing-library/react';
+import {Chart} from 'chart.js/auto';
+import {expenseDB, trashDB} from './db';
+import ExpenseTracker from './app';
+
+vi.mock('chart.js/auto', () => {
+    /** Stands in for Chart.js, which cannot draw in jsdom, and records the charts created */
+    class Chart {
+        constructor(context, config) {
+            Object.assign(this, { config, data: config.data, options: config.options });
+            Chart.created.push(this);
+        }
+
+        update() {}
+
+        destroy() {}
+    }
+    Chart.created = [];
+    return { Chart };
+});
+
+/** Month the list shows, set through the URL like a bookmarked view */
+const MONTH = '2024-03';
+
+/**
+ * Builds a stored expense of the list's month
+ * @param {Object} fields - Fields that differ from a food expense on the 5th
+ * @returns {Object} Expense record
+ */
+const expense = (fields) => ({
+    amount: 1000,
+    currency: 'USD',
+    category: 'food',
+    description: 'Groceries',
+    date: `${MONTH}-05`,
+    ...fields,
+});
+
+/**
+ * Renders the tracker and waits until the categories seeded by the schema are loaded
+ * @returns {Promise<void>}
+ */
+const renderTracker = async () => {
+    render(<ExpenseTracker/>);
+    await screen.findByDisplayValue('Transportation');
+};
+
+/**
+ * Returns the add form, found through its submit button
+ * @returns {HTMLFormElement} The form
+ */
+const addForm = () => screen.getByRole('button', { name: 'Add Expense' }).closest('form');
+
+/**
+ * Types into fields of the add form and submits it
+ * @param {Object<string, string>} values - Values keyed by input name
+ * @returns {void}
+ */
+const submitForm = (values) => {
+    const form = addForm();
+    Object.entries(values).forEach(([name, value]) => {
+        fireEvent.change(form.querySelector(`[name="${name}"]`), { target: { value } });
+    });
+    fireEvent.submit(form);
+};
+
+/**
+ * Reads the slices of the pie chart
+ * @returns {Object<string, number>|undefined} Slice values keyed by label, once the chart exists
+ */
+const pieSlices = () => {
+    const chart = Chart.created.find((created) => created.config.type === 'pie');
+    return chart && Object.fromEntries(chart.data.labels.map((label, i) => [label, chart.data.datasets[0].data[i]]));
+};
+
+describe('ExpenseTracker', () => {
+    beforeEach(() => {
+        Chart.created.length = 0;
+        window.history.replaceState(null, '', `/?month=${MONTH}`);
+    });
+
+    afterEach(() => expenseDB.transaction(['expenses', 'trash', 'outbox'], 'readwrite', (stores) => {
+        Object.values(stores).forEach((store) => store.clear());
+    }));
+
+    describe('form validation', () => {
+        it('asks for an amount first', async () => {
+            await renderTracker();
+            submitForm({});
+
+            expect(await screen.findByText('Amount Must Be Greater Than 0')).toBeTruthy();
+            expect(await expenseDB.getAll()).toEqual([]);
+        });
+
+        it('asks for a description', async () => {
+            await renderTracker();
+            submitForm({ amount: '12.50', description: '   ' });
+
+            expect(await screen.findByText('Description is required')).toBeTruthy();
+        });
+
+        it('asks for a date', async () => {
+            await renderTracker();
+            submitForm({ amount: '12.50', description: 'Lunch' });
+
+            expect(await screen.findByText('Date is required')).toBeTruthy();
+            expect(await expenseDB.getAll()).toEqual([]);
+        });
+    });
+
+    describe('adding', () => {
+        it('stores the expense in minor units and lists it', async () => {
+            await renderTracker();
+            submitForm({ amount: '12.50', description: 'Lunch', date: `${MONTH}-05` });
+
+            expect(await screen.findByText('Expense Added Successfully!')).toBeTruthy();
+            expect(screen.getByRole('checkbox', { name: 'Select Lunch' })).toBeTruthy();
+            expect(await expenseDB.getAll()).toEqual([expect.objectContaining({
+                amount: 1250,
+                currency: 'USD',
+                category: 'food',
+                description: 'Lunch',
+                date: `${MONTH}-05`,
+            })]);
+        });
+
+        it('stores an expense of another month without listing it', async () => {
+            await renderTracker();
+            submitForm({ amount: '30', description: 'Taxi', date: '2024-04-02' });
+
+            expect(await screen.findByText('Expense Added Successfully!')).toBeTruthy();
+            expect(screen.queryByRole('checkbox', { name: 'Select Taxi' })).toBeNull();
+            expect(await expenseDB.getAll()).toHaveLength(1);
+        });
+    });
+
+    describe('month filter', () => {
+        it('lists only the expenses of the month in the URL', async () => {
+            await expenseDB.bulkPut([
+                expense({ description: 'Groceries' }),
+                expense({ description: 'Rent', date: '2024-04-01' }),
+                expense({ description: 'Books', date: '2024-02-29' }),
+            ]);
+            await renderTracker();
+
+            expect(await screen.findByRole('checkbox', { name: 'Select Groceries' })).toBeTruthy();
+            expect(screen.queryByRole('checkbox', { name: 'Select Rent' })).toBeNull();
+            expect(screen.queryByRole('checkbox', { name: 'Select Books' })).toBeNull();
+        });
+    });
+
+    describe('deleting', () => {
+        it('moves the expense to the trash and brings it back on undo', async () => {
+            await expenseDB.save(expense({ description: 'Lunch' }));
+            await renderTracker();
+
+            const row = (await screen.findByRole('checkbox', { name: 'Select Lunch' })).closest('.MuiBox-root').parentElement;
+            fireEvent.click(within(row).getByRole('button', { name: 'Delete' }));
+
+            await waitFor(() => expect(screen.queryByRole('checkbox', { name: 'Select Lunch' })).toBeNull());
+            expect(await expenseDB.getAll()).toEqual([]);
+            expect(await trashDB.getAll()).toEqual([expect.objectContaining({ description: 'Lunch' })]);
+
+            fireEvent.click(screen.getByRole('button', { name: 'Undo' }));
+
+            expect(await screen.findByRole('checkbox', { name: 'Select Lunch' })).toBeTruthy();
+            expect(await trashDB.getAll()).toEqual([]);
+        });
+    });
+
+    describe('pie chart', () => {
+        it('sums the spending of the month per category, leaving income and other months out', async () => {
+            await expenseDB.bulkPut([
+                expense({ amount: 1000 }),
+                expense({ amount: 500, date: `${MONTH}-20` }),
+                expense({ amount: 750, category: 'transportation', description: 'Train' }),
+                expense({ amount: 300000, category: 'salary', description: 'Salary', kind: 'income' }),
+                expense({ amount: 9900, date: '2024-04-01' }),
+            ]);
+            await renderTracker();
+
+            await waitFor(() => expect(pieSlices()).toEqual({ Food: 1500, Transportation: 750 }));
+        });
+
+        it('follows expenses added through the form', async () => {
+            await renderTracker();
+            submitForm({ amount: '20', description: 'Dinner', date: `${MONTH}-08` });
+
+            await waitFor(() => expect(pieSlices()).toEqual({ Food: 2000 }));
+        });
+    });
+});
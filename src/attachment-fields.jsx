@@ -0,0 +1,86 @@
+import {useEffect, useState} from 'react';
+import {Box, Typography} from '@mui/material';
+import {StyledButton} from './styles';
+import {ATTACHMENT_ACCEPT, estimateStorage, formatBytes} from './attachments';
+import AttachmentThumbnail from './attachment-thumbnail';
+import {t} from './i18n';
+
+/**
+ * Attachment fields of the expense form: stored attachments of the edited expense, newly
+ * chosen files and the storage space in use
+ * Changes are only written when the expense is saved
+ * @component
+ * @param {Object} props - Component props
+ * @param {{files: Array<File>, existing: Array<Object>, removed: Array<number>}} props.value - Newly
+ * chosen files, stored attachments and the keys of stored attachments to remove
+ * @param {Function} props.onChange - Called with the updated attachment form state
+ * @param {Function} props.onOpen - Called with an attachment to show it full size
+ * @returns {JSX.Element} AttachmentFields component
+ */
+const AttachmentFields = ({ value, onChange, onOpen }) => {
+    const [storage, setStorage] = useState(null);
+
+    /**
+     * Reads the storage estimate whenever the attachments may have changed
+     * @returns {void}
+     */
+    useEffect(() => {
+        estimateStorage()
+            .then(setStorage)
+            .catch((error) => console.error('Error estimating storage:', error));
+    }, [value.existing]);
+
+    /**
+     * Adds the chosen files to the form
+     * @param {React.ChangeEvent<HTMLInputElement>} e - File input change event
+     * @returns {void}
+     */
+    const chooseFiles = (e) => {
+        const files = [...e.target.files];
+        e.target.value = '';
+        onChange({ ...value, files: [...value.files, ...files] });
+    };
+
+    const kept = value.existing.filter((attachment) => !value.removed.includes(attachment.id));
+
+    return (
+        <Box mt={1} mb={1}>
+            {kept.map((attachment) => (
+                <Box key={attachment.id} display='flex' alignItems='center' gap={1} mb={1}>
+                    <AttachmentThumbnail attachment={attachment} onOpen={onOpen}/>
+                    <Typography variant='body2' flexGrow={1}>{attachment.name}</Typography>
+                    <StyledButton
+                        variant='delete'
+                        onClick={() => onChange({ ...value, removed: [...value.removed, attachment.id] })}
+                    >
+                        {t('Remove')}
+                    </StyledButton>
+                </Box>
+            ))}
+            {value.files.map((file, i) => (
+                <Box key={`${file.name}-${i}`} display='flex' alignItems='center' gap={1} mb={1}>
+                    <Typography variant='body2' flexGrow={1}>
+                        {t('{name} ({size}, not saved yet)', { name: file.name, size: formatBytes(file.size) })}
+                    </Typography>
+                    <StyledButton
+                        variant='delete'
+                        onClick={() => onChange({ ...value, files: value.files.filter((f) => f !== file) })}
+                    >
+                        {t('Remove')}
+                    </StyledButton>
+                </Box>
+            ))}
+            <StyledButton fullWidth component='label'>
+                {t('Attach Receipts')}
+                <input type='file' accept={ATTACHMENT_ACCEPT} multiple hidden onChange={chooseFiles}/>
+            </StyledButton>
+            {storage?.quota > 0 && (
+                <Typography variant='body2' style={{ color: 'gray' }} mt={1}>
+                    {t('Storage used: {usage} of {quota}', { usage: formatBytes(storage.usage), quota: formatBytes(storage.quota) })}
+                </Typography>
+            )}
+        </Box>
+    );
+};
+
+export default AttachmentFields;
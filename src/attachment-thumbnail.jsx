@@ -0,0 +1,67 @@
+import {useEffect, useState} from 'react';
+import {Box, Tooltip} from '@mui/material';
+import PictureAsPdfIcon from '@mui/icons-material/PictureAsPdf';
+import InsertDriveFileIcon from '@mui/icons-material/InsertDriveFile';
+import {t} from './i18n';
+
+/** Width and height of a thumbnail tile, in pixels */
+const TILE_SIZE = 48;
+
+/**
+ * Small clickable preview of an attachment: the image thumbnail, or an icon for PDFs and
+ * images without one
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.attachment - Attachment record
+ * @param {Function} props.onOpen - Called with the attachment when clicked
+ * @returns {JSX.Element} AttachmentThumbnail component
+ */
+const AttachmentThumbnail = ({ attachment, onOpen }) => {
+    const [url, setUrl] = useState(null);
+
+    /**
+     * Creates a URL for the thumbnail and revokes it when the thumbnail changes or unmounts
+     * @returns {void}
+     */
+    useEffect(() => {
+        if (!attachment.thumbnail) return;
+        const objectUrl = URL.createObjectURL(attachment.thumbnail);
+        setUrl(objectUrl);
+        return () => {
+            URL.revokeObjectURL(objectUrl);
+            setUrl(null);
+        };
+    }, [attachment.thumbnail]);
+
+    const Icon = attachment.type === 'application/pdf' ? PictureAsPdfIcon : InsertDriveFileIcon;
+
+    return (
+        <Tooltip title={attachment.name}>
+            <Box
+                component='button'
+                type='button'
+                onClick={() => onOpen(attachment)}
+                width={TILE_SIZE}
+                height={TILE_SIZE}
+                p={0}
+                display='flex'
+                alignItems='center'
+                justifyContent='center'
+                border={1}
+                borderColor='divider'
+                borderRadius={1}
+                bgcolor='transparent'
+                style={{ cursor: 'pointer', overflow: 'hidden' }}
+                aria-label={t('Open {name}', { name: attachment.name })}
+            >
+                {url ? (
+                    <img src={url} alt={attachment.name} style={{ width: '100%', height: '100%', objectFit: 'cover' }}/>
+                ) : (
+                    <Icon color='primary'/>
+                )}
+            </Box>
+        </Tooltip>
+    );
+};
+
+export default AttachmentThumbnail;
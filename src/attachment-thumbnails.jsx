@@ -0,0 +1,47 @@
+import {useEffect, useState} from 'react';
+import {Box} from '@mui/material';
+import {loadAttachments} from './attachments';
+import AttachmentThumbnail from './attachment-thumbnail';
+
+/**
+ * Thumbnails of the attachments of one expense in the expense list; renders nothing when
+ * the expense has none
+ * @component
+ * @param {Object} props - Component props
+ * @param {number} props.expenseId - Key of the expense
+ * @param {*} props.reloadKey - Changes whenever the expense was saved, which reloads its attachments
+ * @param {Function} props.onOpen - Called with an attachment to show it full size
+ * @returns {JSX.Element|null} AttachmentThumbnails component
+ */
+const AttachmentThumbnails = ({ expenseId, reloadKey, onOpen }) => {
+    const [attachments, setAttachments] = useState([]);
+
+    /**
+     * Loads the attachments of the expense
+     * @returns {void}
+     */
+    useEffect(() => {
+        let cancelled = false;
+        loadAttachments(expenseId)
+            .then((loaded) => {
+                if (!cancelled) setAttachments(loaded);
+            })
+            .catch((error) => console.error('Error loading attachments:', error));
+        return () => {
+            cancelled = true;
+        };
+    }, [expenseId, reloadKey]);
+
+    if (attachments.length === 0) {
+        return null;
+    }
+    return (
+        <Box display='flex' flexWrap='wrap' gap={1} mb={1}>
+            {attachments.map((attachment) => (
+                <AttachmentThumbnail key={attachment.id} attachment={attachment} onOpen={onOpen}/>
+            ))}
+        </Box>
+    );
+};
+
+export default AttachmentThumbnails;
@@ -0,0 +1,57 @@
+import {useEffect, useState} from 'react';
+import {Dialog, DialogActions, DialogContent, DialogTitle} from '@mui/material';
+import {StyledButton} from './styles';
+import {formatBytes} from './attachments';
+import {t} from './i18n';
+
+/**
+ * Full-size viewer of an attachment: images are shown inline, PDFs in the browser's PDF viewer
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object|null} props.attachment - Attachment to show, or null when the viewer is closed
+ * @param {Function} props.onClose - Called when the viewer is closed
+ * @returns {JSX.Element} AttachmentViewer component
+ */
+const AttachmentViewer = ({ attachment, onClose }) => {
+    const [url, setUrl] = useState(null);
+
+    /**
+     * Creates a URL for the file while it is shown
+     * @returns {void}
+     */
+    useEffect(() => {
+        if (!attachment) return;
+        const objectUrl = URL.createObjectURL(attachment.blob);
+        setUrl(objectUrl);
+        return () => {
+            URL.revokeObjectURL(objectUrl);
+            setUrl(null);
+        };
+    }, [attachment]);
+
+    return (
+        <Dialog open={attachment !== null} onClose={onClose} maxWidth='lg' fullWidth>
+            <DialogTitle>
+                {attachment?.name}
+                {attachment && ` (${formatBytes(attachment.size)})`}
+            </DialogTitle>
+            <DialogContent>
+                {url && (attachment.type === 'application/pdf' ? (
+                    <iframe src={url} title={attachment.name} style={{ width: '100%', height: '75vh', border: 'none' }}/>
+                ) : (
+                    <img src={url} alt={attachment.name} style={{ display: 'block', maxWidth: '100%', margin: '0 auto' }}/>
+                ))}
+            </DialogContent>
+            <DialogActions>
+                {url && (
+                    <StyledButton component='a' href={url} download={attachment.name}>
+                        {t('Download')}
+                    </StyledButton>
+                )}
+                <StyledButton onClick={onClose}>{t('Close')}</StyledButton>
+            </DialogActions>
+        </Dialog>
+    );
+};
+
+export default AttachmentViewer;
@@ -0,0 +1,203 @@
+/**
+ * Receipts and other files attached to expenses
+ * Files are kept as Blobs in the `attachments` store as
+ * { id, expenseId, name, type, size, blob, thumbnail, addedAt }, where `thumbnail` is a small
+ * JPEG of images, or null for PDFs and images the browser cannot decode
+ * Attachments stay while their expense is in the trash and are deleted with it when it is purged
+ * @module attachments
+ */
+
+import {attachmentDB} from './db';
+import {formatNumber, t} from './i18n';
+
+/** File types accepted by the file picker */
+export const ATTACHMENT_ACCEPT = 'image/*,application/pdf';
+
+/** Largest accepted file, in bytes */
+export const MAX_ATTACHMENT_SIZE = 20 * 1024 * 1024;
+
+/** Attachment form state of an expense without attachments */
+export const EMPTY_ATTACHMENT_INPUT = { files: [], existing: [], removed: [] };
+
+/** Longest side of generated thumbnails, in pixels */
+const THUMBNAIL_SIZE = 160;
+
+/** Share of the storage quota new attachments may fill, leaving room for the rest of the app */
+const QUOTA_LIMIT = 0.9;
+
+/**
+ * Formats a number of bytes for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size such as `1.5 MB`
+ */
+export const formatBytes = (bytes) => {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    const exponent = Math.min(Math.floor(Math.log(Math.max(bytes, 1)) / Math.log(1024)), units.length - 1);
+    const digits = exponent === 0 ? 0 : 1;
+    return `${formatNumber(bytes / 1024 ** exponent, { minimumFractionDigits: digits, maximumFractionDigits: digits })} ${units[exponent]}`;
+};
+
+/**
+ * Reads how much storage the app uses and may use
+ * @returns {Promise<{usage: number, quota: number}|null>} A promise that resolves with the estimate
+ * in bytes, or null when the browser cannot tell
+ */
+export const estimateStorage = async () => (navigator.storage?.estimate ? navigator.storage.estimate() : null);
+
+/**
+ * Draws a small JPEG version of an image
+ * @param {Blob} file - Image file
+ * @returns {Promise<Blob|null>} A promise that resolves with the thumbnail, or null when the file
+ * is not an image the browser can decode
+ */
+const createThumbnail = async (file) => {
+    if (!file.type.startsWith('image/')) return null;
+    try {
+        const bitmap = await createImageBitmap(file);
+        const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+        canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        bitmap.close();
+        return await new Promise((resolve) => canvas.toBlob(resolve, 'image/jpeg', 0.8));
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Checks chosen files and turns them into attachment records, before the expense is saved,
+ * so a rejected file never leaves an expense half saved
+ * @param {Array<File>} files - Files chosen in the form
+ * @returns {Promise<Array<Object>>} A promise that resolves with records without `expenseId`
+ * @throws {Error} When a file is not an image or PDF, is too large, or does not fit the storage quota
+ */
+export const prepareAttachments = async (files) => {
+    files.forEach((file) => {
+        if (!file.type.startsWith('image/') && file.type !== 'application/pdf') {
+            throw new Error(t('{name} is not an image or PDF', { name: file.name }));
+        }
+        if (file.size > MAX_ATTACHMENT_SIZE) {
+            throw new Error(t('{name} is larger than {size}', { name: file.name, size: formatBytes(MAX_ATTACHMENT_SIZE) }));
+        }
+    });
+    const estimate = await estimateStorage();
+    const size = files.reduce((sum, file) => sum + file.size, 0);
+    if (estimate?.quota && estimate.usage + size > estimate.quota * QUOTA_LIMIT) {
+        throw new Error(t('Not enough storage space for {size} of attachments', { size: formatBytes(size) }));
+    }
+    const thumbnails = await Promise.all(files.map(createThumbnail));
+    const addedAt = Date.now();
+    return files.map((file, i) => ({
+        name: file.name,
+        type: file.type,
+        size: file.size,
+        blob: file,
+        thumbnail: thumbnails[i],
+        addedAt,
+    }));
+};
+
+/**
+ * Stores prepared attachments of an expense and deletes removed ones in one transaction
+ * @param {number} expenseId - Key of the expense
+ * @param {Array<Object>} added - Records from `prepareAttachments`
+ * @param {Array<number>} [removedIds=[]] - Keys of attachments to delete
+ * @returns {Promise<Array<Object>>} A promise that resolves with the stored attachments
+ */
+export const saveAttachments = (expenseId, added, removedIds = []) =>
+    attachmentDB.transaction('attachments', 'readwrite', ({ attachments }) => {
+        const stored = [];
+        removedIds.forEach((id) => attachments.delete(id));
+        added.forEach((attachment) => {
+            const record = { ...attachment, expenseId };
+            const request = attachments.add(record);
+            request.onsuccess = () => stored.push({ ...record, id: request.result });
+        });
+        return stored;
+    });
+
+/**
+ * Loads the attachments of an expense, oldest first
+ * @param {number} expenseId - Key of the expense
+ * @returns {Promise<Array<Object>>} A promise that resolves with the attachments
+ */
+export const loadAttachments = (expenseId) => attachmentDB.getAllByIndex('expenseId', expenseId);
+
+/**
+ * Deletes the attachments of expenses inside a transaction that deletes the expenses themselves
+ * @param {IDBObjectStore} store - Attachments store of a readwrite transaction
+ * @param {Array<number>} expenseIds - Keys of the deleted expenses
+ * @returns {void}
+ */
+export const deleteAttachmentsOf = (store, expenseIds) => {
+    expenseIds.forEach((expenseId) => {
+        const request = store.index('expenseId').getAllKeys(expenseId);
+        request.onsuccess = () => request.result.forEach((id) => store.delete(id));
+    });
+};
+
+/**
+ * Encodes a Blob as base64 text
+ * @param {Blob} blob - Binary content
+ * @returns {Promise<string>} A promise that resolves with the base64 text
+ */
+const toBase64 = async (blob) => {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let binary = '';
+    /* Convert in chunks; spreading a whole file into one call overflows the stack */
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+};
+
+/**
+ * Decodes base64 text into a Blob
+ * @param {string} data - Base64 text
+ * @param {string} type - MIME type of the content
+ * @returns {Blob} Binary content
+ */
+const fromBase64 = (data, type) => new Blob([Uint8Array.from(atob(data), (c) => c.charCodeAt(0))], { type });
+
+/**
+ * Loads the attachments of expenses in a form that fits a JSON backup, file contents as base64
+ * @param {Array<number>} expenseIds - Keys of the backed up expenses
+ * @returns {Promise<Array<Object>>} A promise that resolves with the attachments to back up
+ */
+export const exportAttachments = async (expenseIds) => {
+    const wanted = new Set(expenseIds);
+    const attachments = (await attachmentDB.getAll()).filter((attachment) => wanted.has(attachment.expenseId));
+    return Promise.all(attachments.map(async ({ expenseId, name, type, size, blob, thumbnail, addedAt }) => ({
+        expenseId,
+        name,
+        type,
+        size,
+        addedAt,
+        data: await toBase64(blob),
+        thumbnail: thumbnail && await toBase64(thumbnail),
+    })));
+};
+
+/**
+ * Turns attachments of a JSON backup back into records, keyed to the backed up expense ids
+ * @param {Array<Object>} attachments - Attachments from the backup
+ * @returns {Array<Object>} Records without `id`
+ * @throws {Error} When an attachment is damaged
+ */
+export const parseAttachments = (attachments) => attachments.map((attachment) => {
+    try {
+        return {
+            expenseId: attachment.expenseId,
+            name: String(attachment.name),
+            type: attachment.type,
+            size: attachment.size,
+            addedAt: attachment.addedAt,
+            blob: fromBase64(attachment.data, attachment.type),
+            thumbnail: attachment.thumbnail ? fromBase64(attachment.thumbnail, 'image/jpeg') : null,
+        };
+    } catch {
+        throw new Error(t('The attachment {name} in the backup is damaged', { name: attachment.name }));
+    }
+});
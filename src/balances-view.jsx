@@ -0,0 +1,199 @@
+import {useEffect, useState} from 'react';
+import {Box, Paper, Typography} from '@mui/material';
+import {StyledButton, StyledTextField} from './styles';
+import {formatMoney} from './money';
+import {formatDate, t} from './i18n';
+import {
+    addPerson,
+    deletePerson,
+    loadBalances,
+    personName,
+    recordSettlements,
+    suggestTransfers,
+} from './splits';
+
+/** Number of recorded reimbursements listed */
+const SETTLEMENT_COUNT = 10;
+
+/**
+ * People and balances panel: the people expenses are shared with, who owes whom per
+ * currency, a settle up action that records the reimbursements, and recent reimbursements
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.people - Known people
+ * @param {Function} props.onPeopleChange - Called with the new people list after every change
+ * @param {*} props.reloadKey - Changes whenever stored expenses may have changed, which reloads the balances
+ * @param {Function} props.showMessage - Displays a status message to the user
+ * @returns {JSX.Element} BalancesView component
+ */
+const BalancesView = ({ people, onPeopleChange, reloadKey, showMessage }) => {
+    const [name, setName] = useState('');
+    const [balances, setBalances] = useState({});
+    const [settlements, setSettlements] = useState([]);
+    const [loadFailed, setLoadFailed] = useState(false);
+    const [revision, setRevision] = useState(0);
+
+    /**
+     * Loads balances and reimbursements whenever expenses change or a reimbursement is recorded
+     * @returns {void}
+     */
+    useEffect(() => {
+        let cancelled = false;
+        loadBalances()
+            .then((loaded) => {
+                if (cancelled) return;
+                setBalances(loaded.balances);
+                setSettlements(loaded.settlements);
+                setLoadFailed(false);
+            })
+            .catch((error) => {
+                console.error('Error loading balances:', error);
+                if (!cancelled) setLoadFailed(true);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [reloadKey, revision]);
+
+    /**
+     * Adds a person from the form
+     * @param {React.FormEvent<HTMLFormElement>} e - Form submission event
+     * @returns {Promise<void>}
+     */
+    const submitPerson = async (e) => {
+        e.preventDefault();
+        const trimmed = name.trim();
+        if (!trimmed) {
+            showMessage('Name is required', 'error');
+            return;
+        }
+        if (people.some((person) => person.name.toLowerCase() === trimmed.toLowerCase())) {
+            showMessage('A person with this name already exists', 'error');
+            return;
+        }
+        try {
+            const person = await addPerson(trimmed);
+            onPeopleChange([...people, person].sort((a, b) => a.name.localeCompare(b.name)));
+            setName('');
+            showMessage('Person Added Successfully!');
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+    };
+
+    /**
+     * Deletes a person who is not part of any shared expense
+     * @param {Object} person - Person to delete
+     * @returns {Promise<void>}
+     */
+    const removePerson = async (person) => {
+        try {
+            await deletePerson(person.id);
+            onPeopleChange(people.filter((p) => p.id !== person.id));
+            showMessage('Person Deleted');
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+    };
+
+    /**
+     * Records the reimbursements that zero out the balances of a currency
+     * @param {string} currency - Currency to settle
+     * @param {Array<{from: string, to: string, amount: number}>} transfers - Suggested reimbursements
+     * @returns {Promise<void>}
+     */
+    const settleUp = async (currency, transfers) => {
+        const details = transfers.map((transfer) => t('{from} pays {to} {amount}', {
+            from: personName(people, transfer.from),
+            to: personName(people, transfer.to),
+            amount: formatMoney(transfer.amount, currency),
+        }));
+        if (!window.confirm(t('Record these reimbursements?\n{details}', { details: details.join('\n') }))) {
+            return;
+        }
+        try {
+            await recordSettlements(transfers, currency);
+            setRevision((prev) => prev + 1);
+            showMessage(t('{currency} Balances Settled', { currency }));
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+    };
+
+    const open = Object.entries(balances)
+        .map(([currency, net]) => ({ currency, net, transfers: suggestTransfers(net) }))
+        .filter(({ transfers }) => transfers.length > 0);
+
+    return (
+        <Paper elevation={3} style={{ padding: '20px' }}>
+            <Typography variant='h5' gutterBottom>{t('People & Balances')}</Typography>
+            <form onSubmit={submitPerson}>
+                <Box display='flex' alignItems='center' gap={1}>
+                    <StyledTextField
+                        fullWidth
+                        margin='normal'
+                        label={t('Name')}
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                        required
+                    />
+                    <StyledButton type='submit'>{t('Add Person')}</StyledButton>
+                </Box>
+            </form>
+            {people.map((person) => (
+                <Box key={person.id} display='flex' alignItems='center' gap={1} mb={1}>
+                    <Typography variant='body1' flexGrow={1}>{person.name}</Typography>
+                    <StyledButton variant='delete' onClick={() => removePerson(person)}>{t('Delete')}</StyledButton>
+                </Box>
+            ))}
+
+            {loadFailed && (
+                <Typography variant='body1' style={{ color: 'red' }}>{t('Failed to load balances')}</Typography>
+            )}
+
+            <Box mt={3}>
+                <Typography variant='h6'>{t('Who Owes Whom')}</Typography>
+                {open.length === 0 && (
+                    <Typography variant='body2' style={{ color: 'gray' }}>{t('Everyone is settled up')}</Typography>
+                )}
+                {open.map(({ currency, net, transfers }) => (
+                    <Box key={currency} mb={2}>
+                        {Object.entries(net).filter(([, amount]) => amount !== 0).map(([id, amount]) => (
+                            <Typography key={id} variant='body2' style={{ color: amount > 0 ? 'limegreen' : 'red' }}>
+                                {t(amount > 0 ? '{name} is owed {amount}' : '{name} owes {amount}', {
+                                    name: personName(people, id),
+                                    amount: formatMoney(Math.abs(amount), currency),
+                                })}
+                            </Typography>
+                        ))}
+                        {transfers.map((transfer) => (
+                            <Typography key={`${transfer.from}-${transfer.to}`} variant='body2'>
+                                {personName(people, transfer.from)} → {personName(people, transfer.to)}: {formatMoney(transfer.amount, currency)}
+                            </Typography>
+                        ))}
+                        <StyledButton fullWidth sx={{ mt: 1 }} onClick={() => settleUp(currency, transfers)}>
+                            {t('Settle Up {currency}', { currency })}
+                        </StyledButton>
+                    </Box>
+                ))}
+            </Box>
+
+            {settlements.length > 0 && (
+                <Box mt={3}>
+                    <Typography variant='h6'>{t('Recent Reimbursements')}</Typography>
+                    {settlements.slice(0, SETTLEMENT_COUNT).map((s) => (
+                        <Typography key={s.id} variant='body2'>
+                            {formatDate(s.date)}: {t('{from} paid {to} {amount}', {
+                                from: personName(people, s.from),
+                                to: personName(people, s.to),
+                                amount: formatMoney(s.amount, s.currency),
+                            })}
+                        </Typography>
+                    ))}
+                </Box>
+            )}
+        </Paper>
+    );
+};
+
+export default BalancesView;
@@ -0,0 +1,146 @@
+import {useState} from 'react';
+import {Box, Checkbox, FormControlLabel, MenuItem, Paper, Typography} from '@mui/material';
+import {StyledButton, StyledTextField} from './styles';
+import {categoryLabel, resolveCategory} from './categories';
+import {TOTAL_BUDGET, deleteBudget, saveBudget} from './budgets';
+import {toDateString} from './expenses';
+import {amountStep, amountToInput, formatMoney, parseAmount} from './money';
+import {formatMonth, t} from './i18n';
+
+/**
+ * Budget settings panel for the overall and per-category monthly budgets
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.budgets - Stored budgets
+ * @param {Array<Object>} props.categories - Known categories
+ * @param {string} props.currency - Base currency the budgets are in
+ * @param {string} props.monthYear - Selected month, used as the start month of new budgets
+ * @param {Function} props.onBudgetsChange - Called with the new budget list after every change
+ * @param {Function} props.showMessage - Displays a status message to the user
+ * @returns {JSX.Element} BudgetManager component
+ */
+const BudgetManager = ({ budgets, categories, currency, monthYear, onBudgetsChange, showMessage }) => {
+    const [form, setForm] = useState({ category: TOTAL_BUDGET, amount: '', carryOver: false });
+
+    const label = (category) => (category === TOTAL_BUDGET ? t('Overall') : resolveCategory(categories, category).label);
+
+    /**
+     * Loads the stored values of the selected budget target into the form
+     * @param {string} category - Category key, or TOTAL_BUDGET
+     * @returns {void}
+     */
+    const selectCategory = (category) => {
+        const existing = budgets.find((budget) => budget.category === category);
+        setForm({
+            category,
+            amount: existing ? amountToInput(existing.amount, currency) : '',
+            carryOver: existing?.carryOver ?? false,
+        });
+    };
+
+    /**
+     * Stores the budget from the form; existing budgets keep their start month
+     * @param {React.FormEvent<HTMLFormElement>} e - Form submission event
+     * @returns {Promise<void>}
+     */
+    const submit = async (e) => {
+        e.preventDefault();
+        const amount = parseAmount(form.amount, currency);
+        if (!(amount > 0)) {
+            showMessage('Budget Must Be Greater Than 0', 'error');
+            return;
+        }
+        try {
+            const existing = budgets.find((budget) => budget.category === form.category);
+            const budget = {
+                category: form.category,
+                amount,
+                carryOver: form.carryOver,
+                startMonth: existing?.startMonth ?? (monthYear || toDateString().slice(0, 7)),
+            };
+            await saveBudget(budget);
+            onBudgetsChange([...budgets.filter((b) => b.category !== budget.category), budget]);
+            showMessage('Budget Saved Successfully!');
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+    };
+
+    /**
+     * Removes a budget
+     * @param {string} category - Category key of the budget, or TOTAL_BUDGET
+     * @returns {Promise<void>}
+     */
+    const remove = async (category) => {
+        try {
+            await deleteBudget(category);
+            onBudgetsChange(budgets.filter((budget) => budget.category !== category));
+            showMessage('Budget Removed Successfully!');
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+    };
+
+    return (
+        <Paper elevation={3} style={{ padding: '20px' }}>
+            <Typography variant='h5' gutterBottom>{t('Monthly Budgets')}</Typography>
+            <form onSubmit={submit}>
+                <StyledTextField
+                    fullWidth
+                    margin='normal'
+                    select
+                    label={t('Budget For')}
+                    value={form.category}
+                    onChange={(e) => selectCategory(e.target.value)}
+                >
+                    <MenuItem value={TOTAL_BUDGET}>{t('Overall')}</MenuItem>
+                    {categories.filter((c) => !c.archived).map((category) => (
+                        <MenuItem key={category.key} value={category.key}>{categoryLabel(category)}</MenuItem>
+                    ))}
+                </StyledTextField>
+                <StyledTextField
+                    fullWidth
+                    margin='normal'
+                    label={t('Monthly Amount ({currency})', { currency })}
+                    type='number'
+                    value={form.amount}
+                    onChange={(e) => setForm((prev) => ({ ...prev, amount: e.target.value }))}
+                    required
+                    inputProps={{ step: amountStep(currency), min: '0' }}
+                />
+                <FormControlLabel
+                    control={(
+                        <Checkbox
+                            checked={form.carryOver}
+                            onChange={(e) => setForm((prev) => ({ ...prev, carryOver: e.target.checked }))}
+                        />
+                    )}
+                    label={t('Carry over unused amounts to the next month')}
+                />
+                <StyledButton type='submit' fullWidth>
+                    {t('Save Budget')}
+                </StyledButton>
+            </form>
+            <Box mt={3}>
+                {budgets.map((budget) => (
+                    <Box key={budget.category} display='flex' alignItems='center' gap={1} mb={1}>
+                        <Typography variant='body1' flexGrow={1}>
+                            {t(budget.carryOver
+                                ? '{name}: {amount} per month, with carry-over (since {month})'
+                                : '{name}: {amount} per month (since {month})', {
+                                name: label(budget.category),
+                                amount: formatMoney(budget.amount, currency),
+                                month: formatMonth(budget.startMonth),
+                            })}
+                        </Typography>
+                        <StyledButton variant='delete' onClick={() => remove(budget.category)}>
+                            {t('Remove')}
+                        </StyledButton>
+                    </Box>
+                ))}
+            </Box>
+        </Paper>
+    );
+};
+
+export default BudgetManager;
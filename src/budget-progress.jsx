@@ -0,0 +1,55 @@
+import {Box, LinearProgress, Typography} from '@mui/material';
+import {resolveCategory} from './categories';
+import {TOTAL_BUDGET} from './budgets';
+import {formatMoney} from './money';
+import {t} from './i18n';
+
+/**
+ * Spent versus budget progress bars for the selected month
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.statuses - Budget statuses from `loadBudgetStatus`
+ * @param {Array<Object>} props.categories - Known categories
+ * @param {string} props.currency - Base currency the budgets are in
+ * @returns {JSX.Element|null} BudgetProgress component, or nothing when no budget applies
+ */
+const BudgetProgress = ({ statuses, categories, currency }) => {
+    if (statuses.length === 0) return null;
+
+    /* Overall budget first, then categories in label order */
+    const label = (status) => (status.category === TOTAL_BUDGET
+        ? t('Overall')
+        : resolveCategory(categories, status.category).label);
+    const sorted = [...statuses].sort((a, b) => (a.category === TOTAL_BUDGET ? -1 : b.category === TOTAL_BUDGET
+        ? 1
+        : label(a).localeCompare(label(b))));
+
+    return (
+        <Box mt={2}>
+            <Typography variant='h6'>{t('Budgets')}</Typography>
+            {sorted.map((status) => {
+                const over = status.spent > status.limit;
+                return (
+                    <Box key={status.category} mt={1}>
+                        <Typography variant='body2' style={{ color: over ? 'red' : undefined }}>
+                            {t('{name}: {spent} of {limit}', {
+                                name: label(status),
+                                spent: formatMoney(status.spent, currency),
+                                limit: formatMoney(status.limit, currency),
+                            })}
+                            {status.carried > 0 && ` ${t('(incl. {amount} carried over)', { amount: formatMoney(status.carried, currency) })}`}
+                            {over && ` - ${t('over by {amount}', { amount: formatMoney(status.spent - status.limit, currency) })}`}
+                        </Typography>
+                        <LinearProgress
+                            variant='determinate'
+                            color={over ? 'error' : 'primary'}
+                            value={status.limit > 0 ? Math.min(100, (status.spent / status.limit) * 100) : 100}
+                        />
+                    </Box>
+                );
+            })}
+        </Box>
+    );
+};
+
+export default BudgetProgress;
@@ -0,0 +1,104 @@
+/**
+ * Monthly budget storage and spending checks
+ * Budgets are kept in the `budgets` store as { category, amount, carryOver, startMonth }
+ * and apply to every month from `startMonth` on; amounts are integer minor units of the base currency
+ * @module budgets
+ */
+
+import {budgetDB, expenseDB} from './db';
+import {addMonths, isIncome, monthRange} from './expenses';
+
+/** Category key of the overall budget, which covers spending in every category */
+export const TOTAL_BUDGET = '*';
+
+/**
+ * Loads all budgets
+ * @returns {Promise<Array<Object>>} A promise that resolves with the stored budgets
+ */
+export const loadBudgets = () => budgetDB.getAll();
+
+/**
+ * Creates or updates a budget
+ * @param {Object} budget - Budget to store
+ * @returns {Promise<string>} A promise that resolves with the budget's category key
+ */
+export const saveBudget = (budget) => budgetDB.save(budget);
+
+/**
+ * Removes a budget
+ * @param {string} category - Category key of the budget, or TOTAL_BUDGET
+ * @returns {Promise<undefined>}
+ */
+export const deleteBudget = (category) => budgetDB.delete(category);
+
+/**
+ * Computes spent versus budget for every budget in a month
+ * With carry-over enabled, the unused part of each earlier month since `startMonth`
+ * is added to the month's limit; overspending never reduces later limits
+ * Budgets and spending are in the base currency; expenses without a known rate count as zero
+ * and income is left out
+ * @param {Array<Object>} budgets - Stored budgets
+ * @param {string} monthYear - Month in `YYYY-MM` format
+ * @param {function(Object): (number|null)} toBase - Converts an expense to the base currency
+ * @returns {Promise<Array<{category: string, amount: number, carried: number, limit: number, spent: number}>>}
+ * A promise that resolves with one status per budget that applies to the month
+ */
+export const loadBudgetStatus = async (budgets, monthYear, toBase) => {
+    const active = budgets.filter((budget) => budget.startMonth <= monthYear);
+    if (active.length === 0) return [];
+
+    const firstMonth = active.reduce(
+        (first, budget) => (budget.carryOver && budget.startMonth < first ? budget.startMonth : first),
+        monthYear
+    );
+    const expenses = await expenseDB.getRange('date', monthRange(firstMonth)[0], monthRange(monthYear)[1]);
+
+    /* Spending per month, per category and in total */
+    const spending = {};
+    expenses.filter((expense) => !isIncome(expense)).forEach((expense) => {
+        const month = expense.date.slice(0, 7);
+        const amount = toBase(expense) ?? 0;
+        spending[month] ??= { [TOTAL_BUDGET]: 0 };
+        spending[month][expense.category] = (spending[month][expense.category] || 0) + amount;
+        spending[month][TOTAL_BUDGET] += amount;
+    });
+    const spentIn = (month, category) => spending[month]?.[category] || 0;
+
+    return active.map((budget) => {
+        let carried = 0;
+        if (budget.carryOver) {
+            for (let month = budget.startMonth; month < monthYear; month = addMonths(month, 1)) {
+                carried = Math.max(0, carried + budget.amount - spentIn(month, budget.category));
+            }
+        }
+        return {
+            category: budget.category,
+            amount: budget.amount,
+            carried,
+            limit: budget.amount + carried,
+            spent: spentIn(monthYear, budget.category),
+        };
+    });
+};
+
+/**
+ * Finds the budgets an expense would push over their limit
+ * @param {Array<Object>} statuses - Budget statuses of the expense's month from `loadBudgetStatus`
+ * @param {Object} expense - Expense about to be saved
+ * @param {Object} [previous] - Stored version of the expense when it is being edited
+ * @param {function(Object): (number|null)} toBase - Converts an expense to the base currency
+ * @returns {Array<{category: string, limit: number, spent: number}>} Exceeded budgets with the spending they would reach
+ */
+export const findBudgetOverruns = (statuses, expense, previous, toBase) => {
+    if (isIncome(expense)) return [];
+    const month = expense.date.slice(0, 7);
+    const sameMonth = previous && !isIncome(previous) && previous.date.slice(0, 7) === month;
+    return statuses
+        .filter((status) => status.category === TOTAL_BUDGET || status.category === expense.category)
+        .map((status) => {
+            const counted = sameMonth && (status.category === TOTAL_BUDGET || previous.category === status.category);
+            const removed = counted ? toBase(previous) ?? 0 : 0;
+            return { ...status, spent: status.spent - removed + (toBase(expense) ?? 0) };
+        })
+        .filter((status) => status.spent > status.limit);
+};
@@ -0,0 +1,67 @@
+import {useState} from 'react';
+import {Box, MenuItem, Typography} from '@mui/material';
+import {StyledButton, StyledTextField} from './styles';
+import {categoryLabel} from './categories';
+import {t} from './i18n';
+
+/**
+ * Actions for the selected expenses of the list: delete, recategorize and move to another date
+ * @component
+ * @param {Object} props - Component props
+ * @param {number} props.count - Number of selected expenses
+ * @param {Array<Object>} props.categories - Categories the expenses can be moved to
+ * @param {Function} props.onDelete - Called to delete the selection
+ * @param {Function} props.onRecategorize - Called with the new category key
+ * @param {Function} props.onMove - Called with the new date in `YYYY-MM-DD` format
+ * @param {Function} props.onClear - Called to clear the selection
+ * @returns {JSX.Element} BulkActions component
+ */
+const BulkActions = ({ count, categories, onDelete, onRecategorize, onMove, onClear }) => {
+    const [picked, setPicked] = useState('');
+    const [date, setDate] = useState('');
+    /* The offered categories follow the selection's kind, so a pick that no longer fits is dropped */
+    const category = categories.some((c) => c.key === picked) ? picked : '';
+
+    return (
+        <Box mt={2} p={2} border={1} borderRadius={1} borderColor='divider'>
+            <Box display='flex' alignItems='center' gap={1}>
+                <Typography variant='body1' flexGrow={1}>{t('{count} selected', { count })}</Typography>
+                <StyledButton onClick={onClear}>{t('Clear Selection')}</StyledButton>
+                <StyledButton variant='delete' onClick={onDelete}>{t('Delete Selected')}</StyledButton>
+            </Box>
+            <Box display='flex' alignItems='center' gap={1}>
+                <StyledTextField
+                    fullWidth
+                    margin='normal'
+                    select
+                    label={t('New Category')}
+                    value={category}
+                    onChange={(e) => setPicked(e.target.value)}
+                >
+                    {categories.map((c) => (
+                        <MenuItem key={c.key} value={c.key}>{categoryLabel(c)}</MenuItem>
+                    ))}
+                </StyledTextField>
+                <StyledButton disabled={!category} onClick={() => onRecategorize(category)}>
+                    {t('Recategorize')}
+                </StyledButton>
+            </Box>
+            <Box display='flex' alignItems='center' gap={1}>
+                <StyledTextField
+                    fullWidth
+                    margin='normal'
+                    label={t('New Date')}
+                    type='date'
+                    value={date}
+                    onChange={(e) => setDate(e.target.value)}
+                    InputLabelProps={{ shrink: true }}
+                />
+                <StyledButton disabled={!date} onClick={() => onMove(date)}>
+                    {t('Move')}
+                </StyledButton>
+            </Box>
+        </Box>
+    );
+};
+
+export default BulkActions;
@@ -0,0 +1,146 @@
+import {useEffect, useMemo, useRef, useState} from 'react';
+import {Chart} from 'chart.js/auto';
+import {useTheme} from '@mui/material/styles';
+import {Box, MenuItem, Paper, Typography} from '@mui/material';
+import {StyledTextField, themeChart} from './styles';
+import {toDateString} from './expenses';
+import {formatMoney} from './money';
+import {formatMonth, getLanguage, localizeChart, t} from './i18n';
+import {MONTH_COUNTS, reportMonths} from './reports';
+import {loadCashFlow, monthlyCashFlow} from './cashflow';
+
+/** Colors of the income bars, spending bars and balance line */
+const COLORS = {
+    income: '#2e7d32',
+    spending: '#cc184e',
+    balance: '#0066cc',
+};
+
+/**
+ * Cash flow over the last months: income and spending bars per month and a line with the
+ * running balance at the end of every month
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.baseCurrency - Currency the amounts are shown in
+ * @param {function(Object): (number|null)} props.toBase - Converts an entry to the base currency
+ * @param {*} props.reloadKey - Changes whenever stored entries may have changed, which reloads the chart
+ * @returns {JSX.Element} CashFlowView component
+ */
+const CashFlowView = ({ baseCurrency, toBase, reloadKey }) => {
+    const today = toDateString();
+    const [count, setCount] = useState(12);
+    const [loaded, setLoaded] = useState({ entries: [], opening: 0 });
+    const [loadFailed, setLoadFailed] = useState(false);
+    const canvasRef = useRef(null);
+    const chartRef = useRef(null);
+    const language = getLanguage();
+    const theme = useTheme();
+
+    const months = useMemo(() => reportMonths({ mode: 'months', count }, today.slice(0, 7)), [count, today]);
+    const flow = useMemo(
+        () => monthlyCashFlow(loaded.entries, months, toBase, loaded.opening),
+        [loaded, months, toBase]
+    );
+
+    /**
+     * Loads the entries of the months and the balance before them
+     * @returns {void}
+     */
+    useEffect(() => {
+        let cancelled = false;
+        loadCashFlow(months, toBase)
+            .then((result) => {
+                if (cancelled) return;
+                setLoaded(result);
+                setLoadFailed(false);
+            })
+            .catch((error) => {
+                console.error('Error loading cash flow:', error);
+                if (!cancelled) setLoadFailed(true);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [months, toBase, reloadKey]);
+
+    /**
+     * Draws income and spending as bars and the running balance as a line on the same scale
+     * @returns {void}
+     */
+    useEffect(() => {
+        const data = {
+            labels: months.map(formatMonth),
+            datasets: [
+                { type: 'line', label: t('Balance'), data: flow.balance, borderColor: COLORS.balance, backgroundColor: COLORS.balance },
+                { type: 'bar', label: t('Income'), data: flow.income, backgroundColor: COLORS.income },
+                { type: 'bar', label: t('Spending'), data: flow.spending, backgroundColor: COLORS.spending },
+            ],
+        };
+        const tooltipLabel = (context) => `${context.dataset.label}: ${formatMoney(context.raw || 0, baseCurrency)}`;
+        const tickLabel = (value) => formatMoney(value, baseCurrency);
+
+        if (chartRef.current) {
+            chartRef.current.data = data;
+            chartRef.current.options.plugins.tooltip.callbacks.label = tooltipLabel;
+            chartRef.current.options.scales.y.ticks.callback = tickLabel;
+            localizeChart(chartRef.current.options);
+            themeChart(chartRef.current.options, theme);
+            chartRef.current.update();
+            return;
+        }
+        chartRef.current = new Chart(canvasRef.current.getContext('2d'), {
+            type: 'bar',
+            data,
+            options: themeChart(localizeChart({
+                responsive: true,
+                scales: {
+                    x: {},
+                    y: { ticks: { callback: tickLabel } },
+                },
+                plugins: {
+                    legend: { position: 'top' },
+                    tooltip: { callbacks: { label: tooltipLabel } },
+                },
+            }), theme),
+        });
+    }, [months, flow, baseCurrency, language, theme]);
+
+    /* Destroy the chart when the view unmounts */
+    useEffect(() => () => {
+        chartRef.current?.destroy();
+        chartRef.current = null;
+    }, []);
+
+    const closing = flow.balance[flow.balance.length - 1];
+
+    return (
+        <Paper elevation={3} style={{ padding: '20px' }}>
+            <Typography variant='h5' gutterBottom>{t('Cash Flow')}</Typography>
+            <Box display='flex' alignItems='center' gap={2}>
+                <StyledTextField
+                    margin='normal'
+                    select
+                    label={t('Months')}
+                    value={count}
+                    onChange={(e) => setCount(Number(e.target.value))}
+                    sx={{ minWidth: 100 }}
+                >
+                    {MONTH_COUNTS.map((option) => (
+                        <MenuItem key={option} value={option}>{option}</MenuItem>
+                    ))}
+                </StyledTextField>
+                <Typography variant='body1' style={{ color: closing < 0 ? 'red' : 'limegreen' }}>
+                    {t('Balance: {amount}', { amount: formatMoney(closing, baseCurrency) })}
+                </Typography>
+            </Box>
+
+            {loadFailed && (
+                <Typography variant='body1' style={{ color: 'red' }}>{t('Failed to load the cash flow')}</Typography>
+            )}
+
+            <canvas ref={canvasRef} id='cashFlowChart' style={{ marginTop: '20px' }}></canvas>
+        </Paper>
+    );
+};
+
+export default CashFlowView;
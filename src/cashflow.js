@@ -0,0 +1,84 @@
+/**
+ * Cash flow: income against spending per month and the running balance across months
+ * All amounts are integer minor units of the base currency; entries without a known
+ * exchange rate count as zero, like in the pie chart and the reports
+ * @module cashflow
+ */
+
+import {expenseDB} from './db';
+import {isIncome, loadExpensesBetween, monthRange} from './expenses';
+
+/**
+ * Sums income and spending of entries
+ * @param {Array<Object>} entries - Expenses and income
+ * @param {function(Object): (number|null)} toBase - Converts an entry to the base currency
+ * @returns {{income: number, spending: number, net: number}} Totals, with `net` negative when
+ * more was spent than earned
+ */
+export const cashFlowTotals = (entries, toBase) => {
+    const totals = { income: 0, spending: 0 };
+    entries.forEach((entry) => {
+        totals[isIncome(entry) ? 'income' : 'spending'] += toBase(entry) ?? 0;
+    });
+    return { ...totals, net: totals.income - totals.spending };
+};
+
+/**
+ * Adds an entry to a balance, income raising it and spending lowering it
+ * @param {number} balance - Balance before the entry
+ * @param {Object} entry - Expense or income
+ * @param {function(Object): (number|null)} toBase - Converts an entry to the base currency
+ * @returns {number} Balance after the entry
+ */
+const addToBalance = (balance, entry, toBase) => {
+    const amount = toBase(entry) ?? 0;
+    return balance + (isIncome(entry) ? amount : -amount);
+};
+
+/**
+ * Computes income, spending and net per month, and the balance at the end of every month
+ * The balance starts from the net of everything before the first month, so it matches
+ * the balance of all recorded entries
+ * @param {Array<Object>} entries - Entries of the months, and any earlier ones not counted in `opening`
+ * @param {string[]} months - Months in ascending `YYYY-MM` order
+ * @param {function(Object): (number|null)} toBase - Converts an entry to the base currency
+ * @param {number} [opening=0] - Balance of the earlier entries left out of `entries`
+ * @returns {{opening: number, income: number[], spending: number[], net: number[], balance: number[]}}
+ * Amounts per month, in the order of `months`, and the balance before the first month
+ */
+export const monthlyCashFlow = (entries, months, toBase, opening = 0) => {
+    const income = months.map(() => 0);
+    const spending = months.map(() => 0);
+    entries.forEach((entry) => {
+        const index = months.indexOf(entry.date.slice(0, 7));
+        if (index !== -1) {
+            (isIncome(entry) ? income : spending)[index] += toBase(entry) ?? 0;
+        } else if (entry.date < months[0]) {
+            opening = addToBalance(opening, entry, toBase);
+        }
+    });
+    const net = months.map((_, i) => income[i] - spending[i]);
+    let running = opening;
+    const balance = net.map((amount) => {
+        running += amount;
+        return running;
+    });
+    return { opening, income, spending, net, balance };
+};
+
+/**
+ * Loads the entries of the months through the date index, and sums the balance of everything
+ * before them with a cursor, so the earlier history is never held in memory
+ * @param {string[]} months - Months in ascending order
+ * @param {function(Object): (number|null)} toBase - Converts an entry to the base currency
+ * @returns {Promise<{entries: Array<Object>, opening: number}>} A promise that resolves with the
+ * entries of the months, newest first, and the balance before the first month
+ */
+export const loadCashFlow = async (months, toBase) => {
+    const [first] = monthRange(months[0]);
+    const [entries, opening] = await Promise.all([
+        loadExpensesBetween([first, monthRange(months[months.length - 1])[1]]),
+        expenseDB.reduce('date', IDBKeyRange.upperBound(first, true), (balance, entry) => addToBalance(balance, entry, toBase), 0),
+    ]);
+    return { entries, opening };
+};
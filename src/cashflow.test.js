@@ -0,0 +1,55 @@
+/**
+ * Tests of the income, spending and balance figures of the cash flow chart
+ */
+
+import {describe, expect, it} from 'vitest';
+import {cashFlowTotals, loadCashFlow, monthlyCashFlow} from './cashflow';
+import {expenseDB} from './db';
+
+/** Amounts are already in the base currency */
+const toBase = (entry) => entry.amount;
+
+const ENTRIES = [
+    { date: '2024-01-15', amount: 5000, kind: 'income' },
+    { date: '2024-01-20', amount: 1000 },
+    { date: '2024-02-01', amount: 3000, kind: 'income' },
+    { date: '2024-02-14', amount: 1000 },
+    { date: '2024-03-31', amount: 2500 },
+];
+
+describe('cashFlowTotals', () => {
+    it('sums income against spending', () => {
+        expect(cashFlowTotals(ENTRIES, toBase)).toEqual({ income: 8000, spending: 4500, net: 3500 });
+    });
+
+    it('counts entries without an exchange rate as zero', () => {
+        expect(cashFlowTotals(ENTRIES, (entry) => (entry.kind ? null : entry.amount))).toEqual({
+            income: 0,
+            spending: 4500,
+            net: -4500,
+        });
+    });
+});
+
+describe('monthlyCashFlow', () => {
+    it('splits the months and carries the balance over from earlier entries', () => {
+        expect(monthlyCashFlow(ENTRIES, ['2024-02', '2024-03'], toBase)).toEqual({
+            opening: 4000,
+            income: [3000, 0],
+            spending: [1000, 2500],
+            net: [2000, -2500],
+            balance: [6000, 3500],
+        });
+    });
+});
+
+describe('loadCashFlow', () => {
+    it('loads the entries of the months and sums the earlier ones into the opening balance', async () => {
+        await expenseDB.bulkPut(ENTRIES.map((entry, i) => ({ ...entry, category: 'food', description: `Entry ${i}` })));
+
+        const { entries, opening } = await loadCashFlow(['2024-02', '2024-03'], toBase);
+        expect(entries.map((entry) => entry.date)).toEqual(['2024-03-31', '2024-02-14', '2024-02-01']);
+        expect(opening).toBe(4000);
+        expect(monthlyCashFlow(entries, ['2024-02', '2024-03'], toBase, opening).balance).toEqual([6000, 3500]);
+    });
+});
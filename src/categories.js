@@ -0,0 +1,146 @@
+/**
+ * Category storage and lookup helpers
+ * Categories are kept in the `categories` store as { key, label, color, archived, kind }, where
+ * `kind` is `income` for income categories and missing for expense categories
+ * @module categories
+ */
+
+import {categoryDB, expenseDB} from './db';
+import {isIncome} from './expenses';
+import {t} from './i18n';
+import {DEFAULT_CATEGORIES, DEFAULT_INCOME_CATEGORIES} from './schema';
+
+/** Color used for expenses whose category no longer exists */
+export const FALLBACK_COLOR = '#808080';
+
+/** Categories seeded by the schema, whose English labels are translated until the user renames them */
+const SEEDED_CATEGORIES = [...DEFAULT_CATEGORIES, ...DEFAULT_INCOME_CATEGORIES];
+
+/**
+ * Loads all categories; the built-in ones are seeded by the schema migration
+ * @returns {Promise<Array<Object>>} A promise that resolves with the stored categories
+ */
+export const loadCategories = () => categoryDB.getAll();
+
+/**
+ * Returns the label a category is shown with: a built-in category still carrying its seeded
+ * label shows it in the active language, any other label is shown as the user typed it
+ * @param {{key: string, label: string}} category - Category to label
+ * @returns {string} Label to display
+ */
+export const categoryLabel = (category) => (
+    SEEDED_CATEGORIES.some((c) => c.key === category.key && c.label === category.label)
+        ? t(category.label)
+        : category.label
+);
+
+/**
+ * Looks up a category by key, falling back to a placeholder for deleted categories
+ * so expenses that reference them can still be displayed and charted
+ * The label is the one to display, see `categoryLabel`
+ * @param {Array<Object>} categories - Known categories
+ * @param {string} key - Category key stored on the expense
+ * @returns {{key: string, label: string, color: string, archived: boolean, missing?: boolean}}
+ */
+export const resolveCategory = (categories, key) => {
+    const category = categories.find((c) => c.key === key);
+    if (category) {
+        return { ...category, label: categoryLabel(category) };
+    }
+    return {
+        key,
+        label: key ? t('{name} (deleted)', { name: key }) : t('Uncategorized'),
+        color: FALLBACK_COLOR,
+        archived: true,
+        missing: true,
+    };
+};
+
+/**
+ * Sums spending per category for the pie chart, which shows where the money went, so income is left out
+ * @param {Array<Object>} expenses - Expenses and income to sum
+ * @param {function(Object): (number|null)} toBase - Converts an expense to the base currency
+ * @returns {Object<string, number>} Totals in minor units of the base currency keyed by category key,
+ * in the order the categories first appear
+ */
+export const categoryTotals = (expenses, toBase) => expenses
+    .filter((expense) => !isIncome(expense))
+    .reduce((totals, expense) => {
+        totals[expense.category] = (totals[expense.category] ?? 0) + (toBase(expense) ?? 0);
+        return totals;
+    }, {});
+
+/**
+ * Builds a unique category key from a label
+ * @param {string} label - Human readable category label
+ * @param {Array<Object>} categories - Existing categories whose keys must not be reused
+ * @returns {string} A lowercase key not used by any existing category
+ */
+export const createCategoryKey = (label, categories) => {
+    const base = label.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'category';
+    let key = base;
+    for (let i = 2; categories.some((c) => c.key === key); i++) {
+        key = `${base}-${i}`;
+    }
+    return key;
+};
+
+/**
+ * Creates or updates a category
+ * @param {Object} category - Category to store
+ * @returns {Promise<string>} A promise that resolves with the category key
+ */
+export const saveCategory = (category) => categoryDB.save(category);
+
+/**
+ * Deletes a category definition; expenses keep their key and fall back to a placeholder
+ * @param {string} key - Key of the category to delete
+ * @returns {Promise<undefined>}
+ */
+export const deleteCategory = (key) => categoryDB.delete(key);
+
+/**
+ * Moves every expense from one category to another and removes the source category
+ * Recurring templates and trashed expenses move along, and the source's budget is added to the
+ * target's, so nothing keeps pointing at the removed category
+ * Runs in a single transaction, so either everything moves or nothing does
+ * @param {string} sourceKey - Category being merged away
+ * @param {string} targetKey - Category that receives the expenses
+ * @returns {Promise<Array<Object>>} A promise that resolves with the updated expenses
+ */
+export const mergeCategories = (sourceKey, targetKey) =>
+    expenseDB.transaction(
+        ['expenses', 'categories', 'recurring', 'budgets', 'trash'],
+        'readwrite',
+        ({ expenses, categories, recurring, budgets, trash }) => {
+            const moved = [];
+            const request = expenses.index('category').getAll(sourceKey);
+            request.onsuccess = () => {
+                request.result.forEach((expense) => {
+                    const updated = { ...expense, category: targetKey };
+                    expenses.put(updated);
+                    moved.push(updated);
+                });
+                categories.delete(sourceKey);
+            };
+            [recurring, trash].forEach((store) => {
+                const records = store.getAll();
+                records.onsuccess = () => {
+                    records.result
+                        .filter((record) => record.category === sourceKey)
+                        .forEach((record) => store.put({ ...record, category: targetKey }));
+                };
+            });
+            const sourceBudget = budgets.get(sourceKey);
+            const targetBudget = budgets.get(targetKey);
+            targetBudget.onsuccess = () => {
+                if (!sourceBudget.result) return;
+                const budget = targetBudget.result
+                    ? { ...targetBudget.result, amount: targetBudget.result.amount + sourceBudget.result.amount }
+                    : { ...sourceBudget.result, category: targetKey };
+                budgets.put(budget);
+                budgets.delete(sourceKey);
+            };
+            return moved;
+        }
+    );
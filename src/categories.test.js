@@ -0,0 +1,91 @@
+/**
+ * Tests of category lookup, merging and the per-category totals of the pie chart
+ */
+
+import {describe, expect, it} from 'vitest';
+import {FALLBACK_COLOR, categoryLabel, categoryTotals, createCategoryKey, mergeCategories, resolveCategory} from './categories';
+import {createConverter} from './currency';
+import {budgetDB, categoryDB, expenseDB, recurringDB, trashDB} from './db';
+import {setLanguage} from './i18n';
+import {DEFAULT_CATEGORIES} from './schema';
+
+describe('categoryTotals', () => {
+    it('sums spending per category in the order categories first appear, leaving income out', () => {
+        const entries = [
+            { category: 'transportation', amount: 750, date: '2024-03-02' },
+            { category: 'food', amount: 1000, date: '2024-03-03' },
+            { category: 'salary', amount: 300000, date: '2024-03-01', kind: 'income' },
+            { category: 'food', amount: 500, date: '2024-03-04' },
+        ];
+
+        const totals = categoryTotals(entries, (expense) => expense.amount);
+        expect(totals).toEqual({ transportation: 750, food: 1500 });
+        expect(Object.keys(totals)).toEqual(['transportation', 'food']);
+    });
+
+    it('converts to the base currency and counts expenses without a rate as zero', () => {
+        const toBase = createConverter('USD', [{ from: 'EUR', to: 'USD', date: '2024-01-01', rate: 1.1 }]);
+        const entries = [
+            { category: 'food', amount: 1000, currency: 'EUR', date: '2024-03-03' },
+            { category: 'food', amount: 250, currency: 'USD', date: '2024-03-04' },
+            { category: 'other', amount: 5000, currency: 'JPY', date: '2024-03-05' },
+        ];
+
+        expect(categoryTotals(entries, toBase)).toEqual({ food: 1350, other: 0 });
+    });
+
+    it('returns no slices for no expenses', () => {
+        expect(categoryTotals([], (expense) => expense.amount)).toEqual({});
+    });
+});
+
+describe('resolveCategory', () => {
+    it('finds known categories and stands in for deleted ones', () => {
+        expect(resolveCategory(DEFAULT_CATEGORIES, 'food').label).toBe('Food');
+        expect(resolveCategory(DEFAULT_CATEGORIES, 'pets')).toMatchObject({
+            label: 'pets (deleted)',
+            color: FALLBACK_COLOR,
+            missing: true,
+        });
+        expect(resolveCategory(DEFAULT_CATEGORIES, '').label).toBe('Uncategorized');
+    });
+});
+
+describe('categoryLabel', () => {
+    it('translates built-in labels until the user renames them', () => {
+        setLanguage('de');
+        try {
+            expect(categoryLabel(DEFAULT_CATEGORIES[0])).toBe('Essen');
+            expect(resolveCategory(DEFAULT_CATEGORIES, 'food').label).toBe('Essen');
+            expect(categoryLabel({ ...DEFAULT_CATEGORIES[0], label: 'Groceries' })).toBe('Groceries');
+            expect(categoryLabel({ key: 'pets', label: 'Food' })).toBe('Food');
+        } finally {
+            setLanguage('en');
+        }
+    });
+});
+
+describe('createCategoryKey', () => {
+    it('builds unused keys from labels', () => {
+        expect(createCategoryKey('Health Care', DEFAULT_CATEGORIES)).toBe('health-care');
+        expect(createCategoryKey('Food', DEFAULT_CATEGORIES)).toBe('food-2');
+    });
+});
+
+describe('mergeCategories', () => {
+    it('moves expenses, templates, trashed expenses and budgets to the target', async () => {
+        await expenseDB.save({ amount: 1000, currency: 'USD', category: 'entertainment', description: 'Cinema', date: '2024-03-05' });
+        await recurringDB.save({ amount: 1500, currency: 'USD', category: 'entertainment', description: 'Streaming', frequency: 'monthly' });
+        await trashDB.save({ id: 99, amount: 500, currency: 'USD', category: 'entertainment', description: 'Concert', date: '2024-03-01' });
+        await budgetDB.save({ category: 'entertainment', amount: 5000, carryOver: false, startMonth: '2024-01' });
+        await budgetDB.save({ category: 'food', amount: 20000, carryOver: true, startMonth: '2024-02' });
+
+        const moved = await mergeCategories('entertainment', 'food');
+
+        expect(moved).toEqual([expect.objectContaining({ description: 'Cinema', category: 'food' })]);
+        expect(await recurringDB.getAll()).toEqual([expect.objectContaining({ category: 'food' })]);
+        expect(await trashDB.getAll()).toEqual([expect.objectContaining({ category: 'food' })]);
+        expect(await budgetDB.getAll()).toEqual([{ category: 'food', amount: 25000, carryOver: true, startMonth: '2024-02' }]);
+        expect((await categoryDB.getAll()).some((c) => c.key === 'entertainment')).toBe(false);
+    });
+});
@@ -0,0 +1,231 @@
+import {useState} from 'react';
+import {Box, MenuItem, Paper, Typography} from '@mui/material';
+import {StyledButton, StyledTextField} from './styles';
+import {categoryLabel, createCategoryKey, deleteCategory, mergeCategories, saveCategory} from './categories';
+import {ENTRY_KINDS, isIncome} from './expenses';
+import {t} from './i18n';
+
+/**
+ * Single editable category row with rename, color, archive, merge and delete actions
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.category - Category being edited
+ * @param {Array<Object>} props.categories - All categories; those of the same kind are merge targets
+ * @param {Function} props.onSave - Called with the updated category
+ * @param {Function} props.onMerge - Called with the source and target keys
+ * @param {Function} props.onDelete - Called with the category key
+ * @returns {JSX.Element} Category row
+ */
+const CategoryRow = ({ category, categories, onSave, onMerge, onDelete }) => {
+    const [label, setLabel] = useState(categoryLabel(category));
+    const [color, setColor] = useState(category.color);
+    const [mergeTarget, setMergeTarget] = useState('');
+    const targets = categories.filter((c) => c.key !== category.key && isIncome(c) === isIncome(category));
+    /* An unchanged label keeps the stored one, so a built-in category stays translated */
+    const rename = (text) => (text === categoryLabel(category) ? category.label : text);
+
+    return (
+        <Box mb={3} pb={2} borderBottom={1} borderColor='divider'>
+            <Box display='flex' gap={1} alignItems='center'>
+                <StyledTextField
+                    fullWidth
+                    margin='dense'
+                    label={`${t(isIncome(category) ? 'Income Label' : 'Label')}${category.archived ? ` ${t('(archived)')}` : ''}`}
+                    value={label}
+                    onChange={(e) => setLabel(e.target.value)}
+                />
+                <StyledTextField
+                    margin='dense'
+                    label={t('Color')}
+                    type='color'
+                    value={color}
+                    onChange={(e) => setColor(e.target.value)}
+                    sx={{ width: 90 }}
+                />
+            </Box>
+            <Box display='flex' gap={1} mt={1}>
+                <StyledButton fullWidth onClick={() => onSave({ ...category, label: rename(label.trim()), color })}>
+                    {t('Save')}
+                </StyledButton>
+                <StyledButton fullWidth onClick={() => onSave({ ...category, archived: !category.archived })}>
+                    {t(category.archived ? 'Restore' : 'Archive')}
+                </StyledButton>
+                <StyledButton fullWidth variant='delete' onClick={() => onDelete(category.key)}>
+                    {t('Delete')}
+                </StyledButton>
+            </Box>
+            <Box display='flex' gap={1} alignItems='center'>
+                <StyledTextField
+                    fullWidth
+                    margin='dense'
+                    select
+                    label={t('Merge into')}
+                    value={mergeTarget}
+                    onChange={(e) => setMergeTarget(e.target.value)}
+                >
+                    {targets.map((c) => (
+                        <MenuItem key={c.key} value={c.key}>{categoryLabel(c)}</MenuItem>
+                    ))}
+                </StyledTextField>
+                <StyledButton disabled={!mergeTarget} onClick={() => onMerge(category.key, mergeTarget)}>
+                    {t('Merge')}
+                </StyledButton>
+            </Box>
+        </Box>
+    );
+};
+
+/**
+ * Category manager panel for adding, renaming, recoloring, archiving, merging and deleting categories
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.categories - Current categories
+ * @param {Function} props.onCategoriesChange - Called with the new category list after every change
+ * @param {Function} props.onExpensesMoved - Called with expenses whose category changed during a merge
+ * @param {Function} props.showMessage - Displays a status message to the user
+ * @returns {JSX.Element} CategoryManager component
+ */
+const CategoryManager = ({ categories, onCategoriesChange, onExpensesMoved, showMessage }) => {
+    const [newLabel, setNewLabel] = useState('');
+    const [newColor, setNewColor] = useState('#4caf50');
+    const [newKind, setNewKind] = useState('expense');
+
+    /**
+     * Adds a new category from the form fields
+     * @param {React.FormEvent<HTMLFormElement>} e - Form submission event
+     * @returns {Promise<void>}
+     */
+    const addCategory = async (e) => {
+        e.preventDefault();
+        if (!newLabel.trim()) {
+            showMessage('Category name is required', 'error');
+            return;
+        }
+        try {
+            const category = {
+                key: createCategoryKey(newLabel, categories),
+                label: newLabel.trim(),
+                color: newColor,
+                archived: false,
+                ...(newKind === 'income' && { kind: 'income' }),
+            };
+            await saveCategory(category);
+            onCategoriesChange([...categories, category]);
+            setNewLabel('');
+            showMessage('Category Added Successfully!');
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+    };
+
+    /**
+     * Stores an updated category (rename, recolor or archive toggle)
+     * @param {Object} category - Updated category
+     * @returns {Promise<void>}
+     */
+    const updateCategory = async (category) => {
+        if (!category.label) {
+            showMessage('Category name is required', 'error');
+            return;
+        }
+        try {
+            await saveCategory(category);
+            onCategoriesChange(categories.map((c) => (c.key === category.key ? category : c)));
+            showMessage('Category Updated Successfully!');
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+    };
+
+    /**
+     * Merges one category into another after confirmation
+     * @param {string} sourceKey - Category being merged away
+     * @param {string} targetKey - Category that receives the expenses
+     * @returns {Promise<void>}
+     */
+    const merge = async (sourceKey, targetKey) => {
+        if (!window.confirm(t('Move all expenses to the selected category and remove this one?'))) {
+            return;
+        }
+        try {
+            const moved = await mergeCategories(sourceKey, targetKey);
+            onCategoriesChange(categories.filter((c) => c.key !== sourceKey));
+            onExpensesMoved(moved);
+            showMessage(t('Merged {count} Expense(s) Successfully!', { count: moved.length }));
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+    };
+
+    /**
+     * Deletes a category after confirmation; its expenses keep their category key
+     * @param {string} key - Category key to delete
+     * @returns {Promise<void>}
+     */
+    const remove = async (key) => {
+        if (!window.confirm(t('Are You Sure You Want To Delete This Category?'))) {
+            return;
+        }
+        try {
+            await deleteCategory(key);
+            onCategoriesChange(categories.filter((c) => c.key !== key));
+            showMessage('Category Deleted Successfully!');
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+    };
+
+    return (
+        <Paper elevation={3} style={{ padding: '20px' }}>
+            <Typography variant='h5' gutterBottom>{t('Manage Categories')}</Typography>
+            <form onSubmit={addCategory}>
+                <Box display='flex' gap={1} alignItems='center'>
+                    <StyledTextField
+                        fullWidth
+                        margin='normal'
+                        label={t('New Category')}
+                        value={newLabel}
+                        onChange={(e) => setNewLabel(e.target.value)}
+                    />
+                    <StyledTextField
+                        margin='normal'
+                        label={t('Color')}
+                        type='color'
+                        value={newColor}
+                        onChange={(e) => setNewColor(e.target.value)}
+                        sx={{ width: 90 }}
+                    />
+                    <StyledTextField
+                        margin='normal'
+                        select
+                        label={t('Type')}
+                        value={newKind}
+                        onChange={(e) => setNewKind(e.target.value)}
+                        sx={{ width: 120 }}
+                    >
+                        {Object.entries(ENTRY_KINDS).map(([kind, label]) => (
+                            <MenuItem key={kind} value={kind}>{t(label)}</MenuItem>
+                        ))}
+                    </StyledTextField>
+                </Box>
+                <StyledButton type='submit' fullWidth>
+                    {t('Add Category')}
+                </StyledButton>
+            </form>
+            <Box mt={4}>
+                {categories.map((category) => (
+                    <CategoryRow
+                        key={`${category.key}-${category.label}-${category.color}-${category.archived}`}
+                        category={category}
+                        categories={categories}
+                        onSave={updateCategory}
+                        onMerge={merge}
+                        onDelete={remove}
+                    />
+                ))}
+            </Box>
+        </Paper>
+    );
+};
+
+export default CategoryManager;
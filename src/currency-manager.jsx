@@ -0,0 +1,171 @@
+import {useState} from 'react';
+import {Box, MenuItem, Paper, Typography} from '@mui/material';
+import {StyledButton, StyledTextField} from './styles';
+import {CURRENCIES, deleteRate, isCurrencyCode, saveBaseCurrency, saveRate} from './currency';
+import {isValidDate, toDateString} from './expenses';
+import {formatDate, formatNumber, t} from './i18n';
+
+/**
+ * Currency settings panel: base currency selection and the editable exchange rate table
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.baseCurrency - Currency all totals are converted to
+ * @param {Array<Object>} props.rates - Stored exchange rates
+ * @param {Function} props.onBaseCurrencyChange - Called with the new base currency once it and the converted budgets are saved
+ * @param {Function} props.onRatesChange - Called with the new rate list after every change
+ * @param {Function} props.showMessage - Displays a status message to the user
+ * @returns {JSX.Element} CurrencyManager component
+ */
+const CurrencyManager = ({ baseCurrency, rates, onBaseCurrencyChange, onRatesChange, showMessage }) => {
+    const [form, setForm] = useState({ from: 'EUR', rate: '', date: '' });
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setForm((prev) => ({ ...prev, [name]: name === 'from' ? value.toUpperCase() : value }));
+    };
+
+    /**
+     * Saves a new base currency, converting the budgets into it
+     * @param {string} currency - Currency code
+     * @returns {Promise<void>}
+     */
+    const changeBaseCurrency = async (currency) => {
+        try {
+            await saveBaseCurrency(currency, baseCurrency, rates);
+            onBaseCurrencyChange(currency);
+            showMessage(t('Totals Are Now Shown in {currency}', { currency }));
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+    };
+
+    /**
+     * Adds a rate from the form, replacing any rate of the same pair on the same date
+     * @param {React.FormEvent<HTMLFormElement>} e - Form submission event
+     * @returns {Promise<void>}
+     */
+    const addRate = async (e) => {
+        e.preventDefault();
+        const rate = {
+            from: form.from,
+            to: baseCurrency,
+            date: form.date || toDateString(),
+            rate: parseFloat(form.rate),
+        };
+        if (!isCurrencyCode(rate.from) || rate.from === rate.to) {
+            showMessage('Please choose a currency other than the base currency', 'error');
+            return;
+        }
+        if (!(rate.rate > 0)) {
+            showMessage('Rate Must Be Greater Than 0', 'error');
+            return;
+        }
+        if (!isValidDate(rate.date)) {
+            showMessage('Date is not a valid date', 'error');
+            return;
+        }
+        try {
+            await saveRate(rate);
+            const isSame = (r) => r.from === rate.from && r.to === rate.to && r.date === rate.date;
+            onRatesChange([...rates.filter((r) => !isSame(r)), rate]);
+            setForm((prev) => ({ ...prev, rate: '' }));
+            showMessage('Exchange Rate Saved Successfully!');
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+    };
+
+    /**
+     * Deletes a stored rate
+     * @param {Object} rate - Rate to delete
+     * @returns {Promise<void>}
+     */
+    const removeRate = async (rate) => {
+        try {
+            await deleteRate(rate);
+            onRatesChange(rates.filter((r) => r !== rate));
+            showMessage('Exchange Rate Deleted');
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+    };
+
+    const sortedRates = [...rates].sort((a, b) => a.from.localeCompare(b.from) || b.date.localeCompare(a.date));
+
+    return (
+        <Paper elevation={3} style={{ padding: '20px' }}>
+            <Typography variant='h5' gutterBottom>{t('Currencies')}</Typography>
+            <StyledTextField
+                fullWidth
+                margin='normal'
+                select
+                label={t('Base Currency')}
+                value={baseCurrency}
+                onChange={(e) => changeBaseCurrency(e.target.value)}
+            >
+                {[...new Set([baseCurrency, ...CURRENCIES])].map((currency) => (
+                    <MenuItem key={currency} value={currency}>{currency}</MenuItem>
+                ))}
+            </StyledTextField>
+
+            <form onSubmit={addRate}>
+                <Box display='flex' gap={1}>
+                    <StyledTextField
+                        margin='normal'
+                        label={t('Currency')}
+                        name='from'
+                        value={form.from}
+                        onChange={handleChange}
+                        required
+                        inputProps={{ maxLength: 3 }}
+                        sx={{ width: 110 }}
+                    />
+                    <StyledTextField
+                        fullWidth
+                        margin='normal'
+                        label={t('1 {from} in {to}', { from: form.from || '???', to: baseCurrency })}
+                        type='number'
+                        name='rate'
+                        value={form.rate}
+                        onChange={handleChange}
+                        required
+                        inputProps={{ step: 'any', min: '0' }}
+                    />
+                    <StyledTextField
+                        fullWidth
+                        margin='normal'
+                        label={t('Date')}
+                        type='date'
+                        name='date'
+                        value={form.date}
+                        onChange={handleChange}
+                        InputLabelProps={{ shrink: true }}
+                    />
+                </Box>
+                <StyledButton type='submit' fullWidth>
+                    {t('Save Exchange Rate')}
+                </StyledButton>
+            </form>
+
+            <Box mt={3}>
+                {sortedRates.length === 0 && (
+                    <Typography variant='body1' style={{ color: 'gray' }}>
+                        {t('No exchange rates yet; expenses in other currencies are left out of totals')}
+                    </Typography>
+                )}
+                {sortedRates.map((rate) => (
+                    <Box key={`${rate.from}-${rate.to}-${rate.date}`} display='flex' alignItems='center' gap={1} mb={1}>
+                        <Typography variant='body1' flexGrow={1}>
+                            {formatDate(rate.date)}: 1 {rate.from} = {formatNumber(rate.rate, { maximumFractionDigits: 6 })} {rate.to}
+                        </Typography>
+                        <StyledButton variant='delete' onClick={() => removeRate(rate)}>
+                            {t('Delete')}
+                        </StyledButton>
+                    </Box>
+                ))}
+            </Box>
+        </Paper>
+    );
+};
+
+export default CurrencyManager;
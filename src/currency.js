@@ -0,0 +1,112 @@
+/**
+ * Exchange rate storage and conversion to the base currency
+ * Rates are kept in the `rates` store as { from, to, date, rate }, meaning that on `date`
+ * one unit of `from` was worth `rate` units of `to`
+ * @module currency
+ */
+
+import {budgetDB, expenseDB, rateDB} from './db';
+import {toDateString} from './expenses';
+import {minorUnitDigits} from './money';
+
+/** Currencies offered in currency selects; any other ISO 4217 code can still be stored */
+export const CURRENCIES = ['USD', 'EUR', 'GBP', 'ILS', 'JPY', 'CHF', 'CAD', 'AUD', 'CNY', 'INR'];
+
+/**
+ * Checks that a string looks like an ISO 4217 currency code
+ * @param {string} currency - Code to check
+ * @returns {boolean} True for three uppercase letters
+ */
+export const isCurrencyCode = (currency) => /^[A-Z]{3}$/.test(currency ?? '');
+
+/**
+ * Loads every stored exchange rate
+ * @returns {Promise<Array<Object>>} A promise that resolves with the stored rates
+ */
+export const loadRates = () => rateDB.getAll();
+
+/**
+ * Creates or replaces the rate of a currency pair on a date
+ * @param {{from: string, to: string, date: string, rate: number}} rate - Rate to store
+ * @returns {Promise<Array>} A promise that resolves with the rate's key
+ */
+export const saveRate = (rate) => rateDB.save(rate);
+
+/**
+ * Deletes a stored rate
+ * @param {{from: string, to: string, date: string}} rate - Rate to delete
+ * @returns {Promise<undefined>}
+ */
+export const deleteRate = ({ from, to, date }) => rateDB.delete([from, to, date]);
+
+/**
+ * Finds the factor converting one currency into another on a date
+ * Uses the latest rate on or before the date, or the earliest rate when all are later,
+ * and falls back to the inverse of the opposite pair
+ * @param {Array<Object>} rates - Stored rates
+ * @param {string} from - Currency to convert from
+ * @param {string} to - Currency to convert to
+ * @param {string} date - Date in `YYYY-MM-DD` format
+ * @returns {number|null} Conversion factor, or null when no rate is known
+ */
+export const findRate = (rates, from, to, date) => {
+    if (from === to) return 1;
+    const pick = (a, b) => {
+        const pair = rates.filter((r) => r.from === a && r.to === b).sort((x, y) => x.date.localeCompare(y.date));
+        if (pair.length === 0) return null;
+        const onOrBefore = pair.filter((r) => r.date <= date);
+        return (onOrBefore.length > 0 ? onOrBefore[onOrBefore.length - 1] : pair[0]).rate;
+    };
+    const direct = pick(from, to);
+    if (direct !== null) return direct;
+    const inverse = pick(to, from);
+    return inverse ? 1 / inverse : null;
+};
+
+/**
+ * Creates a function that converts expenses to the base currency
+ * Converted amounts are rounded to whole minor units of the base currency, so totals
+ * built from them stay exact integers
+ * @param {string} baseCurrency - Currency to convert to
+ * @param {Array<Object>} rates - Stored rates
+ * @returns {function(Object): (number|null)} Returns the expense amount in minor units of the
+ * base currency, or null when no rate is known for its currency
+ */
+export const createConverter = (baseCurrency, rates) => (expense) => {
+    const currency = expense.currency ?? baseCurrency;
+    if (currency === baseCurrency) return expense.amount;
+    const rate = findRate(rates, currency, baseCurrency, expense.date);
+    if (rate === null) return null;
+    const shift = minorUnitDigits(baseCurrency) - minorUnitDigits(currency);
+    return Math.round(expense.amount * rate * 10 ** shift);
+};
+
+/**
+ * Switches the base currency and converts every budget, which is kept in the base currency, at
+ * today's rate; the setting and the budgets change in one transaction
+ * @param {string} currency - New base currency
+ * @param {string} previous - Current base currency
+ * @param {Array<Object>} rates - Stored rates
+ * @returns {Promise<undefined>} A promise that resolves once the change is committed
+ * @throws {Error} When budgets are set and no rate between the two currencies is known
+ */
+export const saveBaseCurrency = async (currency, previous, rates) => {
+    const convert = createConverter(currency, rates);
+    const date = toDateString();
+    const toNew = (amount) => convert({ amount, currency: previous, date });
+    if (toNew(0) === null && (await budgetDB.getAll()).length > 0) {
+        throw new Error('Add an exchange rate between the two currencies first, so the budgets can be converted');
+    }
+    return expenseDB.transaction(['settings', 'budgets'], 'readwrite', ({ settings, budgets }, transaction) => {
+        settings.put({ key: 'baseCurrency', value: currency });
+        const request = budgets.getAll();
+        request.onsuccess = () => {
+            /* A budget saved by another tab since the check above cannot be converted either */
+            if (request.result.length > 0 && toNew(0) === null) {
+                transaction.abort();
+                return;
+            }
+            request.result.forEach((budget) => budgets.put({ ...budget, amount: toNew(budget.amount) }));
+        };
+    });
+};
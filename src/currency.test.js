@@ -0,0 +1,31 @@
+/**
+ * Tests of switching the base currency, which converts the budgets kept in it
+ */
+
+import {afterEach, beforeEach, describe, expect, it} from 'vitest';
+import {saveBaseCurrency} from './currency';
+import {budgetDB, settingsDB} from './db';
+
+/** One US dollar is worth 150 yen */
+const RATES = [{ from: 'USD', to: 'JPY', date: '2024-01-01', rate: 150 }];
+
+describe('saveBaseCurrency', () => {
+    beforeEach(() => budgetDB.save({ category: 'food', amount: 50000, carryOver: false, startMonth: '2024-01' }));
+
+    afterEach(() => budgetDB.transaction(['budgets', 'settings'], 'readwrite', (stores) => {
+        Object.values(stores).forEach((store) => store.clear());
+    }));
+
+    it('refuses to switch while budgets are set and no rate is known', async () => {
+        await expect(saveBaseCurrency('EUR', 'USD', RATES)).rejects.toThrow('Add an exchange rate');
+        expect(await budgetDB.getAll()).toEqual([expect.objectContaining({ amount: 50000 })]);
+        expect(await settingsDB.getAll()).toEqual([]);
+    });
+
+    it('converts the budgets into minor units of the new base currency', async () => {
+        await saveBaseCurrency('JPY', 'USD', RATES);
+
+        expect(await budgetDB.getAll()).toEqual([expect.objectContaining({ amount: 75000 })]);
+        expect(await settingsDB.getAll()).toEqual([{ key: 'baseCurrency', value: 'JPY' }]);
+    });
+});
@@ -0,0 +1,44 @@
+/**
+ * Database handles shared by the expense tracker components
+ * Every store lives in the same ExpenseTrackerDB database, opened with the declared schema
+ * @module db
+ */
+
+import IDBWrapper from './idb';
+import {SCHEMA} from './schema';
+
+/** Database name used for all application data */
+export const DB_NAME = 'ExpenseTrackerDB';
+
+/** @type {IDBWrapper} Expense records keyed by an auto-incremented id */
+export const expenseDB = new IDBWrapper(DB_NAME, 'expenses', SCHEMA);
+
+/** @type {IDBWrapper} Category definitions keyed by their category key */
+export const categoryDB = new IDBWrapper(DB_NAME, 'categories', SCHEMA);
+
+/** @type {IDBWrapper} Monthly budgets keyed by category key, or TOTAL_BUDGET for the overall budget */
+export const budgetDB = new IDBWrapper(DB_NAME, 'budgets', SCHEMA);
+
+/** @type {IDBWrapper} Recurring expense templates keyed by an auto-incremented id */
+export const recurringDB = new IDBWrapper(DB_NAME, 'recurring', SCHEMA);
+
+/** @type {IDBWrapper} Application settings as { key, value } records */
+export const settingsDB = new IDBWrapper(DB_NAME, 'settings', SCHEMA);
+
+/** @type {IDBWrapper} Exchange rates keyed by [from, to, date] */
+export const rateDB = new IDBWrapper(DB_NAME, 'rates', SCHEMA);
+
+/** @type {IDBWrapper} Changes of synced stores waiting to be pushed, keyed by the record's syncId */
+export const outboxDB = new IDBWrapper(DB_NAME, 'outbox', SCHEMA);
+
+/** @type {IDBWrapper} Deleted expenses keyed by their former id, until restored or purged */
+export const trashDB = new IDBWrapper(DB_NAME, 'trash', SCHEMA);
+
+/** @type {IDBWrapper} People expenses are shared with, keyed by a random id */
+export const peopleDB = new IDBWrapper(DB_NAME, 'people', SCHEMA);
+
+/** @type {IDBWrapper} Reimbursements between people keyed by an auto-incremented id */
+export const settlementDB = new IDBWrapper(DB_NAME, 'settlements', SCHEMA);
+
+/** @type {IDBWrapper} Files attached to expenses keyed by an auto-incremented id */
+export const attachmentDB = new IDBWrapper(DB_NAME, 'attachments', SCHEMA);
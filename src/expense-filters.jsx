@@ -0,0 +1,187 @@
+import {Box, MenuItem} from '@mui/material';
+import {StyledButton, StyledTextField} from './styles';
+import {DEFAULT_FILTER} from './filters';
+import {categoryLabel} from './categories';
+import {startOfWeek, weekRange} from './expenses';
+import {amountStep} from './money';
+import {formatDate, t} from './i18n';
+
+/**
+ * Search and filter fields of the expense list
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.filter - Active filter
+ * @param {Array<Object>} props.categories - Known categories, archived ones included
+ * @param {Array<string>} props.tags - Tags in use
+ * @param {string} props.currency - Base currency the amount bounds are in
+ * @param {number} props.firstDayOfWeek - Day weeks start on, 0 for Sunday to 6 for Saturday
+ * @param {Function} props.onChange - Called with the updated filter
+ * @returns {JSX.Element} ExpenseFilters component
+ */
+const ExpenseFilters = ({ filter, categories, tags, currency, firstDayOfWeek, onChange }) => {
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        onChange({ ...filter, [name]: value });
+    };
+
+    /**
+     * Selects the week a picked day falls in, stored as the week's first day
+     * @param {React.ChangeEvent<HTMLInputElement>} e - Change event of the week field
+     * @returns {void}
+     */
+    const changeWeek = (e) => {
+        const { value } = e.target;
+        onChange({ ...filter, week: value ? startOfWeek(value, firstDayOfWeek) : '' });
+    };
+
+    /* Hides the spin and clear buttons of date and month fields; the picker icon follows the theme's color scheme */
+    const pickerStyle = (type) => ({
+        [`& input[type="${type}"]::-webkit-inner-spin-button, & input[type="${type}"]::-webkit-clear-button`]: {
+            display: 'none',
+        },
+    });
+
+    return (
+        <Box>
+            <StyledTextField
+                fullWidth
+                margin='normal'
+                label={t('Search Descriptions and Notes')}
+                name='search'
+                value={filter.search}
+                onChange={handleChange}
+            />
+            <Box display='flex' gap={1}>
+                <StyledTextField
+                    margin='normal'
+                    select
+                    label={t('Period')}
+                    name='period'
+                    value={filter.period}
+                    onChange={handleChange}
+                    sx={{ minWidth: 140 }}
+                >
+                    <MenuItem value='month'>{t('Month')}</MenuItem>
+                    <MenuItem value='week'>{t('Week')}</MenuItem>
+                    <MenuItem value='range'>{t('Date Range')}</MenuItem>
+                    <MenuItem value='all'>{t('All Time')}</MenuItem>
+                </StyledTextField>
+                {filter.period === 'month' && (
+                    <StyledTextField
+                        fullWidth
+                        margin='normal'
+                        label={t('Select Month and Year')}
+                        type='month'
+                        name='month'
+                        value={filter.month}
+                        onChange={handleChange}
+                        InputLabelProps={{ shrink: true }}
+                        sx={pickerStyle('month')}
+                    />
+                )}
+                {filter.period === 'week' && (
+                    <StyledTextField
+                        fullWidth
+                        margin='normal'
+                        label={t('Any Day of the Week')}
+                        type='date'
+                        value={filter.week}
+                        onChange={changeWeek}
+                        InputLabelProps={{ shrink: true }}
+                        helperText={filter.week && t('{from} to {to}', {
+                            from: formatDate(weekRange(filter.week)[0]),
+                            to: formatDate(weekRange(filter.week)[1]),
+                        })}
+                        sx={pickerStyle('date')}
+                    />
+                )}
+                {filter.period === 'range' && (
+                    <>
+                        <StyledTextField
+                            fullWidth
+                            margin='normal'
+                            label={t('From')}
+                            type='date'
+                            name='from'
+                            value={filter.from}
+                            onChange={handleChange}
+                            InputLabelProps={{ shrink: true }}
+                            sx={pickerStyle('date')}
+                        />
+                        <StyledTextField
+                            fullWidth
+                            margin='normal'
+                            label={t('To')}
+                            type='date'
+                            name='to'
+                            value={filter.to}
+                            onChange={handleChange}
+                            InputLabelProps={{ shrink: true }}
+                            sx={pickerStyle('date')}
+                        />
+                    </>
+                )}
+            </Box>
+            <Box display='flex' gap={1}>
+                <StyledTextField
+                    fullWidth
+                    margin='normal'
+                    select
+                    label={t('Category')}
+                    name='category'
+                    value={filter.category}
+                    onChange={handleChange}
+                >
+                    <MenuItem value=''>{t('All Categories')}</MenuItem>
+                    {categories.map((category) => (
+                        <MenuItem key={category.key} value={category.key}>{categoryLabel(category)}</MenuItem>
+                    ))}
+                </StyledTextField>
+                <StyledTextField
+                    fullWidth
+                    margin='normal'
+                    select
+                    label={t('Tag')}
+                    name='tag'
+                    value={filter.tag}
+                    onChange={handleChange}
+                >
+                    <MenuItem value=''>{t('All Tags')}</MenuItem>
+                    {/* A tag from a bookmarked URL stays selectable even when no expense uses it anymore */}
+                    {[...new Set([filter.tag, ...tags])].filter(Boolean).map((tag) => (
+                        <MenuItem key={tag} value={tag}>{tag}</MenuItem>
+                    ))}
+                </StyledTextField>
+                <StyledTextField
+                    fullWidth
+                    margin='normal'
+                    label={t('Min ({currency})', { currency })}
+                    type='number'
+                    name='min'
+                    value={filter.min}
+                    onChange={handleChange}
+                    inputProps={{ step: amountStep(currency), min: '0' }}
+                />
+                <StyledTextField
+                    fullWidth
+                    margin='normal'
+                    label={t('Max ({currency})', { currency })}
+                    type='number'
+                    name='max'
+                    value={filter.max}
+                    onChange={handleChange}
+                    inputProps={{ step: amountStep(currency), min: '0' }}
+                />
+            </Box>
+            <StyledButton
+                fullWidth
+                variant='delete'
+                onClick={() => onChange({ ...DEFAULT_FILTER, period: filter.period, month: filter.month, week: filter.week })}
+            >
+                {t('Clear Filters')}
+            </StyledButton>
+        </Box>
+    );
+};
+
+export default ExpenseFilters;
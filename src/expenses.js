@@ -0,0 +1,153 @@
+/**
+ * Expense query helpers built on the indexes of the `expenses` store
+ * Dates are stored as `YYYY-MM-DD` strings, so date ranges compare lexicographically
+ * Income is stored alongside expenses, marked with `kind: 'income'` and filed under income
+ * categories, which carry the same mark; records without a kind are expenses
+ * @module expenses
+ */
+
+import {expenseDB} from './db';
+
+/** Kinds of entries and their labels */
+export const ENTRY_KINDS = {
+    expense: 'Expense',
+    income: 'Income',
+};
+
+/**
+ * Checks whether an entry or a category is income
+ * @param {Object} record - Expense record or category
+ * @returns {boolean} True for income entries and income categories
+ */
+export const isIncome = (record) => record.kind === 'income';
+
+/**
+ * Returns the inclusive date bounds of a month
+ * @param {string} monthYear - Month in `YYYY-MM` format
+ * @returns {[string, string]} First and last possible date strings of the month
+ */
+export const monthRange = (monthYear) => [`${monthYear}-01`, `${monthYear}-31`];
+
+/**
+ * Returns the first day of the week a date falls in
+ * @param {string} date - Date in `YYYY-MM-DD` format
+ * @param {number} firstDayOfWeek - Day the week starts on, 0 for Sunday to 6 for Saturday
+ * @returns {string} First day of the week in `YYYY-MM-DD` format
+ */
+export const startOfWeek = (date, firstDayOfWeek) => {
+    const day = new Date(`${date}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() - firstDayOfWeek + 7) % 7));
+    return day.toISOString().slice(0, 10);
+};
+
+/**
+ * Returns the inclusive date bounds of a week
+ * @param {string} weekStart - First day of the week in `YYYY-MM-DD` format
+ * @returns {[string, string]} First and last date of the week
+ */
+export const weekRange = (weekStart) => {
+    const last = new Date(`${weekStart}T00:00:00Z`);
+    last.setUTCDate(last.getUTCDate() + 6);
+    return [weekStart, last.toISOString().slice(0, 10)];
+};
+
+/**
+ * Formats a local date as `YYYY-MM-DD`
+ * @param {Date} [date=new Date()] - Date to format, defaults to today
+ * @returns {string} The date in `YYYY-MM-DD` format
+ */
+export const toDateString = (date = new Date()) =>
+    `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+/**
+ * Shifts a month by a number of months
+ * @param {string} monthYear - Month in `YYYY-MM` format
+ * @param {number} count - Months to add, negative to go back
+ * @returns {string} The resulting month in `YYYY-MM` format
+ */
+export const addMonths = (monthYear, count) => {
+    const [year, month] = monthYear.split('-').map(Number);
+    const total = year * 12 + (month - 1) + count;
+    return `${Math.floor(total / 12)}-${String((total % 12) + 1).padStart(2, '0')}`;
+};
+
+/**
+ * Checks that a string is an existing calendar date in `YYYY-MM-DD` format
+ * @param {string} date - Date string to check
+ * @returns {boolean} True for valid dates, false for malformed ones or days like `2024-02-30`
+ */
+export const isValidDate = (date) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return false;
+    const parsed = new Date(`${date}T00:00:00Z`);
+    return !Number.isNaN(parsed.getTime()) && parsed.toISOString().startsWith(date);
+};
+
+/**
+ * Validates an expense with the rules used by the add form and by imports
+ * @param {Object} data - Expense data with amount, description, date and category; the amount
+ * is in integer minor units, or null when the typed amount could not be parsed
+ * @param {Array<Object>} categories - Known categories the expense may reference; income must
+ * use an income category and expenses an expense category
+ * @returns {string|null} Error message for the first failing rule, or null when valid
+ */
+export const validateExpense = (data, categories) => {
+    if (!Number.isSafeInteger(data.amount) || data.amount <= 0) {
+        return 'Amount Must Be Greater Than 0';
+    }
+    if (!String(data.description ?? '').trim()) {
+        return 'Description is required';
+    }
+    if (!data.date) {
+        return 'Date is required';
+    }
+    if (!isValidDate(data.date)) {
+        return 'Date is not a valid date';
+    }
+    if (!categories.some((c) => c.key === data.category && isIncome(c) === isIncome(data))) {
+        return 'Please choose a valid category';
+    }
+    if (data.currency !== undefined && !/^[A-Z]{3}$/.test(data.currency)) {
+        return 'Currency must be a 3-letter code';
+    }
+    return null;
+};
+
+/**
+ * Loads the expenses between two dates through the date index, newest first
+ * @param {[string, string]|null} bounds - Inclusive first and last date, or null for all expenses
+ * @returns {Promise<Array<Object>>} A promise that resolves with the expenses in the range
+ */
+export const loadExpensesBetween = (bounds) => expenseDB.getPage({
+    indexName: 'date',
+    query: bounds ? IDBKeyRange.bound(bounds[0], bounds[1]) : undefined,
+    direction: 'prev',
+});
+
+/**
+ * Loads the expenses of a single month through the date index, newest first
+ * @param {string} monthYear - Month in `YYYY-MM` format
+ * @returns {Promise<Array<Object>>} A promise that resolves with the month's expenses
+ */
+export const loadMonthExpenses = (monthYear) => loadExpensesBetween(monthRange(monthYear));
+
+/**
+ * Applies the same changes to several expenses in one transaction, so either all of them
+ * change or none does
+ * @param {Array<number>} ids - Keys of the expenses to change
+ * @param {Object} changes - Fields to overwrite, e.g. `{ category }` or `{ date }`
+ * @returns {Promise<Array<Object>>} A promise that resolves with the updated expenses
+ */
+export const updateExpenses = (ids, changes) =>
+    expenseDB.transaction('expenses', 'readwrite', ({ expenses }) => {
+        const updated = [];
+        ids.forEach((id) => {
+            const request = expenses.get(id);
+            request.onsuccess = () => {
+                if (!request.result) return;
+                const expense = { ...request.result, ...changes };
+                expenses.put(expense);
+                updated.push(expense);
+            };
+        });
+        return updated;
+    });
@@ -0,0 +1,121 @@
+/**
+ * Tests of expense validation, date helpers and the month and week queries
+ */
+
+import {afterEach, describe, expect, it} from 'vitest';
+import {expenseDB} from './db';
+import {DEFAULT_CATEGORIES, DEFAULT_INCOME_CATEGORIES} from './schema';
+import {
+    addMonths,
+    isValidDate,
+    loadExpensesBetween,
+    loadMonthExpenses,
+    startOfWeek,
+    updateExpenses,
+    validateExpense,
+    weekRange,
+} from './expenses';
+
+const CATEGORIES = [...DEFAULT_CATEGORIES, ...DEFAULT_INCOME_CATEGORIES];
+
+/** An expense that passes every rule */
+const VALID_EXPENSE = { amount: 1250, description: 'Lunch', date: '2024-03-05', category: 'food', currency: 'USD' };
+
+describe('validateExpense', () => {
+    it('accepts a complete expense and a complete income', () => {
+        expect(validateExpense(VALID_EXPENSE, CATEGORIES)).toBeNull();
+        expect(validateExpense({ ...VALID_EXPENSE, kind: 'income', category: 'salary' }, CATEGORIES)).toBeNull();
+    });
+
+    it.each([null, 0, -500, 12.5])('rejects the amount %s', (amount) => {
+        expect(validateExpense({ ...VALID_EXPENSE, amount }, CATEGORIES)).toBe('Amount Must Be Greater Than 0');
+    });
+
+    it('requires a description', () => {
+        expect(validateExpense({ ...VALID_EXPENSE, description: '   ' }, CATEGORIES)).toBe('Description is required');
+    });
+
+    it('requires an existing date', () => {
+        expect(validateExpense({ ...VALID_EXPENSE, date: '' }, CATEGORIES)).toBe('Date is required');
+        expect(validateExpense({ ...VALID_EXPENSE, date: '2024-02-30' }, CATEGORIES)).toBe('Date is not a valid date');
+        expect(validateExpense({ ...VALID_EXPENSE, date: '05/03/2024' }, CATEGORIES)).toBe('Date is not a valid date');
+    });
+
+    it('requires a known category of the same kind', () => {
+        expect(validateExpense({ ...VALID_EXPENSE, category: 'unknown' }, CATEGORIES)).toBe('Please choose a valid category');
+        expect(validateExpense({ ...VALID_EXPENSE, category: 'salary' }, CATEGORIES)).toBe('Please choose a valid category');
+        expect(validateExpense({ ...VALID_EXPENSE, kind: 'income' }, CATEGORIES)).toBe('Please choose a valid category');
+    });
+
+    it('requires a three letter currency code', () => {
+        expect(validateExpense({ ...VALID_EXPENSE, currency: 'usd' }, CATEGORIES)).toBe('Currency must be a 3-letter code');
+    });
+
+    it('reports the first failing rule', () => {
+        expect(validateExpense({ amount: null, description: '', date: '' }, CATEGORIES)).toBe('Amount Must Be Greater Than 0');
+    });
+});
+
+describe('date helpers', () => {
+    it('checks calendar dates', () => {
+        expect(isValidDate('2024-02-29')).toBe(true);
+        expect(isValidDate('2023-02-29')).toBe(false);
+        expect(isValidDate('2024-3-5')).toBe(false);
+    });
+
+    it('shifts months across years', () => {
+        expect(addMonths('2024-11', 3)).toBe('2025-02');
+        expect(addMonths('2024-01', -1)).toBe('2023-12');
+    });
+
+    it('finds the week a date falls in', () => {
+        expect(startOfWeek('2024-03-13', 1)).toBe('2024-03-11');
+        expect(startOfWeek('2024-03-13', 0)).toBe('2024-03-10');
+        expect(startOfWeek('2024-03-10', 1)).toBe('2024-03-04');
+        expect(weekRange('2024-12-30')).toEqual(['2024-12-30', '2025-01-05']);
+    });
+});
+
+describe('period queries', () => {
+    afterEach(() => expenseDB.transaction(['expenses', 'outbox'], 'readwrite', ({ expenses, outbox }) => {
+        expenses.clear();
+        outbox.clear();
+    }));
+
+    /**
+     * Stores expenses on the given dates, described by their date
+     * @param {string[]} dates - Dates in `YYYY-MM-DD` format
+     * @returns {Promise<Array<number>>} Keys of the stored expenses
+     */
+    const seed = (dates) => expenseDB.bulkPut(dates.map((date) => ({
+        amount: 100,
+        currency: 'USD',
+        category: 'food',
+        description: date,
+        date,
+    })));
+
+    it('loads only the expenses of the month, newest first', async () => {
+        await seed(['2024-02-29', '2024-03-01', '2024-03-31', '2024-03-15', '2024-04-01']);
+
+        const march = await loadMonthExpenses('2024-03');
+        expect(march.map((expense) => expense.date)).toEqual(['2024-03-31', '2024-03-15', '2024-03-01']);
+        expect(await loadMonthExpenses('2024-05')).toEqual([]);
+    });
+
+    it('loads the expenses of a week, or of all time without bounds', async () => {
+        await seed(['2024-03-10', '2024-03-11', '2024-03-17', '2024-03-18']);
+
+        const week = await loadExpensesBetween(weekRange('2024-03-11'));
+        expect(week.map((expense) => expense.date)).toEqual(['2024-03-17', '2024-03-11']);
+        expect(await loadExpensesBetween(null)).toHaveLength(4);
+    });
+
+    it('changes several expenses at once', async () => {
+        const ids = await seed(['2024-03-01', '2024-03-02']);
+
+        const updated = await updateExpenses(ids, { category: 'other' });
+        expect(updated.map((expense) => expense.category)).toEqual(['other', 'other']);
+        expect((await expenseDB.getAll()).map((expense) => expense.category)).toEqual(['other', 'other']);
+    });
+});
@@ -0,0 +1,160 @@
+/**
+ * Search, filter and sort state of the expense list, and its URL query string form
+ * The date period decides which expenses are loaded through the date index, or through the
+ * tags index when a tag is chosen; text, category, tag and amount filters and the sort order
+ * are then applied to the loaded expenses
+ * @module filters
+ */
+
+import {isValidDate, monthRange, weekRange} from './expenses';
+import {parseAmount} from './money';
+
+/** Fields the expense list can be sorted by, with the direction each starts in */
+export const SORT_FIELDS = {
+    date: 'desc',
+    amount: 'desc',
+    category: 'asc',
+    description: 'asc',
+};
+
+/**
+ * Filter shown when the URL has no query string: a single month, none selected yet
+ * `period` is `month`, `week` (with `week` holding the first day of the week), `range`
+ * (with optional `from` and `to` dates) or `all`; `min` and `max` are amounts in the base currency as typed
+ * @type {{period: string, month: string, week: string, from: string, to: string, search: string,
+ * category: string, tag: string, min: string, max: string, sort: string, direction: string}}
+ */
+export const DEFAULT_FILTER = {
+    period: 'month',
+    month: '',
+    week: '',
+    from: '',
+    to: '',
+    search: '',
+    category: '',
+    tag: '',
+    min: '',
+    max: '',
+    sort: 'date',
+    direction: 'desc',
+};
+
+/**
+ * Reads a filter from a URL query string, ignoring unknown or malformed values
+ * @param {string} query - Query string, with or without the leading `?`
+ * @returns {Object} Filter with defaults for every missing value
+ */
+export const parseFilterQuery = (query) => {
+    const params = new URLSearchParams(query);
+    const filter = { ...DEFAULT_FILTER };
+    Object.keys(DEFAULT_FILTER).forEach((key) => {
+        if (params.has(key)) filter[key] = params.get(key);
+    });
+    if (!['month', 'week', 'range', 'all'].includes(filter.period)) filter.period = DEFAULT_FILTER.period;
+    if (!SORT_FIELDS[filter.sort]) filter.sort = DEFAULT_FILTER.sort;
+    if (!['asc', 'desc'].includes(filter.direction)) filter.direction = SORT_FIELDS[filter.sort];
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(filter.month)) filter.month = DEFAULT_FILTER.month;
+    ['week', 'from', 'to'].forEach((key) => {
+        if (!isValidDate(filter[key])) filter[key] = DEFAULT_FILTER[key];
+    });
+    return filter;
+};
+
+/**
+ * Writes a filter as a URL query string, leaving out values equal to the defaults
+ * @param {Object} filter - Filter to write
+ * @returns {string} Query string with a leading `?`, or an empty string for the default filter
+ */
+export const toFilterQuery = (filter) => {
+    const params = new URLSearchParams();
+    Object.keys(DEFAULT_FILTER).forEach((key) => {
+        if (filter[key] !== DEFAULT_FILTER[key]) params.set(key, filter[key]);
+    });
+    const query = params.toString();
+    return query ? `?${query}` : '';
+};
+
+/**
+ * Returns the inclusive date bounds of the filter's period
+ * @param {Object} filter - Active filter
+ * @returns {[string, string]|null} First and last date, or null when the period is all time
+ */
+export const periodBounds = (filter) => {
+    if (filter.period === 'month') {
+        return filter.month ? monthRange(filter.month) : null;
+    }
+    if (filter.period === 'week') {
+        return filter.week ? weekRange(filter.week) : null;
+    }
+    if (filter.period === 'range' && (filter.from || filter.to)) {
+        return [filter.from || '0000-01-01', filter.to || '9999-12-31'];
+    }
+    return null;
+};
+
+/**
+ * Checks whether the filter selects any expenses; nothing is loaded until a month or week is picked
+ * @param {Object} filter - Active filter
+ * @returns {boolean} False only in month or week mode without a month or week
+ */
+export const hasPeriod = (filter) => {
+    if (filter.period === 'month') return Boolean(filter.month);
+    if (filter.period === 'week') return Boolean(filter.week);
+    return true;
+};
+
+/**
+ * Checks whether a date falls in the filter's period
+ * @param {string} date - Date in `YYYY-MM-DD` format
+ * @param {Object} filter - Active filter
+ * @returns {boolean} True when an expense on that date belongs to the loaded expenses
+ */
+export const isInPeriod = (date, filter) => {
+    if (!hasPeriod(filter)) return false;
+    const bounds = periodBounds(filter);
+    return !bounds || (date >= bounds[0] && date <= bounds[1]);
+};
+
+/**
+ * Applies the text, category, tag and amount filters; the text matches descriptions and notes
+ * Amount bounds are in the base currency, so expenses without a known rate are left out
+ * while either bound is set
+ * @param {Array<Object>} expenses - Expenses of the filter's period
+ * @param {Object} filter - Active filter
+ * @param {string} baseCurrency - Currency of the amount bounds
+ * @param {function(Object): (number|null)} toBase - Converts an expense to the base currency
+ * @returns {Array<Object>} The matching expenses
+ */
+export const applyFilter = (expenses, filter, baseCurrency, toBase) => {
+    const search = filter.search.trim().toLowerCase();
+    const min = parseAmount(filter.min, baseCurrency);
+    const max = parseAmount(filter.max, baseCurrency);
+    return expenses.filter((expense) => {
+        const text = `${expense.description}\n${expense.notes ?? ''}`.toLowerCase();
+        if (search && !text.includes(search)) return false;
+        if (filter.category && expense.category !== filter.category) return false;
+        if (filter.tag && !(expense.tags ?? []).includes(filter.tag)) return false;
+        if (min === null && max === null) return true;
+        const amount = toBase(expense);
+        return amount !== null && (min === null || amount >= min) && (max === null || amount <= max);
+    });
+};
+
+/**
+ * Sorts expenses by the filter's sort field and direction, newest first among equal values
+ * @param {Array<Object>} expenses - Expenses to sort
+ * @param {Object} filter - Active filter
+ * @param {function(string): string} categoryLabel - Returns the label of a category key
+ * @param {function(Object): (number|null)} toBase - Converts an expense to the base currency
+ * @returns {Array<Object>} A new sorted array
+ */
+export const sortExpenses = (expenses, filter, categoryLabel, toBase) => {
+    const compare = {
+        date: (a, b) => a.date.localeCompare(b.date),
+        amount: (a, b) => (toBase(a) ?? a.amount) - (toBase(b) ?? b.amount),
+        category: (a, b) => categoryLabel(a.category).localeCompare(categoryLabel(b.category)),
+        description: (a, b) => String(a.description).localeCompare(String(b.description)),
+    }[filter.sort];
+    const sign = filter.direction === 'asc' ? 1 : -1;
+    return [...expenses].sort((a, b) => sign * compare(a, b) || b.date.localeCompare(a.date) || b.id - a.id);
+};
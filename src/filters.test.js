@@ -0,0 +1,140 @@
+/**
+ * Tests of the list filter: its URL form, the period it loads and the filters applied after loading
+ */
+
+import {describe, expect, it} from 'vitest';
+import {
+    DEFAULT_FILTER,
+    applyFilter,
+    hasPeriod,
+    isInPeriod,
+    parseFilterQuery,
+    periodBounds,
+    sortExpenses,
+    toFilterQuery,
+} from './filters';
+
+/** Amounts are already in the base currency */
+const toBase = (expense) => expense.amount;
+
+const EXPENSES = [
+    { id: 1, date: '2024-03-02', amount: 1200, category: 'food', description: 'Groceries', tags: ['home'] },
+    { id: 2, date: '2024-03-09', amount: 4500, category: 'transportation', description: 'Train pass' },
+    { id: 3, date: '2024-03-09', amount: 800, category: 'food', description: 'Lunch', notes: 'with the team' },
+    { id: 4, date: '2024-03-20', amount: 2000, category: 'entertainment', description: 'Concert', tags: ['music', 'home'] },
+];
+
+/**
+ * Builds a filter from the defaults
+ * @param {Object} changes - Values that differ from the default filter
+ * @returns {Object} Filter
+ */
+const filterWith = (changes) => ({ ...DEFAULT_FILTER, ...changes });
+
+/**
+ * Lists the ids of expenses
+ * @param {Array<Object>} expenses - Expenses
+ * @returns {number[]} Their ids, in order
+ */
+const ids = (expenses) => expenses.map((expense) => expense.id);
+
+describe('filter query string', () => {
+    it('round-trips a filter and leaves defaults out', () => {
+        const filter = filterWith({ month: '2024-03', search: 'lunch', sort: 'amount', direction: 'asc' });
+
+        expect(toFilterQuery(filter)).toBe('?month=2024-03&search=lunch&sort=amount&direction=asc');
+        expect(parseFilterQuery(toFilterQuery(filter))).toEqual(filter);
+        expect(toFilterQuery(DEFAULT_FILTER)).toBe('');
+    });
+
+    it('falls back to defaults for unknown values', () => {
+        const filter = parseFilterQuery('?period=decade&sort=color&direction=sideways');
+
+        expect(filter.period).toBe('month');
+        expect(filter.sort).toBe('date');
+        expect(filter.direction).toBe('desc');
+    });
+
+    it('drops months and dates that do not exist', () => {
+        const filter = parseFilterQuery('?period=range&month=2024-13&from=2024-02-30&to=tomorrow');
+
+        expect(filter.period).toBe('range');
+        expect(filter.month).toBe('');
+        expect(filter.from).toBe('');
+        expect(filter.to).toBe('');
+        expect(parseFilterQuery('?month=2024-03&from=2024-03-11').from).toBe('2024-03-11');
+    });
+
+    it('drops weeks that do not exist', () => {
+        expect(parseFilterQuery('?period=week&week=2024-13-01').week).toBe('');
+        expect(parseFilterQuery('?period=week&week=2024-03-11').week).toBe('2024-03-11');
+    });
+});
+
+describe('period', () => {
+    it('loads nothing until a month or week is chosen', () => {
+        expect(hasPeriod(filterWith({}))).toBe(false);
+        expect(hasPeriod(filterWith({ period: 'week' }))).toBe(false);
+        expect(hasPeriod(filterWith({ month: '2024-03' }))).toBe(true);
+        expect(hasPeriod(filterWith({ period: 'all' }))).toBe(true);
+        expect(isInPeriod('2024-03-05', filterWith({}))).toBe(false);
+    });
+
+    it('bounds months, weeks and ranges', () => {
+        expect(periodBounds(filterWith({ month: '2024-02' }))).toEqual(['2024-02-01', '2024-02-31']);
+        expect(periodBounds(filterWith({ period: 'week', week: '2024-03-11' }))).toEqual(['2024-03-11', '2024-03-17']);
+        expect(periodBounds(filterWith({ period: 'range', from: '2024-03-05' }))).toEqual(['2024-03-05', '9999-12-31']);
+        expect(periodBounds(filterWith({ period: 'all' }))).toBeNull();
+    });
+
+    it('tells whether a date belongs to the month', () => {
+        const march = filterWith({ month: '2024-03' });
+
+        expect(isInPeriod('2024-03-01', march)).toBe(true);
+        expect(isInPeriod('2024-03-31', march)).toBe(true);
+        expect(isInPeriod('2024-04-01', march)).toBe(false);
+        expect(isInPeriod('2024-02-29', march)).toBe(false);
+    });
+});
+
+describe('applyFilter', () => {
+    it('matches text in descriptions and notes, ignoring case', () => {
+        expect(ids(applyFilter(EXPENSES, filterWith({ search: 'TEAM' }), 'USD', toBase))).toEqual([3]);
+        expect(ids(applyFilter(EXPENSES, filterWith({ search: 'pass' }), 'USD', toBase))).toEqual([2]);
+    });
+
+    it('narrows by category and tag', () => {
+        expect(ids(applyFilter(EXPENSES, filterWith({ category: 'food' }), 'USD', toBase))).toEqual([1, 3]);
+        expect(ids(applyFilter(EXPENSES, filterWith({ tag: 'home' }), 'USD', toBase))).toEqual([1, 4]);
+    });
+
+    it('narrows by amount in the base currency and leaves out unconvertible expenses', () => {
+        const filter = filterWith({ min: '10', max: '20.00' });
+        const withoutRate = (expense) => (expense.id === 1 ? null : expense.amount);
+
+        expect(ids(applyFilter(EXPENSES, filter, 'USD', toBase))).toEqual([1, 4]);
+        expect(ids(applyFilter(EXPENSES, filter, 'USD', withoutRate))).toEqual([4]);
+    });
+});
+
+describe('sortExpenses', () => {
+    const categoryLabel = (key) => key;
+
+    it('sorts by date, newest first among equal dates by id', () => {
+        expect(ids(sortExpenses(EXPENSES, filterWith({}), categoryLabel, toBase))).toEqual([4, 3, 2, 1]);
+    });
+
+    it('sorts by amount and by category in either direction', () => {
+        expect(ids(sortExpenses(EXPENSES, filterWith({ sort: 'amount', direction: 'asc' }), categoryLabel, toBase)))
+            .toEqual([3, 1, 4, 2]);
+        expect(ids(sortExpenses(EXPENSES, filterWith({ sort: 'category', direction: 'asc' }), categoryLabel, toBase)))
+            .toEqual([4, 3, 1, 2]);
+    });
+
+    it('leaves the given array untouched', () => {
+        const copy = [...EXPENSES];
+        sortExpenses(EXPENSES, filterWith({ sort: 'amount' }), categoryLabel, toBase);
+
+        expect(EXPENSES).toEqual(copy);
+    });
+});
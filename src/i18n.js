@@ -0,0 +1,145 @@
+/**
+ * Translation layer and locale-aware formatting
+ * Messages are looked up by their English text, so untranslated text falls back to English
+ * and messages of other modules, such as validation errors, can be translated where they are shown
+ * A translation is a string, or an object of plural forms (`one`, `other`, ...) picked by
+ * Intl.PluralRules with the `count` parameter; `{name}` placeholders are filled from the parameters
+ * The active language is module state, set by the app in a layout effect that renders the page
+ * again, so every component and formatter of a render uses the same language
+ * @module i18n
+ */
+
+import {TRANSLATIONS} from './translations';
+
+/** Supported languages with their native names and writing direction */
+export const LANGUAGES = {
+    en: { label: 'English', dir: 'ltr' },
+    de: { label: 'Deutsch', dir: 'ltr' },
+    he: { label: 'עברית', dir: 'rtl' },
+};
+
+/** Language used when neither the settings nor the browser name a supported one */
+const FALLBACK_LANGUAGE = 'en';
+
+let current = FALLBACK_LANGUAGE;
+
+/**
+ * Picks the supported language closest to the browser's preferences
+ * @returns {string} Language code
+ */
+export const detectLanguage = () => {
+    const preferred = (globalThis.navigator?.languages ?? [globalThis.navigator?.language])
+        .filter(Boolean)
+        .map((tag) => tag.slice(0, 2).toLowerCase());
+    return preferred.find((code) => LANGUAGES[code]) ?? FALLBACK_LANGUAGE;
+};
+
+/**
+ * Switches the active language; unsupported codes fall back to English
+ * @param {string} code - Language code
+ * @returns {void}
+ */
+export const setLanguage = (code) => {
+    current = LANGUAGES[code] ? code : FALLBACK_LANGUAGE;
+};
+
+/**
+ * Returns the active language
+ * @returns {string} Language code
+ */
+export const getLanguage = () => current;
+
+/**
+ * Returns the locale used for formatting: the browser's own locale when it is a variant of the
+ * active language, such as `en-GB`, and the bare language code otherwise
+ * @returns {string} BCP 47 locale tag
+ */
+export const getLocale = () => {
+    const browser = globalThis.navigator?.language;
+    return browser?.toLowerCase().startsWith(current) ? browser : current;
+};
+
+/**
+ * Returns the writing direction of a language
+ * @param {string} [code] - Language code, defaults to the active language
+ * @returns {'ltr'|'rtl'} Writing direction
+ */
+export const textDirection = (code = current) => LANGUAGES[code]?.dir ?? 'ltr';
+
+/** Cached plural rules, keyed by locale */
+const pluralRules = new Map();
+
+/**
+ * Translates a message into the active language
+ * @param {string} text - Message in English, which also serves as its key
+ * @param {Object<string, *>} [params={}] - Values of the `{name}` placeholders; `count` also picks the plural form
+ * @returns {string} Translated message, or the English text when there is no translation
+ */
+export const t = (text, params = {}) => {
+    let message = TRANSLATIONS[current]?.[text] ?? TRANSLATIONS[FALLBACK_LANGUAGE]?.[text] ?? text;
+    if (typeof message === 'object') {
+        const locale = getLocale();
+        if (!pluralRules.has(locale)) pluralRules.set(locale, new Intl.PluralRules(locale));
+        message = message[pluralRules.get(locale).select(params.count ?? 0)] ?? message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+};
+
+/**
+ * Formats a `YYYY-MM-DD` date in the active locale, as a local calendar date
+ * @param {string} date - Date in `YYYY-MM-DD` format
+ * @param {Intl.DateTimeFormatOptions} [options] - Format options, defaults to a numeric date
+ * @returns {string} Formatted date
+ */
+export const formatDate = (date, options = { day: '2-digit', month: '2-digit', year: 'numeric' }) => {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Intl.DateTimeFormat(getLocale(), options).format(new Date(year, month - 1, day));
+};
+
+/**
+ * Formats a `YYYY-MM` month as a short month name and year in the active locale
+ * @param {string} month - Month in `YYYY-MM` format
+ * @returns {string} Label such as `Mar 2024`
+ */
+export const formatMonth = (month) => formatDate(`${month}-01`, { month: 'short', year: 'numeric' });
+
+/**
+ * Formats a point in time in the active locale
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @returns {string} Formatted date and time
+ */
+export const formatDateTime = (timestamp) =>
+    new Intl.DateTimeFormat(getLocale(), { dateStyle: 'medium', timeStyle: 'short' }).format(new Date(timestamp));
+
+/**
+ * Formats a number in the active locale
+ * @param {number} value - Number to format
+ * @param {Intl.NumberFormatOptions} [options] - Format options
+ * @returns {string} Formatted number
+ */
+export const formatNumber = (value, options) => new Intl.NumberFormat(getLocale(), options).format(value);
+
+/**
+ * Formats a change in percent with its sign in the active locale
+ * @param {number} percent - Change in percent, such as `12.5`
+ * @returns {string} Formatted change such as `+12.5%`
+ */
+export const formatPercent = (percent) => formatNumber(percent / 100, {
+    style: 'percent',
+    signDisplay: 'exceptZero',
+    minimumFractionDigits: 1,
+    maximumFractionDigits: 1,
+});
+
+/**
+ * Sets the locale and writing direction of Chart.js options, for new charts and charts updated in place
+ * @param {Object} options - Chart options with `plugins.legend` and `plugins.tooltip`
+ * @returns {Object} The same options
+ */
+export const localizeChart = (options) => {
+    const rtl = textDirection() === 'rtl';
+    options.locale = getLocale();
+    options.plugins.legend.rtl = rtl;
+    options.plugins.tooltip.rtl = rtl;
+    return options;
+};
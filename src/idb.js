@@ -1,3 +1,230 @@
+/**
+ * @typedef {Object} IndexSchema
+ * @property {string|string[]} keyPath - Key path of the index
+ * @property {IDBIndexParameters} [options] - Index options such as `unique` or `multiEntry`
+ */
+
+/**
+ * @typedef {Object} StoreSchema
+ * @property {string} [keyPath] - Key path of the object store
+ * @property {boolean} [autoIncrement] - Whether keys are generated automatically
+ * @property {Object<string, IndexSchema>} [indexes] - Indexes keyed by index name
+ * @property {boolean} [synced] - Whether writes are tracked for sync, see `trackChanges`
+ */
+
+/**
+ * @typedef {Object} Migration
+ * @property {number} version - Database version that introduces this step
+ * @property {function(IDBTransaction, IDBDatabase): void} migrate - Runs inside the upgrade transaction
+ */
+
+/**
+ * @typedef {Object} DatabaseSchema
+ * @property {number} version - Current database version
+ * @property {Object<string, StoreSchema>} stores - Object stores keyed by store name
+ * @property {Migration[]} [migrations] - Ordered migration steps run on upgrade
+ * @property {string} [outboxStore] - Store, keyed by `syncId`, that collects pending changes of synced stores
+ */
+
+/**
+ * Transforms queued for a pass over a store that has not read its first record yet,
+ * keyed by upgrade transaction and then by store name
+ * @type {WeakMap<IDBTransaction, Map<string, Array<Function>>>}
+ */
+const pendingTransforms = new WeakMap();
+
+/**
+ * Rewrites every record of a store inside an upgrade transaction
+ * Intended for use in migration steps that change the shape of existing records
+ * Transforms of the same store queued before its pass starts, such as those of every migration
+ * step of one upgrade, share a single cursor and run one after another on each record, so every
+ * step sees the record as the steps before it left it; separate cursors would each read the
+ * record before the others wrote it back
+ * @param {IDBTransaction} transaction - The version change transaction
+ * @param {string} storeName - Name of the store to transform
+ * @param {function(Object): (Object|null|undefined)} transform - Returns the new record,
+ * `undefined` to leave the record untouched or `null` to delete it
+ * @returns {void}
+ */
+export const transformRecords = (transaction, storeName, transform) => {
+    if (!pendingTransforms.has(transaction)) pendingTransforms.set(transaction, new Map());
+    const pending = pendingTransforms.get(transaction);
+    if (pending.has(storeName)) {
+        pending.get(storeName).push(transform);
+        return;
+    }
+    const transforms = [transform];
+    pending.set(storeName, transforms);
+
+    const request = transaction.objectStore(storeName).openCursor();
+    request.onsuccess = () => {
+        /* The pass has started; transforms queued from now on get a pass of their own */
+        if (pending.get(storeName) === transforms) pending.delete(storeName);
+        const cursor = request.result;
+        if (!cursor) return;
+        let record = cursor.value;
+        let changed = false;
+        const deleted = transforms.some((step) => {
+            const updated = step(record);
+            if (updated === null) return true;
+            if (updated !== undefined) {
+                record = updated;
+                changed = true;
+            }
+            return false;
+        });
+        if (deleted) {
+            cursor.delete();
+        } else if (changed) {
+            cursor.update(record);
+        }
+        cursor.continue();
+    };
+};
+
+/**
+ * Creates missing object stores and indexes declared in a schema
+ * Existing stores and indexes are left untouched so stored data is preserved
+ * @param {IDBDatabase} db - Database being upgraded
+ * @param {IDBTransaction} transaction - The version change transaction
+ * @param {DatabaseSchema} schema - Declared database schema
+ * @returns {void}
+ */
+const applySchema = (db, transaction, schema) => {
+    Object.entries(schema.stores).forEach(([name, { indexes = {}, ...options }]) => {
+        const store = db.objectStoreNames.contains(name)
+            ? transaction.objectStore(name)
+            : db.createObjectStore(name, options);
+        Object.entries(indexes).forEach(([indexName, { keyPath, options: indexOptions }]) => {
+            if (!store.indexNames.contains(indexName)) {
+                store.createIndex(indexName, keyPath, indexOptions);
+            }
+        });
+    });
+};
+
+/**
+ * Open connections shared by every wrapper, keyed by database name
+ * @type {Map<string, Promise<IDBDatabase>>}
+ */
+const connections = new Map();
+
+/**
+ * Connection and data events, dispatched as CustomEvents whose detail holds the database name
+ * - `blocked`: an upgrade is waiting for other tabs to close their connections
+ * - `versionchange`: another tab upgraded the database and this tab's connection was closed
+ * - `change`: another tab committed writes; `detail.stores` lists the stores written to
+ * @type {EventTarget}
+ */
+export const connectionEvents = new EventTarget();
+
+/**
+ * Dispatches a connection or data event
+ * @param {'blocked'|'versionchange'|'change'} type - Event type
+ * @param {string} dbName - Name of the affected database
+ * @param {Object} [detail] - Extra event details
+ * @returns {void}
+ */
+const emit = (type, dbName, detail = {}) =>
+    connectionEvents.dispatchEvent(new CustomEvent(type, { detail: { dbName, ...detail } }));
+
+/**
+ * Closes the cached connection of a database, if any, so the next operation reopens it
+ * @param {string} dbName - Name of the database
+ * @returns {Promise<void>}
+ */
+const closeConnection = async (dbName) => {
+    const cached = connections.get(dbName);
+    if (!cached) return;
+    connections.delete(dbName);
+    (await cached.catch(() => null))?.close();
+};
+
+/**
+ * BroadcastChannels to the other tabs of the same origin, keyed by database name
+ * Messages are `{ type: 'change', stores }` after committed writes and `{ type: 'upgrade' }`
+ * when an upgrade is blocked by connections that other tabs keep open
+ * @type {Map<string, BroadcastChannel>}
+ */
+const channels = new Map();
+
+/**
+ * Returns the channel of a database, creating it and listening to other tabs on first use
+ * @param {string} dbName - Name of the database
+ * @returns {BroadcastChannel|null} The channel, or null where BroadcastChannel is not supported
+ */
+const channelFor = (dbName) => {
+    if (typeof BroadcastChannel === 'undefined') return null;
+    if (!channels.has(dbName)) {
+        const channel = new BroadcastChannel(`idb:${dbName}`);
+        channel.onmessage = ({ data }) => {
+            if (data?.type === 'change') {
+                emit('change', dbName, { stores: data.stores });
+            } else if (data?.type === 'upgrade' && connections.has(dbName)) {
+                closeConnection(dbName).then(() => emit('versionchange', dbName));
+            }
+        };
+        channels.set(dbName, channel);
+    }
+    return channels.get(dbName);
+};
+
+/**
+ * Tells the other tabs that writes to some stores were committed
+ * @param {string} dbName - Name of the database
+ * @param {string[]} stores - Names of the stores written to
+ * @returns {void}
+ */
+const broadcastChange = (dbName, stores) => channelFor(dbName)?.postMessage({ type: 'change', stores });
+
+/**
+ * Tracks the writes made through a synced store for sync
+ * Every put or add stamps the record, in place, with a `syncId` (kept when present) and an
+ * `updatedAt` timestamp, and every delete leaves a tombstone; either way the pending change
+ * is written to the outbox in the same transaction, replacing any older change of the record
+ * Records written back must therefore be read from the store first, so they keep their `syncId`
+ * @param {IDBObjectStore} store - Synced store of a readwrite transaction
+ * @param {IDBObjectStore} outbox - Outbox store of the same transaction
+ * @returns {IDBObjectStore} A proxy of the store
+ */
+const trackChanges = (store, outbox) => {
+    const enqueue = (record) => {
+        record.syncId ??= crypto.randomUUID();
+        record.updatedAt = Date.now();
+        /* The local key means nothing on other devices */
+        const data = { ...record };
+        delete data[store.keyPath];
+        outbox.put({ syncId: record.syncId, store: store.name, record: data, deleted: false, updatedAt: record.updatedAt });
+    };
+    const tracked = {
+        put: (record, key) => {
+            enqueue(record);
+            return store.put(record, key);
+        },
+        add: (record, key) => {
+            enqueue(record);
+            return store.add(record, key);
+        },
+        delete: (key) => {
+            const lookup = store.get(key);
+            lookup.onsuccess = () => {
+                const syncId = lookup.result?.syncId;
+                if (syncId) {
+                    outbox.put({ syncId, store: store.name, record: null, deleted: true, updatedAt: Date.now() });
+                }
+            };
+            return store.delete(key);
+        },
+    };
+    return new Proxy(store, {
+        get: (target, property) => {
+            if (Object.hasOwn(tracked, property)) return tracked[property];
+            const value = target[property];
+            return typeof value === 'function' ? value.bind(target) : value;
+        },
+    });
+};
+
 /**
  * Wrapper class for IndexedDB operations
  * Provides a Promise-based API for common IndexedDB operations
@@ -7,47 +234,196 @@ export default class IDBWrapper {
      * Creates an instance of IDBWrapper
      * @param {string} dbName - Name of the IndexedDB database
      * @param {string} storeName - Name of the object store
+     * @param {DatabaseSchema} [schema] - Declared schema, defaults to a single auto-incremented store
      */
-    constructor(dbName, storeName) {
+    constructor(dbName, storeName, schema = {
+        version: 1,
+        stores: { [storeName]: { keyPath: 'id', autoIncrement: true } },
+    }) {
         this.dbName = dbName;
         this.storeName = storeName;
+        this.schema = schema;
     }
 
     /**
-     * Opens a connection to the IndexedDB database
-     * Creates an object store if it doesn't exist
+     * Opens a connection to the IndexedDB database at the schema version
+     * The connection is cached and shared by every wrapper of the same database, and is
+     * reopened on the next call after it was closed for another tab's upgrade
+     * On upgrade, creates missing stores and indexes and then runs every migration step
+     * newer than the version found on disk, in ascending version order
      * @returns {Promise<IDBDatabase>} A promise that resolves with the database instance
-     * @throws {Error} When database connection fails
+     * @throws {Error} When database connection or a migration fails
      */
     async open() {
-        return new Promise((resolve, reject) => {
-            const request = indexedDB.open(this.dbName);
+        if (!connections.has(this.dbName)) {
+            const connection = this.connect();
+            connections.set(this.dbName, connection);
+            connection.catch(() => connections.delete(this.dbName));
+        }
+        return connections.get(this.dbName);
+    }
+
+    /**
+     * Creates a new database connection, running the schema upgrade when needed
+     * Use `open()` instead, which reuses the cached connection
+     * @returns {Promise<IDBDatabase>} A promise that resolves with the database instance
+     * @throws {Error} When database connection or a migration fails
+     */
+    async connect() {
+        const db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.schema.version);
 
             request.onupgradeneeded = (event) => {
                 const db = event.target.result;
-                if (!db.objectStoreNames.contains(this.storeName)) {
-                    db.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+                const transaction = event.target.transaction;
+                try {
+                    applySchema(db, transaction, this.schema);
+                    [...(this.schema.migrations ?? [])]
+                        .filter(({ version }) => version > event.oldVersion && version <= event.newVersion)
+                        .sort((a, b) => a.version - b.version)
+                        .forEach(({ migrate }) => migrate(transaction, db));
+                } catch (error) {
+                    /* Aborting rolls the whole upgrade back so no partially migrated data is kept */
+                    transaction.abort();
+                    reject(error);
                 }
             };
 
+            /* Another tab still holds a connection at the old version; ask every tab to close theirs */
+            request.onblocked = () => {
+                channelFor(this.dbName)?.postMessage({ type: 'upgrade' });
+                emit('blocked', this.dbName);
+            };
             request.onsuccess = (event) => resolve(event.target.result);
             request.onerror = (event) => reject(event.target.error);
         });
+
+        /* Let other connections upgrade the database instead of blocking them */
+        db.onversionchange = () => {
+            this.close(db);
+            emit('versionchange', this.dbName);
+        };
+        db.onclose = () => this.close(db);
+        /* Start listening to other tabs as soon as this tab uses the database */
+        channelFor(this.dbName);
+        return db;
+    }
+
+    /**
+     * Closes the cached connection so the next operation opens a fresh one
+     * @param {IDBDatabase} [db] - Connection to close, only dropped from the cache if it is the cached one
+     * @returns {Promise<void>}
+     */
+    async close(db) {
+        const cached = connections.get(this.dbName);
+        if (!cached) return;
+        const current = await cached.catch(() => null);
+        if (!db || current === db) {
+            connections.delete(this.dbName);
+        }
+        (db ?? current)?.close();
+    }
+
+    /**
+     * Runs several operations in one transaction that commits or rolls back as a whole
+     * The callback must issue its requests synchronously, or from the callbacks of earlier
+     * requests; awaiting anything else lets the transaction auto-commit early
+     * Committed `readwrite` transactions are announced to other tabs as changes to every store they span
+     * In `readwrite` transactions, writes to synced stores are tracked in the outbox, which is
+     * added to the transaction for that purpose
+     * @param {string|string[]} storeNames - Stores the transaction spans
+     * @param {IDBTransactionMode} mode - `readonly` or `readwrite`
+     * @param {function(Object<string, IDBObjectStore>, IDBTransaction): *} callback - Receives the
+     * stores keyed by name; throwing aborts the transaction
+     * @param {Object} [options] - Transaction options
+     * @param {boolean} [options.track=true] - Whether to track writes to synced stores; the sync
+     * itself turns this off when it applies changes pulled from the server
+     * @returns {Promise<*>} A promise that resolves with the callback's result once committed
+     * @throws {Error} When any request fails or the transaction is aborted
+     */
+    async transaction(storeNames, mode, callback, { track = true } = {}) {
+        const db = await this.open();
+        const names = [].concat(storeNames);
+        const { outboxStore } = this.schema;
+        const tracked = track && mode === 'readwrite' && outboxStore
+            ? names.filter((name) => this.schema.stores[name]?.synced)
+            : [];
+        const scope = tracked.length > 0 && !names.includes(outboxStore) ? [...names, outboxStore] : names;
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(scope, mode);
+            const stores = Object.fromEntries(names.map((name) => {
+                const store = transaction.objectStore(name);
+                return [name, tracked.includes(name) ? trackChanges(store, transaction.objectStore(outboxStore)) : store];
+            }));
+            let result;
+
+            transaction.oncomplete = () => {
+                if (mode === 'readwrite') broadcastChange(this.dbName, scope);
+                resolve(result);
+            };
+            /* The error bubbles up from the failed request; the transaction's own error is only set once it aborts */
+            transaction.onerror = (event) => reject(event.target.error);
+            transaction.onabort = () => reject(transaction.error ?? new Error('Transaction aborted'));
+
+            try {
+                result = callback(stores, transaction);
+            } catch (error) {
+                transaction.abort();
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * Saves or updates several records atomically
+     * @param {Array<Object>} records - Records to store
+     * @returns {Promise<Array<number>>} A promise that resolves with the keys of the stored records
+     * @throws {Error} When any write fails, in which case none of the records are stored
+     */
+    async bulkPut(records) {
+        return this.transaction(this.storeName, 'readwrite', (stores) => {
+            const keys = [];
+            records.forEach((record, i) => {
+                const request = stores[this.storeName].put(record);
+                request.onsuccess = () => {
+                    keys[i] = request.result;
+                };
+            });
+            return keys;
+        });
+    }
+
+    /**
+     * Deletes several records atomically
+     * @param {Array<number|string>} ids - Keys of the records to delete
+     * @returns {Promise<undefined>} A promise that resolves when every deletion is committed
+     * @throws {Error} When any deletion fails, in which case no record is deleted
+     */
+    async bulkDelete(ids) {
+        await this.transaction(this.storeName, 'readwrite', (stores) => {
+            ids.forEach((id) => stores[this.storeName].delete(id));
+        });
     }
 
     /**
      * Saves or updates data in the object store
+     * Other tabs are told about the change once it is committed
      * @param {Object} data - Data to be stored
      * @returns {Promise<number>} A promise that resolves with the ID of the stored item
      * @throws {Error} When save operation fails
      */
     async save(data) {
+        if (this.schema.stores[this.storeName]?.synced) {
+            const [key] = await this.bulkPut([data]);
+            return key;
+        }
         const db = await this.open();
         return new Promise((resolve, reject) => {
             const transaction = db.transaction(this.storeName, 'readwrite');
             const store = transaction.objectStore(this.storeName);
 
             const request = store.put(data);
+            transaction.oncomplete = () => broadcastChange(this.dbName, [this.storeName]);
             request.onsuccess = () => resolve(request.result);
             request.onerror = (event) => reject(event.target.error);
         });
@@ -70,19 +446,190 @@ export default class IDBWrapper {
         });
     }
 
+    /**
+     * Retrieves a single record by its key
+     * @param {number|string} id - Key of the record to retrieve
+     * @returns {Promise<Object|undefined>} A promise that resolves with the record, if any
+     * @throws {Error} When retrieval operation fails
+     */
+    async get(id) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, 'readonly');
+            const store = transaction.objectStore(this.storeName);
+
+            const request = store.get(id);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = (event) => reject(event.target.error);
+        });
+    }
+
+    /**
+     * Retrieves every record whose index key matches a value or key range
+     * @param {string} indexName - Name of the index to query
+     * @param {IDBValidKey|IDBKeyRange} [query] - Exact key or key range, omitted to match all
+     * @returns {Promise<Array>} A promise that resolves with the matching records in index order
+     * @throws {Error} When retrieval operation fails
+     */
+    async getAllByIndex(indexName, query) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, 'readonly');
+            const index = transaction.objectStore(this.storeName).index(indexName);
+
+            const request = index.getAll(query);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = (event) => reject(event.target.error);
+        });
+    }
+
+    /**
+     * Retrieves records whose index key falls between two bounds, inclusive
+     * @param {string} indexName - Name of the index to query
+     * @param {IDBValidKey} lower - Lower bound of the range
+     * @param {IDBValidKey} upper - Upper bound of the range
+     * @returns {Promise<Array>} A promise that resolves with the matching records in index order
+     * @throws {Error} When retrieval operation fails
+     */
+    async getRange(indexName, lower, upper) {
+        return this.getAllByIndex(indexName, IDBKeyRange.bound(lower, upper));
+    }
+
+    /**
+     * Counts records in the store, or in an index when an index name is given
+     * @param {string} [indexName] - Name of the index to count, omitted to count the store
+     * @param {IDBValidKey|IDBKeyRange} [query] - Exact key or key range to count
+     * @returns {Promise<number>} A promise that resolves with the number of matching records
+     * @throws {Error} When count operation fails
+     */
+    async count(indexName, query) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, 'readonly');
+            const store = transaction.objectStore(this.storeName);
+            const source = indexName ? store.index(indexName) : store;
+
+            const request = source.count(query);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = (event) => reject(event.target.error);
+        });
+    }
+
+    /**
+     * Lists the distinct keys of an index with a key cursor, without reading the records
+     * For multi-entry indexes these are the distinct array elements across all records
+     * @param {string} indexName - Name of the index
+     * @returns {Promise<Array<IDBValidKey>>} A promise that resolves with the keys in ascending order
+     * @throws {Error} When cursor iteration fails
+     */
+    async getIndexKeys(indexName) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, 'readonly');
+            const index = transaction.objectStore(this.storeName).index(indexName);
+            const keys = [];
+
+            const request = index.openKeyCursor(null, 'nextunique');
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve(keys);
+                    return;
+                }
+                keys.push(cursor.key);
+                cursor.continue();
+            };
+            request.onerror = (event) => reject(event.target.error);
+        });
+    }
+
+    /**
+     * Reads one page of records with a cursor, without loading the rest of the store
+     * @param {Object} [options] - Paging options
+     * @param {string} [options.indexName] - Index to iterate, omitted to iterate by primary key
+     * @param {IDBValidKey|IDBKeyRange} [options.query] - Exact key or key range to iterate
+     * @param {IDBCursorDirection} [options.direction='next'] - Cursor direction, `prev` for descending
+     * @param {number} [options.offset=0] - Number of records to skip
+     * @param {number} [options.limit=Infinity] - Maximum number of records to return
+     * @returns {Promise<Array>} A promise that resolves with the records of the page
+     * @throws {Error} When cursor iteration fails
+     */
+    async getPage({ indexName, query, direction = 'next', offset = 0, limit = Infinity } = {}) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, 'readonly');
+            const store = transaction.objectStore(this.storeName);
+            const source = indexName ? store.index(indexName) : store;
+            const results = [];
+            let skipped = offset === 0;
+
+            const request = source.openCursor(query, direction);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || results.length >= limit) {
+                    resolve(results);
+                    return;
+                }
+                if (!skipped) {
+                    skipped = true;
+                    cursor.advance(offset);
+                    return;
+                }
+                results.push(cursor.value);
+                cursor.continue();
+            };
+            request.onerror = (event) => reject(event.target.error);
+        });
+    }
+
+    /**
+     * Folds the records of an index range into one value with a cursor, without holding them in memory
+     * @param {string} indexName - Name of the index to iterate
+     * @param {IDBValidKey|IDBKeyRange} [query] - Exact key or key range, omitted to iterate all records
+     * @param {function(*, Object): *} reducer - Receives the value so far and a record, returns the new value
+     * @param {*} initial - Value before the first record
+     * @returns {Promise<*>} A promise that resolves with the value after the last record
+     * @throws {Error} When cursor iteration fails
+     */
+    async reduce(indexName, query, reducer, initial) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, 'readonly');
+            const index = transaction.objectStore(this.storeName).index(indexName);
+            let value = initial;
+
+            const request = index.openCursor(query);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve(value);
+                    return;
+                }
+                value = reducer(value, cursor.value);
+                cursor.continue();
+            };
+            request.onerror = (event) => reject(event.target.error);
+        });
+    }
+
     /**
      * Deletes a record from the object store by its ID
+     * Other tabs are told about the change once it is committed
      * @param {number|string} id - ID of the record to delete
      * @returns {Promise<undefined>} A promise that resolves when the deletion is complete
      * @throws {Error} When deletion operation fails
      */
     async delete(id) {
+        if (this.schema.stores[this.storeName]?.synced) {
+            return this.bulkDelete([id]);
+        }
         const db = await this.open();
         return new Promise((resolve, reject) => {
             const transaction = db.transaction(this.storeName, 'readwrite');
             const store = transaction.objectStore(this.storeName);
 
             const request = store.delete(id);
+            transaction.oncomplete = () => broadcastChange(this.dbName, [this.storeName]);
             request.onsuccess = () => resolve(request.result);
             request.onerror = (event) => reject(event.target.error);
         });
@@ -0,0 +1,303 @@
+/**
+ * Tests of the IndexedDB wrapper against an in-memory IndexedDB
+ * Every test opens its own database, since connections are cached per database name
+ */
+
+import {describe, expect, it} from 'vitest';
+import IDBWrapper, {transformRecords} from './idb';
+
+let databaseCount = 0;
+
+/**
+ * Returns a database name no other test uses
+ * @returns {string} Database name
+ */
+const uniqueName = () => `idb-test-${++databaseCount}`;
+
+/** Single store of notes, indexed by date */
+const NOTES_SCHEMA = {
+    version: 1,
+    stores: {
+        notes: { keyPath: 'id', autoIncrement: true, indexes: { date: { keyPath: 'date' } } },
+    },
+};
+
+/** Notes whose tracked writes are collected in an outbox */
+const SYNCED_SCHEMA = {
+    version: 1,
+    outboxStore: 'outbox',
+    stores: {
+        notes: { keyPath: 'id', autoIncrement: true, synced: true },
+        outbox: { keyPath: 'syncId' },
+    },
+};
+
+describe('IDBWrapper', () => {
+    describe('open', () => {
+        it('creates the declared stores and indexes', async () => {
+            const db = await new IDBWrapper(uniqueName(), 'notes', NOTES_SCHEMA).open();
+
+            expect(db.version).toBe(1);
+            expect([...db.objectStoreNames]).toEqual(['notes']);
+            expect([...db.transaction('notes').objectStore('notes').indexNames]).toEqual(['date']);
+        });
+
+        it('creates a single auto-incremented store without a schema', async () => {
+            const wrapper = new IDBWrapper(uniqueName(), 'items');
+
+            expect(await wrapper.save({ name: 'first' })).toBe(1);
+            expect(await wrapper.save({ name: 'second' })).toBe(2);
+        });
+
+        it('shares one connection between wrappers of the same database', async () => {
+            const name = uniqueName();
+            const first = await new IDBWrapper(name, 'notes', NOTES_SCHEMA).open();
+            const second = await new IDBWrapper(name, 'notes', NOTES_SCHEMA).open();
+
+            expect(second).toBe(first);
+        });
+
+        it('opens a new connection after the cached one was closed', async () => {
+            const wrapper = new IDBWrapper(uniqueName(), 'notes', NOTES_SCHEMA);
+            const first = await wrapper.open();
+            await wrapper.close();
+
+            expect(await wrapper.open()).not.toBe(first);
+        });
+    });
+
+    describe('upgrade', () => {
+        it('runs the migrations newer than the stored version in order and keeps the data', async () => {
+            const name = uniqueName();
+            const v1 = new IDBWrapper(name, 'notes', NOTES_SCHEMA);
+            await v1.save({ text: 'kept', date: '2024-01-01' });
+            await v1.close();
+
+            const ran = [];
+            const schema = {
+                version: 3,
+                stores: { ...NOTES_SCHEMA.stores, tags: { keyPath: 'key' } },
+                migrations: [
+                    {
+                        version: 3,
+                        migrate: (transaction) => {
+                            ran.push(3);
+                            transformRecords(transaction, 'notes', (note) => ({ ...note, text: note.text.toUpperCase() }));
+                        },
+                    },
+                    { version: 1, migrate: () => ran.push(1) },
+                    {
+                        version: 2,
+                        migrate: (transaction) => {
+                            ran.push(2);
+                            transaction.objectStore('tags').put({ key: 'work' });
+                        },
+                    },
+                ],
+            };
+            const v3 = new IDBWrapper(name, 'notes', schema);
+
+            expect(await v3.getAll()).toEqual([{ id: 1, text: 'KEPT', date: '2024-01-01' }]);
+            expect(await new IDBWrapper(name, 'tags', schema).getAll()).toEqual([{ key: 'work' }]);
+            expect(ran).toEqual([2, 3]);
+        });
+
+        it('deletes and leaves records as the transform asks', async () => {
+            const name = uniqueName();
+            const v1 = new IDBWrapper(name, 'notes', NOTES_SCHEMA);
+            await v1.bulkPut([{ text: 'keep' }, { text: 'drop' }, { text: 'edit' }]);
+            await v1.close();
+
+            const v2 = new IDBWrapper(name, 'notes', {
+                ...NOTES_SCHEMA,
+                version: 2,
+                migrations: [{
+                    version: 2,
+                    migrate: (transaction) => transformRecords(transaction, 'notes', (note) => {
+                        if (note.text === 'drop') return null;
+                        if (note.text === 'edit') return { ...note, text: 'edited' };
+                        return undefined;
+                    }),
+                }],
+            });
+
+            expect(await v2.getAll()).toEqual([{ id: 1, text: 'keep' }, { id: 3, text: 'edited' }]);
+        });
+
+        it('runs every step on a record as the previous steps left it', async () => {
+            const name = uniqueName();
+            const v1 = new IDBWrapper(name, 'notes', NOTES_SCHEMA);
+            await v1.bulkPut([{ text: 'a' }, { text: 'b' }]);
+            await v1.close();
+
+            const v3 = new IDBWrapper(name, 'notes', {
+                ...NOTES_SCHEMA,
+                version: 3,
+                migrations: [
+                    { version: 2, migrate: (transaction) => transformRecords(transaction, 'notes', (note) => ({ ...note, text: `${note.text}2` })) },
+                    { version: 3, migrate: (transaction) => transformRecords(transaction, 'notes', (note) => ({ ...note, text: `${note.text}3` })) },
+                ],
+            });
+
+            expect(await v3.getAll()).toEqual([{ id: 1, text: 'a23' }, { id: 2, text: 'b23' }]);
+        });
+
+        it('rolls the whole upgrade back when a migration fails', async () => {
+            const name = uniqueName();
+            const v1 = new IDBWrapper(name, 'notes', NOTES_SCHEMA);
+            await v1.save({ text: 'kept', date: '2024-01-01' });
+            await v1.close();
+
+            const broken = new IDBWrapper(name, 'notes', {
+                version: 2,
+                stores: { ...NOTES_SCHEMA.stores, tags: { keyPath: 'key' } },
+                migrations: [{
+                    version: 2,
+                    migrate: () => {
+                        throw new Error('Migration failed');
+                    },
+                }],
+            });
+            await expect(broken.open()).rejects.toThrow('Migration failed');
+
+            const reopened = new IDBWrapper(name, 'notes', NOTES_SCHEMA);
+            const db = await reopened.open();
+            expect(db.version).toBe(1);
+            expect([...db.objectStoreNames]).toEqual(['notes']);
+            expect(await reopened.getAll()).toEqual([{ id: 1, text: 'kept', date: '2024-01-01' }]);
+        });
+    });
+
+    describe('records', () => {
+        it('saves, reads, updates and deletes records', async () => {
+            const wrapper = new IDBWrapper(uniqueName(), 'notes', NOTES_SCHEMA);
+
+            const id = await wrapper.save({ text: 'draft', date: '2024-03-01' });
+            expect(await wrapper.get(id)).toEqual({ id, text: 'draft', date: '2024-03-01' });
+
+            await wrapper.save({ id, text: 'final', date: '2024-03-01' });
+            expect(await wrapper.getAll()).toEqual([{ id, text: 'final', date: '2024-03-01' }]);
+
+            await wrapper.delete(id);
+            expect(await wrapper.get(id)).toBeUndefined();
+            expect(await wrapper.getAll()).toEqual([]);
+        });
+
+        it('saves and deletes several records at once', async () => {
+            const wrapper = new IDBWrapper(uniqueName(), 'notes', NOTES_SCHEMA);
+
+            expect(await wrapper.bulkPut([{ text: 'a' }, { text: 'b' }, { text: 'c' }])).toEqual([1, 2, 3]);
+            await wrapper.bulkDelete([1, 3]);
+            expect(await wrapper.getAll()).toEqual([{ id: 2, text: 'b' }]);
+        });
+
+        it('queries, counts, pages and folds records through an index', async () => {
+            const wrapper = new IDBWrapper(uniqueName(), 'notes', NOTES_SCHEMA);
+            await wrapper.bulkPut([
+                { text: 'march', date: '2024-03-10' },
+                { text: 'february', date: '2024-02-28' },
+                { text: 'april', date: '2024-04-01' },
+                { text: 'march again', date: '2024-03-31' },
+            ]);
+
+            const march = await wrapper.getRange('date', '2024-03-01', '2024-03-31');
+            expect(march.map((note) => note.text)).toEqual(['march', 'march again']);
+            expect(await wrapper.count()).toBe(4);
+            expect(await wrapper.count('date', IDBKeyRange.lowerBound('2024-03-01'))).toBe(3);
+            expect(await wrapper.getIndexKeys('date')).toEqual(['2024-02-28', '2024-03-10', '2024-03-31', '2024-04-01']);
+
+            const page = await wrapper.getPage({ indexName: 'date', direction: 'prev', offset: 1, limit: 2 });
+            expect(page.map((note) => note.text)).toEqual(['march again', 'march']);
+
+            const beforeApril = IDBKeyRange.upperBound('2024-04-01', true);
+            expect(await wrapper.reduce('date', beforeApril, (count) => count + 1, 0)).toBe(3);
+        });
+    });
+
+    describe('errors', () => {
+        /** Store whose `code` index rejects duplicates */
+        const UNIQUE_SCHEMA = {
+            version: 1,
+            stores: {
+                items: { keyPath: 'id', autoIncrement: true, indexes: { code: { keyPath: 'code', options: { unique: true } } } },
+            },
+        };
+
+        it('rejects a save that breaks a unique index', async () => {
+            const wrapper = new IDBWrapper(uniqueName(), 'items', UNIQUE_SCHEMA);
+            await wrapper.save({ code: 'A' });
+
+            await expect(wrapper.save({ code: 'A' })).rejects.toMatchObject({ name: 'ConstraintError' });
+            expect(await wrapper.count()).toBe(1);
+        });
+
+        it('stores none of the records when one write of a bulk save fails', async () => {
+            const wrapper = new IDBWrapper(uniqueName(), 'items', UNIQUE_SCHEMA);
+
+            await expect(wrapper.bulkPut([{ code: 'A' }, { code: 'B' }, { code: 'A' }]))
+                .rejects.toMatchObject({ name: 'ConstraintError' });
+            expect(await wrapper.getAll()).toEqual([]);
+        });
+
+        it('rolls a transaction back when its callback throws', async () => {
+            const wrapper = new IDBWrapper(uniqueName(), 'notes', NOTES_SCHEMA);
+
+            await expect(wrapper.transaction('notes', 'readwrite', ({ notes }) => {
+                notes.put({ text: 'lost' });
+                throw new Error('Callback failed');
+            })).rejects.toThrow('Callback failed');
+            expect(await wrapper.getAll()).toEqual([]);
+        });
+
+        it('rejects records without a valid key', async () => {
+            const wrapper = new IDBWrapper(uniqueName(), 'settings', {
+                version: 1,
+                stores: { settings: { keyPath: 'key' } },
+            });
+
+            await expect(wrapper.save({ value: 'no key' })).rejects.toMatchObject({ name: 'DataError' });
+        });
+
+        it('rejects operations on a store the schema does not declare', async () => {
+            const wrapper = new IDBWrapper(uniqueName(), 'missing', NOTES_SCHEMA);
+
+            await expect(wrapper.getAll()).rejects.toMatchObject({ name: 'NotFoundError' });
+        });
+    });
+
+    describe('sync tracking', () => {
+        it('records writes and deletes of synced stores in the outbox', async () => {
+            const name = uniqueName();
+            const notes = new IDBWrapper(name, 'notes', SYNCED_SCHEMA);
+            const outbox = new IDBWrapper(name, 'outbox', SYNCED_SCHEMA);
+
+            const id = await notes.save({ text: 'hello' });
+            const stored = await notes.get(id);
+            expect(stored.syncId).toEqual(expect.any(String));
+            expect(await outbox.getAll()).toEqual([{
+                syncId: stored.syncId,
+                store: 'notes',
+                record: { text: 'hello', syncId: stored.syncId, updatedAt: stored.updatedAt },
+                deleted: false,
+                updatedAt: stored.updatedAt,
+            }]);
+
+            await notes.delete(id);
+            expect(await outbox.getAll()).toEqual([
+                expect.objectContaining({ syncId: stored.syncId, record: null, deleted: true }),
+            ]);
+        });
+
+        it('leaves the outbox alone when tracking is turned off', async () => {
+            const name = uniqueName();
+            const notes = new IDBWrapper(name, 'notes', SYNCED_SCHEMA);
+
+            await notes.transaction('notes', 'readwrite', (stores) => {
+                stores.notes.put({ text: 'pulled' });
+            }, { track: false });
+
+            expect(await notes.getAll()).toEqual([{ id: 1, text: 'pulled' }]);
+            expect(await new IDBWrapper(name, 'outbox', SYNCED_SCHEMA).getAll()).toEqual([]);
+        });
+    });
+});
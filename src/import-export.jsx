@@ -0,0 +1,263 @@
+import {useState} from 'react';
+import {Box, Checkbox, FormControlLabel, MenuItem, Paper, Typography} from '@mui/material';
+import {StyledButton, StyledTextField} from './styles';
+import {t} from './i18n';
+import {
+    CSV_FIELDS,
+    FIELD_LABELS,
+    createBackup,
+    downloadFile,
+    guessMapping,
+    importExpenses,
+    loadExportExpenses,
+    parseBackup,
+    parseCSV,
+    rowsToExpenses,
+    toCSV,
+    validateImport,
+} from './transfer';
+import {isCurrencyCode} from './currency';
+import {amountToInput} from './money';
+import {exportAttachments} from './attachments';
+
+/** Number of mapped CSV rows shown in the preview */
+const PREVIEW_ROWS = 5;
+
+/**
+ * Import/export panel: CSV and JSON export, and import with column mapping, preview and validation report
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.categories - Known categories
+ * @param {string} props.baseCurrency - Currency of CSV rows without a currency
+ * @param {Array<Object>} props.rates - Stored exchange rates, included in JSON backups
+ * @param {string} props.monthYear - Selected month in `YYYY-MM` format, empty when none is selected
+ * @param {Function} props.onImported - Called with the stored expenses and the categories the import added
+ * @param {Function} props.onRatesChange - Called with the rate list after a backup restored rates
+ * @param {Function} props.showMessage - Displays a status message to the user
+ * @returns {JSX.Element} ImportExport component
+ */
+const ImportExport = ({ categories, baseCurrency, rates, monthYear, onImported, onRatesChange, showMessage }) => {
+    const [scope, setScope] = useState('all');
+    const [withAttachments, setWithAttachments] = useState(false);
+    const [csvRows, setCsvRows] = useState(null);
+    const [mapping, setMapping] = useState({});
+    const [backup, setBackup] = useState(null);
+    const [report, setReport] = useState(null);
+
+    const newCategories = backup
+        ? backup.categories.filter((category) => !categories.some((c) => c.key === category.key))
+        : [];
+    const knownCategories = [...categories, ...newCategories];
+    const readyRows = report ? report.filter((row) => !row.error && !row.duplicate) : [];
+
+    /**
+     * Downloads the selected expenses as CSV or as a JSON backup
+     * @param {'csv' | 'json'} format - Export format
+     * @returns {Promise<void>}
+     */
+    const exportExpenses = async (format) => {
+        try {
+            const month = scope === 'month' ? monthYear : '';
+            const expenses = await loadExportExpenses(month);
+            const name = `expenses-${month || 'all'}`;
+            if (format === 'csv') {
+                downloadFile(`${name}.csv`, toCSV(expenses, categories), 'text/csv');
+            } else {
+                const attachments = withAttachments
+                    ? await exportAttachments(expenses.map((expense) => expense.id))
+                    : undefined;
+                downloadFile(`${name}.json`, createBackup(expenses, categories, rates, attachments), 'application/json');
+            }
+            showMessage(t('Exported {count} Expense(s)', { count: expenses.length }));
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+    };
+
+    /**
+     * Clears the import state
+     * @returns {void}
+     */
+    const resetImport = () => {
+        setCsvRows(null);
+        setBackup(null);
+        setReport(null);
+        setMapping({});
+    };
+
+    /**
+     * Reads the chosen file; JSON backups are validated right away, CSV files wait for the column mapping
+     * @param {React.ChangeEvent<HTMLInputElement>} e - File input change event
+     * @returns {Promise<void>}
+     */
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        resetImport();
+        try {
+            const text = await file.text();
+            if (file.name.toLowerCase().endsWith('.json')) {
+                const parsed = parseBackup(text);
+                const added = parsed.categories.filter((category) => !categories.some((c) => c.key === category.key));
+                setBackup(parsed);
+                setReport(await validateImport(parsed.expenses, [...categories, ...added]));
+            } else {
+                const rows = parseCSV(text);
+                if (rows.length < 2) {
+                    showMessage(t('The CSV file has no data rows'), 'error');
+                    return;
+                }
+                setCsvRows(rows);
+                setMapping(guessMapping(rows[0]));
+            }
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+    };
+
+    /**
+     * Validates the mapped CSV rows and builds the per-row report
+     * @returns {Promise<void>}
+     */
+    const checkRows = async () => {
+        try {
+            const records = rowsToExpenses(csvRows.slice(1), mapping, categories, baseCurrency);
+            setReport(await validateImport(records, categories));
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+    };
+
+    /**
+     * Writes every valid, non-duplicate row in one transaction
+     * @returns {Promise<void>}
+     */
+    const runImport = async () => {
+        try {
+            const importedRates = backup?.rates ?? [];
+            const stored = await importExpenses(
+                readyRows.map((row) => row.expense),
+                newCategories,
+                importedRates,
+                backup?.attachments ?? []
+            );
+            onImported(stored, newCategories);
+            if (importedRates.length > 0) {
+                const isImported = (r) => importedRates.some((i) => i.from === r.from && i.to === r.to && i.date === r.date);
+                onRatesChange([...rates.filter((r) => !isImported(r)), ...importedRates]);
+            }
+            showMessage(t('Imported {count} Expense(s) Successfully!', { count: stored.length }));
+            resetImport();
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+    };
+
+    const preview = csvRows
+        ? rowsToExpenses(csvRows.slice(1, PREVIEW_ROWS + 1), mapping, knownCategories, baseCurrency)
+        : [];
+    const previewAmount = (expense) => (expense.amount === null
+        ? t('(invalid amount)')
+        : amountToInput(expense.amount, isCurrencyCode(expense.currency) ? expense.currency : baseCurrency));
+
+    return (
+        <Paper elevation={3} style={{ padding: '20px' }}>
+            <Typography variant='h5' gutterBottom>{t('Import / Export')}</Typography>
+
+            <StyledTextField
+                fullWidth
+                margin='normal'
+                select
+                label={t('Export')}
+                value={scope}
+                onChange={(e) => setScope(e.target.value)}
+            >
+                <MenuItem value='all'>{t('All Expenses')}</MenuItem>
+                <MenuItem value='month' disabled={!monthYear}>{t('Selected Month')}</MenuItem>
+            </StyledTextField>
+            <FormControlLabel
+                control={<Checkbox checked={withAttachments} onChange={(e) => setWithAttachments(e.target.checked)}/>}
+                label={t('Include attachments in JSON backups')}
+            />
+            <Box display='flex' gap={1}>
+                <StyledButton fullWidth onClick={() => exportExpenses('csv')}>{t('Export CSV')}</StyledButton>
+                <StyledButton fullWidth onClick={() => exportExpenses('json')}>{t('Export JSON Backup')}</StyledButton>
+            </Box>
+
+            <Box mt={3}>
+                <StyledButton fullWidth component='label'>
+                    {t('Import CSV or JSON')}
+                    <input type='file' accept='.csv,.json,text/csv,application/json' hidden onChange={handleFile}/>
+                </StyledButton>
+            </Box>
+
+            {csvRows && (
+                <Box mt={2}>
+                    <Typography variant='h6'>{t('Column Mapping')}</Typography>
+                    {CSV_FIELDS.map((field) => (
+                        <StyledTextField
+                            key={field}
+                            fullWidth
+                            margin='dense'
+                            select
+                            label={t(FIELD_LABELS[field])}
+                            value={mapping[field] ?? -1}
+                            onChange={(e) => {
+                                setMapping((prev) => ({ ...prev, [field]: Number(e.target.value) }));
+                                setReport(null);
+                            }}
+                        >
+                            <MenuItem value={-1}>{t('(not mapped)')}</MenuItem>
+                            {csvRows[0].map((header, i) => (
+                                <MenuItem key={i} value={i}>{header || t('Column {number}', { number: i + 1 })}</MenuItem>
+                            ))}
+                        </StyledTextField>
+                    ))}
+                    <Typography variant='subtitle1' mt={2}>{t('Preview')}</Typography>
+                    {preview.map((expense, i) => (
+                        <Typography key={i} variant='body2'>
+                            {expense.date} | {previewAmount(expense)} {expense.currency} | {expense.category} | {expense.description}
+                        </Typography>
+                    ))}
+                    <StyledButton fullWidth onClick={checkRows} sx={{ mt: 1 }}>
+                        {t('Check Rows')}
+                    </StyledButton>
+                </Box>
+            )}
+
+            {report && (
+                <Box mt={2}>
+                    <Typography variant='h6'>{t('Import Report')}</Typography>
+                    <Typography variant='body1'>
+                        {[
+                            t('{count} ready', { count: readyRows.length }),
+                            t('{count} duplicate(s)', { count: report.filter((row) => row.duplicate).length }),
+                            t('{count} error(s)', { count: report.filter((row) => row.error).length }),
+                            newCategories.length > 0 && t('{count} new category(s)', { count: newCategories.length }),
+                            backup?.attachments.length > 0 && t('{count} attachment(s)', { count: backup.attachments.length }),
+                        ].filter(Boolean).join(', ')}
+                    </Typography>
+                    {report.filter((row) => row.error || row.duplicate).map((row) => (
+                        <Typography key={row.line} variant='body2' style={{ color: row.error ? 'red' : 'gray' }}>
+                            {t('Row {line}: {problem}', {
+                                line: row.line,
+                                problem: t(row.error ?? 'Duplicate of an existing expense, will be skipped'),
+                            })}
+                        </Typography>
+                    ))}
+                    <Box display='flex' gap={1} mt={1}>
+                        <StyledButton fullWidth disabled={readyRows.length === 0} onClick={runImport}>
+                            {t('Import {count} Expense(s)', { count: readyRows.length })}
+                        </StyledButton>
+                        <StyledButton fullWidth variant='delete' onClick={resetImport}>
+                            {t('Cancel')}
+                        </StyledButton>
+                    </Box>
+                </Box>
+            )}
+        </Paper>
+    );
+};
+
+export default ImportExport;
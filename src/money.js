@@ -0,0 +1,117 @@
+/**
+ * Money amounts as integer minor units
+ * Amounts are stored as integers in the smallest unit of their currency (cents for USD,
+ * yen for JPY, fils for BHD), so sums are exact; conversion to a decimal number only
+ * happens when an amount is displayed or written to an input
+ * @module money
+ */
+
+import {getLocale} from './i18n';
+
+/** Cached number of minor unit digits, keyed by currency code */
+const digitsCache = new Map();
+
+/** Cached formatters, keyed by locale, currency display and currency code */
+const formatters = new Map();
+
+/** Ways an amount's currency can be shown, as Intl.NumberFormat `currencyDisplay` values, with their labels */
+export const CURRENCY_DISPLAYS = {
+    symbol: 'Symbol ($)',
+    narrowSymbol: 'Narrow Symbol',
+    code: 'Code (USD)',
+    name: 'Name (US dollars)',
+};
+
+let currencyDisplay = 'symbol';
+
+/**
+ * Sets how formatted amounts show their currency; set by the app from the preferences before the page is painted
+ * @param {string} display - One of the CURRENCY_DISPLAYS keys; unknown values fall back to `symbol`
+ * @returns {void}
+ */
+export const setCurrencyDisplay = (display) => {
+    currencyDisplay = CURRENCY_DISPLAYS[display] ? display : 'symbol';
+};
+
+/**
+ * Returns how many decimal digits a currency's minor unit has
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {number} Minor unit digits, e.g. 2 for USD and 0 for JPY
+ */
+export const minorUnitDigits = (currency) => {
+    if (!digitsCache.has(currency)) {
+        const { maximumFractionDigits } = new Intl.NumberFormat('en', { style: 'currency', currency })
+            .resolvedOptions();
+        digitsCache.set(currency, maximumFractionDigits);
+    }
+    return digitsCache.get(currency);
+};
+
+/**
+ * Converts a decimal amount to integer minor units, rounding to the nearest unit
+ * Only meant for legacy float amounts; user input goes through `parseAmount`
+ * @param {number} value - Decimal amount, e.g. 12.5
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {number} Integer minor units, e.g. 1250
+ */
+export const toMinorUnits = (value, currency) => Math.round(Number(value) * 10 ** minorUnitDigits(currency));
+
+/**
+ * Converts integer minor units to a decimal number for display
+ * @param {number} minor - Integer minor units
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {number} Decimal amount
+ */
+export const fromMinorUnits = (minor, currency) => minor / 10 ** minorUnitDigits(currency);
+
+/**
+ * Parses a decimal string into integer minor units without going through floating point
+ * @param {string} text - Amount as typed, e.g. `12.5`; thousands separators are not accepted
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {number|null} Integer minor units, or null when the text is not a non-negative
+ * amount with at most the currency's number of decimals
+ */
+export const parseAmount = (text, currency) => {
+    const digits = minorUnitDigits(currency);
+    const match = String(text ?? '').trim().match(/^(\d*)(?:\.(\d*))?$/);
+    if (!match || (match[1] === '' && !match[2]) || (match[2] ?? '').length > digits) {
+        return null;
+    }
+    return Number(match[1] || '0') * 10 ** digits + Number((match[2] ?? '').padEnd(digits, '0') || '0');
+};
+
+/**
+ * Returns the step of an amount input in a currency, one minor unit
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {string} Input step, e.g. `0.01` for USD and `1` for JPY
+ */
+export const amountStep = (currency) => String(10 ** -minorUnitDigits(currency));
+
+/**
+ * Writes integer minor units as a plain decimal string, as used by inputs and CSV files
+ * @param {number} minor - Integer minor units
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {string} Decimal string, e.g. `12.50`
+ */
+export const amountToInput = (minor, currency) => {
+    const digits = minorUnitDigits(currency);
+    const text = String(Math.abs(minor)).padStart(digits + 1, '0');
+    const whole = digits > 0 ? `${text.slice(0, -digits)}.${text.slice(-digits)}` : text;
+    return minor < 0 ? `-${whole}` : whole;
+};
+
+/**
+ * Formats integer minor units in their currency with Intl.NumberFormat, in the active locale
+ * and currency display
+ * @param {number} minor - Integer minor units
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {string} Formatted amount, e.g. `$12.50` or `12,50 €`
+ */
+export const formatMoney = (minor, currency) => {
+    const locale = getLocale();
+    const key = `${locale}:${currencyDisplay}:${currency}`;
+    if (!formatters.has(key)) {
+        formatters.set(key, new Intl.NumberFormat(locale, { style: 'currency', currency, currencyDisplay }));
+    }
+    return formatters.get(key).format(fromMinorUnits(minor, currency));
+};
@@ -0,0 +1,111 @@
+import {Checkbox, FormControlLabel, MenuItem, Paper, Typography} from '@mui/material';
+import {THEME_MODES, StyledTextField} from './styles';
+import {CURRENCY_DISPLAYS} from './money';
+import {categoryLabel} from './categories';
+import {saveSetting} from './settings';
+import {formatDate, t} from './i18n';
+
+/** Days a week can start on, 0 for Sunday to 6 for Saturday */
+const WEEK_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+/**
+ * Names a day of the week in the active language
+ * @param {number} day - Day of the week, 0 for Sunday to 6 for Saturday
+ * @returns {string} Day name such as `Monday`
+ */
+const weekdayName = (day) => formatDate(`2024-01-${String(7 + day).padStart(2, '0')}`, { weekday: 'long' });
+
+/**
+ * Preferences panel: color theme, defaults of new entries, first day of the week and how
+ * amounts show their currency; every change is saved right away
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object<string, *>} props.settings - Current settings
+ * @param {Array<Object>} props.categories - Expense categories new expenses can start in
+ * @param {Function} props.onSettingsChange - Called with the changed settings once saved
+ * @param {Function} props.showMessage - Displays a status message to the user
+ * @returns {JSX.Element} PreferencesManager component
+ */
+const PreferencesManager = ({ settings, categories, onSettingsChange, showMessage }) => {
+    /**
+     * Saves a single preference
+     * @param {string} key - Setting name
+     * @param {*} value - New value
+     * @returns {Promise<void>}
+     */
+    const changeSetting = async (key, value) => {
+        try {
+            await saveSetting(key, value);
+            onSettingsChange({ [key]: value });
+            showMessage('Preferences Saved');
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+    };
+
+    return (
+        <Paper elevation={3} style={{ padding: '20px' }}>
+            <Typography variant='h5' gutterBottom>{t('Preferences')}</Typography>
+            <StyledTextField
+                fullWidth
+                margin='normal'
+                select
+                label={t('Theme')}
+                value={settings.theme}
+                onChange={(e) => changeSetting('theme', e.target.value)}
+            >
+                {Object.entries(THEME_MODES).map(([mode, label]) => (
+                    <MenuItem key={mode} value={mode}>{t(label)}</MenuItem>
+                ))}
+            </StyledTextField>
+            <StyledTextField
+                fullWidth
+                margin='normal'
+                select
+                label={t('Default Category')}
+                value={categories.some((c) => c.key === settings.defaultCategory) ? settings.defaultCategory : ''}
+                onChange={(e) => changeSetting('defaultCategory', e.target.value)}
+            >
+                <MenuItem value=''>{t('First Active Category')}</MenuItem>
+                {categories.filter((c) => !c.archived).map((category) => (
+                    <MenuItem key={category.key} value={category.key}>{categoryLabel(category)}</MenuItem>
+                ))}
+            </StyledTextField>
+            <FormControlLabel
+                control={(
+                    <Checkbox
+                        checked={settings.defaultDateToday}
+                        onChange={(e) => changeSetting('defaultDateToday', e.target.checked)}
+                    />
+                )}
+                label={t('Date new entries today')}
+            />
+            <StyledTextField
+                fullWidth
+                margin='normal'
+                select
+                label={t('First Day of the Week')}
+                value={settings.firstDayOfWeek}
+                onChange={(e) => changeSetting('firstDayOfWeek', Number(e.target.value))}
+            >
+                {WEEK_DAYS.map((day) => (
+                    <MenuItem key={day} value={day}>{weekdayName(day)}</MenuItem>
+                ))}
+            </StyledTextField>
+            <StyledTextField
+                fullWidth
+                margin='normal'
+                select
+                label={t('Currency Display')}
+                value={settings.currencyDisplay}
+                onChange={(e) => changeSetting('currencyDisplay', e.target.value)}
+            >
+                {Object.entries(CURRENCY_DISPLAYS).map(([display, label]) => (
+                    <MenuItem key={display} value={display}>{t(label)}</MenuItem>
+                ))}
+            </StyledTextField>
+        </Paper>
+    );
+};
+
+export default PreferencesManager;
@@ -0,0 +1,44 @@
+/**
+ * Service worker registration and the "new version available" update flow
+ * The worker is only registered in production builds, where Vite emits `sw.js` under the base path
+ * @module pwa
+ */
+
+/**
+ * Registers the service worker and reports new versions once they are installed and waiting
+ * The first install is not reported, since there is no older version controlling the page
+ * @param {function(ServiceWorker): void} onUpdateReady - Called with the waiting worker of a new deploy
+ * @returns {Promise<void>}
+ */
+export const registerServiceWorker = async (onUpdateReady) => {
+    if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+    const base = import.meta.env.BASE_URL;
+    const registration = await navigator.serviceWorker.register(`${base}sw.js`, { scope: base });
+
+    const notify = (worker) => {
+        if (navigator.serviceWorker.controller) onUpdateReady(worker);
+    };
+    if (registration.waiting) {
+        notify(registration.waiting);
+    }
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker?.addEventListener('statechange', () => {
+            if (worker.state === 'installed') notify(worker);
+        });
+    });
+    /* Installed apps can stay open for days, so look for a new deploy whenever the app is shown again */
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') registration.update().catch(() => {});
+    });
+};
+
+/**
+ * Lets a waiting worker take over and reloads the page once it controls it
+ * @param {ServiceWorker} worker - Waiting worker reported by `registerServiceWorker`
+ * @returns {void}
+ */
+export const activateUpdate = (worker) => {
+    navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+    worker.postMessage({ type: 'SKIP_WAITING' });
+};
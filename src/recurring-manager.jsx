@@ -0,0 +1,346 @@
+import {useState} from 'react';
+import {Box, MenuItem, Paper, Typography} from '@mui/material';
+import {StyledButton, StyledTextField} from './styles';
+import {categoryLabel, resolveCategory} from './categories';
+import {toDateString} from './expenses';
+import {CURRENCIES} from './currency';
+import {amountStep, amountToInput, formatMoney, parseAmount} from './money';
+import {formatDate, t} from './i18n';
+import {
+    FREQUENCIES,
+    deleteTemplate,
+    loadTemplates,
+    materializeRecurring,
+    resumeTemplate,
+    saveTemplate,
+    upcomingOccurrences,
+    validateTemplate,
+} from './recurring';
+
+/** Number of upcoming occurrences listed per template */
+const UPCOMING_COUNT = 3;
+
+const EMPTY_FORM = {
+    amount: '',
+    currency: '',
+    category: '',
+    description: '',
+    frequency: 'monthly',
+    startDate: '',
+    endDate: '',
+    dayOfMonth: '',
+};
+
+/**
+ * Recurring expense panel for creating, editing, pausing and deleting templates
+ * and for skipping single upcoming occurrences
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.templates - Stored recurring templates
+ * @param {Array<Object>} props.categories - Known categories
+ * @param {string} props.baseCurrency - Currency preselected for new templates
+ * @param {Function} props.onTemplatesChange - Called with the new template list after every change
+ * @param {Function} props.onExpensesAdded - Called with expenses generated for templates that are already due
+ * @param {Function} props.showMessage - Displays a status message to the user
+ * @returns {JSX.Element} RecurringManager component
+ */
+const RecurringManager = ({ templates, categories, baseCurrency, onTemplatesChange, onExpensesAdded, showMessage }) => {
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [editing, setEditing] = useState(null);
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setForm((prev) => ({ ...prev, [name]: value }));
+    };
+
+    /**
+     * Resets the form and leaves edit mode
+     * @returns {void}
+     */
+    const resetForm = () => {
+        setForm(EMPTY_FORM);
+        setEditing(null);
+    };
+
+    /**
+     * Stores a template and replaces it in the list
+     * @param {Object} template - Template to store
+     * @returns {Promise<Object>} The stored template with its id
+     */
+    const store = async (template) => {
+        const id = await saveTemplate(template);
+        const stored = { ...template, id };
+        onTemplatesChange([...templates.filter((t) => t.id !== id), stored]);
+        return stored;
+    };
+
+    /**
+     * Generates any occurrences that are already due, e.g. for a template starting in the past,
+     * then reloads the templates to pick up their new `lastGenerated` dates
+     * @returns {Promise<Array<Object>>} The generated expenses
+     */
+    const generateDue = async () => {
+        const created = await materializeRecurring(toDateString());
+        onTemplatesChange(await loadTemplates());
+        if (created.length > 0) {
+            onExpensesAdded(created);
+        }
+        return created;
+    };
+
+    /**
+     * Validates and stores the template from the form
+     * @param {React.FormEvent<HTMLFormElement>} e - Form submission event
+     * @returns {Promise<void>}
+     */
+    const submit = async (e) => {
+        e.preventDefault();
+        const template = {
+            skipped: [],
+            paused: false,
+            lastGenerated: null,
+            ...editing,
+            ...form,
+            category: form.category || categories.find((c) => !c.archived)?.key,
+            amount: parseAmount(form.amount, form.currency || baseCurrency),
+            currency: form.currency || baseCurrency,
+            endDate: form.endDate || null,
+            dayOfMonth: form.dayOfMonth ? Number(form.dayOfMonth) : null,
+        };
+        const error = validateTemplate(template, categories);
+        if (error) {
+            showMessage(error, 'error');
+            return;
+        }
+        try {
+            await store(template);
+            resetForm();
+            const created = await generateDue();
+            showMessage(created.length > 0
+                ? t('Recurring Expense Saved, {count} Expense(s) Added!', { count: created.length })
+                : 'Recurring Expense Saved!');
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+    };
+
+    /**
+     * Loads a template into the form for editing
+     * @param {Object} template - Template to edit
+     * @returns {void}
+     */
+    const edit = (template) => {
+        setEditing(template);
+        setForm({
+            amount: amountToInput(template.amount, template.currency),
+            currency: template.currency,
+            category: template.category,
+            description: template.description,
+            frequency: template.frequency,
+            startDate: template.startDate,
+            endDate: template.endDate ?? '',
+            dayOfMonth: template.dayOfMonth ? String(template.dayOfMonth) : '',
+        });
+    };
+
+    /**
+     * Pauses or resumes a template
+     * @param {Object} template - Template to toggle
+     * @returns {Promise<void>}
+     */
+    const togglePaused = async (template) => {
+        try {
+            const today = toDateString();
+            await store(template.paused ? resumeTemplate(template, today) : { ...template, paused: true });
+            if (template.paused) {
+                await generateDue();
+            }
+            showMessage(template.paused ? 'Recurring Expense Resumed' : 'Recurring Expense Paused');
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+    };
+
+    /**
+     * Skips a single upcoming occurrence
+     * @param {Object} template - Template the occurrence belongs to
+     * @param {string} date - Occurrence date to skip
+     * @returns {Promise<void>}
+     */
+    const skip = async (template, date) => {
+        try {
+            await store({ ...template, skipped: [...template.skipped, date] });
+            showMessage(t('Occurrence on {date} Skipped', { date: formatDate(date) }));
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+    };
+
+    /**
+     * Deletes a template after confirmation; generated expenses are kept
+     * @param {number} id - Template id
+     * @returns {Promise<void>}
+     */
+    const remove = async (id) => {
+        if (!window.confirm(t('Stop this recurring expense? Expenses already added are kept.'))) {
+            return;
+        }
+        try {
+            await deleteTemplate(id);
+            onTemplatesChange(templates.filter((t) => t.id !== id));
+            if (editing?.id === id) {
+                resetForm();
+            }
+            showMessage('Recurring Expense Deleted');
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+    };
+
+    return (
+        <Paper elevation={3} style={{ padding: '20px' }}>
+            <Typography variant='h5' gutterBottom>
+                {t(editing ? 'Edit Recurring Expense' : 'Recurring Expenses')}
+            </Typography>
+            <form onSubmit={submit}>
+                <Box display='flex' gap={1}>
+                    <StyledTextField
+                        fullWidth
+                        margin='normal'
+                        label={t('Amount')}
+                        type='number'
+                        name='amount'
+                        value={form.amount}
+                        onChange={handleChange}
+                        required
+                        inputProps={{ step: amountStep(form.currency || baseCurrency), min: '0' }}
+                    />
+                    <StyledTextField
+                        margin='normal'
+                        select
+                        label={t('Currency')}
+                        name='currency'
+                        value={form.currency || baseCurrency}
+                        onChange={handleChange}
+                        sx={{ width: 120 }}
+                    >
+                        {[...new Set([form.currency || baseCurrency, baseCurrency, ...CURRENCIES])].map((currency) => (
+                            <MenuItem key={currency} value={currency}>{currency}</MenuItem>
+                        ))}
+                    </StyledTextField>
+                </Box>
+                <StyledTextField
+                    fullWidth
+                    margin='normal'
+                    select
+                    label={t('Category')}
+                    name='category'
+                    value={form.category || categories.find((c) => !c.archived)?.key || ''}
+                    onChange={handleChange}
+                    required
+                >
+                    {categories.filter((c) => !c.archived || c.key === form.category).map((category) => (
+                        <MenuItem key={category.key} value={category.key}>{categoryLabel(category)}</MenuItem>
+                    ))}
+                </StyledTextField>
+                <StyledTextField
+                    fullWidth
+                    margin='normal'
+                    label={t('Description')}
+                    name='description'
+                    value={form.description}
+                    onChange={handleChange}
+                    required
+                />
+                <StyledTextField
+                    fullWidth
+                    margin='normal'
+                    select
+                    label={t('Repeats')}
+                    name='frequency'
+                    value={form.frequency}
+                    onChange={handleChange}
+                >
+                    {Object.entries(FREQUENCIES).map(([key, label]) => (
+                        <MenuItem key={key} value={key}>{t(label)}</MenuItem>
+                    ))}
+                </StyledTextField>
+                <Box display='flex' gap={1}>
+                    <StyledTextField
+                        fullWidth
+                        margin='normal'
+                        label={t('Start Date')}
+                        type='date'
+                        name='startDate'
+                        value={form.startDate}
+                        onChange={handleChange}
+                        required
+                        InputLabelProps={{ shrink: true }}
+                    />
+                    <StyledTextField
+                        fullWidth
+                        margin='normal'
+                        label={t('End Date (optional)')}
+                        type='date'
+                        name='endDate'
+                        value={form.endDate}
+                        onChange={handleChange}
+                        InputLabelProps={{ shrink: true }}
+                    />
+                </Box>
+                {(form.frequency === 'monthly' || form.frequency === 'yearly') && (
+                    <StyledTextField
+                        fullWidth
+                        margin='normal'
+                        label={t('Day of Month (defaults to the start day, last day in short months)')}
+                        type='number'
+                        name='dayOfMonth'
+                        value={form.dayOfMonth}
+                        onChange={handleChange}
+                        inputProps={{ min: '1', max: '31' }}
+                    />
+                )}
+                <StyledButton type='submit' fullWidth>
+                    {t(editing ? 'Save Changes' : 'Add Recurring Expense')}
+                </StyledButton>
+                {editing && (
+                    <StyledButton onClick={resetForm} fullWidth variant='delete' sx={{ mt: 1 }}>
+                        {t('Cancel')}
+                    </StyledButton>
+                )}
+            </form>
+
+            <Box mt={4}>
+                {templates.map((template) => (
+                    <Box key={template.id} mb={3}>
+                        <Typography
+                            variant='body1'
+                            style={{ color: resolveCategory(categories, template.category).color }}
+                        >
+                            {t(FREQUENCIES[template.frequency])}: {formatMoney(template.amount, template.currency)} -
+                            {' '}{resolveCategory(categories, template.category).label} ({template.description})
+                            {template.paused && ` - ${t('paused')}`}
+                        </Typography>
+                        {!template.paused && upcomingOccurrences(template, UPCOMING_COUNT).map((date) => (
+                            <Box key={date} display='flex' alignItems='center' gap={1}>
+                                <Typography variant='body2' flexGrow={1}>{t('Next: {date}', { date: formatDate(date) })}</Typography>
+                                <StyledButton size='small' onClick={() => skip(template, date)}>{t('Skip')}</StyledButton>
+                            </Box>
+                        ))}
+                        <Box display='flex' gap={1} mt={1}>
+                            <StyledButton fullWidth onClick={() => edit(template)}>{t('Edit')}</StyledButton>
+                            <StyledButton fullWidth onClick={() => togglePaused(template)}>
+                                {t(template.paused ? 'Resume' : 'Pause')}
+                            </StyledButton>
+                            <StyledButton fullWidth variant='delete' onClick={() => remove(template.id)}>
+                                {t('Delete')}
+                            </StyledButton>
+                        </Box>
+                    </Box>
+                ))}
+            </Box>
+        </Paper>
+    );
+};
+
+export default RecurringManager;
@@ -0,0 +1,212 @@
+/**
+ * Recurring expense templates and their schedules
+ * Templates are kept in the `recurring` store as
+ * { id, amount, currency, category, description, frequency, startDate, endDate, dayOfMonth, paused, skipped, lastGenerated },
+ * with the amount in integer minor units like expense amounts
+ * Every occurrence up to `lastGenerated` has been materialized into the `expenses` store, where
+ * generated expenses carry a unique `recurrence` key of `<template id>:<date>`
+ * @module recurring
+ */
+
+import {expenseDB, recurringDB} from './db';
+import {isValidDate, validateExpense} from './expenses';
+
+/** Supported schedule frequencies and their labels */
+export const FREQUENCIES = {
+    daily: 'Daily',
+    weekly: 'Weekly',
+    monthly: 'Monthly',
+    yearly: 'Yearly',
+};
+
+/** Upper bound on occurrences computed for one template, guarding against runaway schedules */
+const MAX_OCCURRENCES = 100000;
+
+/**
+ * Formats year, month and day as `YYYY-MM-DD`
+ * @param {number} year - Full year
+ * @param {number} month - Month, 1 to 12
+ * @param {number} day - Day of the month
+ * @returns {string} Date string
+ */
+const formatDate = (year, month, day) =>
+    `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+/**
+ * Adds days to a date string
+ * @param {string} date - Date in `YYYY-MM-DD` format
+ * @param {number} days - Days to add, negative to go back
+ * @returns {string} The resulting date in `YYYY-MM-DD` format
+ */
+export const addDays = (date, days) => {
+    const result = new Date(`${date}T00:00:00Z`);
+    result.setUTCDate(result.getUTCDate() + days);
+    return result.toISOString().slice(0, 10);
+};
+
+/**
+ * Builds a date in a month, moving days past the month's end to its last day
+ * so that a day-of-month of 31 falls on Feb 28/29, Apr 30 and so on
+ * @param {number} year - Full year
+ * @param {number} month - Month, 1 to 12
+ * @param {number} day - Requested day of the month
+ * @returns {string} Date string
+ */
+const clampedDate = (year, month, day) => {
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    return formatDate(year, month, Math.min(day, lastDay));
+};
+
+/**
+ * Computes the nth occurrence of a template's schedule, counting from its start date
+ * @param {Object} template - Recurring template
+ * @param {number} n - Zero-based occurrence number
+ * @returns {string} Occurrence date in `YYYY-MM-DD` format
+ */
+const nthOccurrence = (template, n) => {
+    const [year, month, day] = template.startDate.split('-').map(Number);
+    const dayOfMonth = template.dayOfMonth || day;
+    switch (template.frequency) {
+        case 'daily':
+            return addDays(template.startDate, n);
+        case 'weekly':
+            return addDays(template.startDate, n * 7);
+        case 'yearly':
+            return clampedDate(year + n, month, dayOfMonth);
+        default: {
+            const total = year * 12 + (month - 1) + n;
+            return clampedDate(Math.floor(total / 12), (total % 12) + 1, dayOfMonth);
+        }
+    }
+};
+
+/**
+ * Lists a template's occurrences after one date and up to another, skipping skipped dates
+ * @param {Object} template - Recurring template
+ * @param {string|null} after - Exclusive lower bound, or null to start at the start date
+ * @param {string} until - Inclusive upper bound
+ * @param {number} [limit=Infinity] - Maximum number of occurrences to return
+ * @returns {string[]} Occurrence dates in ascending order
+ */
+export const occurrencesBetween = (template, after, until, limit = Infinity) => {
+    const last = template.endDate && template.endDate < until ? template.endDate : until;
+    const dates = [];
+    for (let n = 0; n < MAX_OCCURRENCES && dates.length < limit; n++) {
+        const date = nthOccurrence(template, n);
+        if (date > last) break;
+        if (date >= template.startDate && (!after || date > after) && !template.skipped.includes(date)) {
+            dates.push(date);
+        }
+    }
+    return dates;
+};
+
+/**
+ * Lists the next occurrences that have not been materialized yet
+ * @param {Object} template - Recurring template
+ * @param {number} count - Number of occurrences to return
+ * @returns {string[]} Upcoming occurrence dates in ascending order
+ */
+export const upcomingOccurrences = (template, count) =>
+    occurrencesBetween(template, template.lastGenerated, '9999-12-31', count);
+
+/** Errors of the add form rules about the date, worded for the template's start date */
+const START_DATE_ERRORS = {
+    'Date is required': 'Start date is required',
+    'Date is not a valid date': 'Start date is not a valid date',
+};
+
+/**
+ * Validates a template with the add form rules plus its schedule fields
+ * @param {Object} template - Template to validate
+ * @param {Array<Object>} categories - Known categories
+ * @returns {string|null} Error message for the first failing rule, or null when valid
+ */
+export const validateTemplate = (template, categories) => {
+    const error = validateExpense({ ...template, date: template.startDate }, categories);
+    if (error) {
+        return START_DATE_ERRORS[error] ?? error;
+    }
+    if (!FREQUENCIES[template.frequency]) {
+        return 'Please choose a valid frequency';
+    }
+    if (template.endDate && (!isValidDate(template.endDate) || template.endDate < template.startDate)) {
+        return 'End date must be on or after the start date';
+    }
+    if (template.dayOfMonth && !(template.dayOfMonth >= 1 && template.dayOfMonth <= 31)) {
+        return 'Day of month must be between 1 and 31';
+    }
+    return null;
+};
+
+/**
+ * Loads all recurring templates
+ * @returns {Promise<Array<Object>>} A promise that resolves with the stored templates
+ */
+export const loadTemplates = () => recurringDB.getAll();
+
+/**
+ * Creates or updates a recurring template
+ * @param {Object} template - Template to store
+ * @returns {Promise<number>} A promise that resolves with the template id
+ */
+export const saveTemplate = (template) => recurringDB.save(template);
+
+/**
+ * Deletes a recurring template; expenses it already generated are kept
+ * @param {number} id - Template id
+ * @returns {Promise<undefined>}
+ */
+export const deleteTemplate = (id) => recurringDB.delete(id);
+
+/**
+ * Resumes a paused template without generating the occurrences missed while it was paused
+ * @param {Object} template - Paused template
+ * @param {string} today - Today's date in `YYYY-MM-DD` format
+ * @returns {Object} The resumed template
+ */
+export const resumeTemplate = (template, today) => {
+    const yesterday = addDays(today, -1);
+    const lastGenerated = template.lastGenerated && template.lastGenerated > yesterday
+        ? template.lastGenerated
+        : yesterday;
+    return { ...template, paused: false, lastGenerated };
+};
+
+/**
+ * Adds every due or missed occurrence of the active templates to the expenses store
+ * Templates are read and updated in the same transaction as the expenses are added, and
+ * occurrences whose recurrence key already exists are skipped, so running this from several
+ * tabs or several times a day never creates duplicates
+ * @param {string} today - Today's date in `YYYY-MM-DD` format
+ * @returns {Promise<Array<Object>>} A promise that resolves with the generated expenses
+ */
+export const materializeRecurring = (today) =>
+    expenseDB.transaction(['recurring', 'expenses'], 'readwrite', (stores) => {
+        const created = [];
+        const request = stores.recurring.getAll();
+        request.onsuccess = () => {
+            request.result.filter((template) => !template.paused).forEach((template) => {
+                if (template.lastGenerated && template.lastGenerated >= today) return;
+                occurrencesBetween(template, template.lastGenerated, today).forEach((date) => {
+                    const expense = {
+                        amount: template.amount,
+                        currency: template.currency,
+                        category: template.category,
+                        description: template.description,
+                        date,
+                        recurringId: template.id,
+                        recurrence: `${template.id}:${date}`,
+                    };
+                    const existing = stores.expenses.index('recurrence').getKey(expense.recurrence);
+                    existing.onsuccess = () => {
+                        if (existing.result !== undefined) return;
+                        const added = stores.expenses.add(expense);
+                        added.onsuccess = () => created.push({ ...expense, id: added.result });
+                    };
+                });
+                stores.recurring.put({ ...template, lastGenerated: today });
+            });
+        };
+        return created;
+    });
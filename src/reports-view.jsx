@@ -0,0 +1,236 @@
+import {useEffect, useMemo, useRef, useState} from 'react';
+import {Chart} from 'chart.js/auto';
+import {useTheme} from '@mui/material/styles';
+import {Box, Grid, MenuItem, Paper, Typography} from '@mui/material';
+import {StyledTextField, themeChart} from './styles';
+import {resolveCategory} from './categories';
+import {toDateString} from './expenses';
+import {formatMoney} from './money';
+import {formatMonth, formatPercent, getLanguage, localizeChart, t} from './i18n';
+import {
+    MONTH_COUNTS,
+    loadReportExpenses,
+    monthOverMonth,
+    monthlyTotals,
+    reportMonths,
+    spendingAverages,
+    topDescriptions,
+} from './reports';
+
+/** Number of years, counting back from the current one, offered for the yearly report */
+const YEAR_COUNT = 10;
+
+/**
+ * Reports over several months: a trend chart per category, month-over-month changes,
+ * top descriptions and daily and weekly averages
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.categories - Known categories
+ * @param {string} props.baseCurrency - Currency the reports are shown in
+ * @param {function(Object): (number|null)} props.toBase - Converts an expense to the base currency
+ * @param {*} props.reloadKey - Changes whenever stored expenses may have changed, which reloads the report
+ * @returns {JSX.Element} ReportsView component
+ */
+const ReportsView = ({ categories, baseCurrency, toBase, reloadKey }) => {
+    const today = toDateString();
+    const [period, setPeriod] = useState({ mode: 'months', count: 6, year: today.slice(0, 4) });
+    const [chartType, setChartType] = useState('bar');
+    const [expenses, setExpenses] = useState([]);
+    const [loadFailed, setLoadFailed] = useState(false);
+    const canvasRef = useRef(null);
+    const chartRef = useRef(null);
+    const language = getLanguage();
+    const theme = useTheme();
+
+    const months = useMemo(() => reportMonths(period, today.slice(0, 7)), [period, today]);
+    const { totals, byCategory } = useMemo(() => monthlyTotals(expenses, months, toBase), [expenses, months, toBase]);
+    const comparison = monthOverMonth(months, totals);
+    const top = topDescriptions(expenses, toBase);
+    const averages = spendingAverages(totals, months, today);
+
+    /**
+     * Loads the expenses of the report months
+     * @returns {void}
+     */
+    useEffect(() => {
+        let cancelled = false;
+        loadReportExpenses(months)
+            .then((loaded) => {
+                if (cancelled) return;
+                setExpenses(loaded);
+                setLoadFailed(false);
+            })
+            .catch((error) => {
+                console.error('Error loading report:', error);
+                if (!cancelled) setLoadFailed(true);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [months, reloadKey]);
+
+    /**
+     * Draws spending per category and month, as stacked bars or as one line per category
+     * The chart is rebuilt when its type changes and updated in place otherwise
+     * @returns {void}
+     */
+    useEffect(() => {
+        const data = {
+            labels: months.map(formatMonth),
+            datasets: Object.entries(byCategory).map(([key, values]) => {
+                const category = resolveCategory(categories, key);
+                return {
+                    label: category.label,
+                    data: values,
+                    backgroundColor: category.color,
+                    borderColor: category.color,
+                };
+            }),
+        };
+        const tooltipLabel = (context) => `${context.dataset.label}: ${formatMoney(context.raw || 0, baseCurrency)}`;
+        const tickLabel = (value) => formatMoney(value, baseCurrency);
+
+        if (chartRef.current?.config.type === chartType) {
+            chartRef.current.data = data;
+            chartRef.current.options.plugins.tooltip.callbacks.label = tooltipLabel;
+            chartRef.current.options.scales.y.ticks.callback = tickLabel;
+            localizeChart(chartRef.current.options);
+            themeChart(chartRef.current.options, theme);
+            chartRef.current.update();
+            return;
+        }
+        chartRef.current?.destroy();
+        const stacked = chartType === 'bar';
+        chartRef.current = new Chart(canvasRef.current.getContext('2d'), {
+            type: chartType,
+            data,
+            options: themeChart(localizeChart({
+                responsive: true,
+                scales: {
+                    x: { stacked },
+                    y: { stacked, beginAtZero: true, ticks: { callback: tickLabel } },
+                },
+                plugins: {
+                    legend: { position: 'top' },
+                    tooltip: { callbacks: { label: tooltipLabel } },
+                },
+            }), theme),
+        });
+    }, [months, byCategory, categories, baseCurrency, chartType, language, theme]);
+
+    /* Destroy the chart when the view unmounts */
+    useEffect(() => () => {
+        chartRef.current?.destroy();
+        chartRef.current = null;
+    }, []);
+
+    return (
+        <Paper elevation={3} style={{ padding: '20px' }}>
+            <Typography variant='h5' gutterBottom>{t('Reports')}</Typography>
+            <Box display='flex' gap={1}>
+                <StyledTextField
+                    margin='normal'
+                    select
+                    label={t('Period')}
+                    value={period.mode}
+                    onChange={(e) => setPeriod((prev) => ({ ...prev, mode: e.target.value }))}
+                    sx={{ minWidth: 150 }}
+                >
+                    <MenuItem value='months'>{t('Last Months')}</MenuItem>
+                    <MenuItem value='year'>{t('Full Year')}</MenuItem>
+                </StyledTextField>
+                {period.mode === 'months' ? (
+                    <StyledTextField
+                        margin='normal'
+                        select
+                        label={t('Months')}
+                        value={period.count}
+                        onChange={(e) => setPeriod((prev) => ({ ...prev, count: Number(e.target.value) }))}
+                        sx={{ minWidth: 100 }}
+                    >
+                        {MONTH_COUNTS.map((count) => (
+                            <MenuItem key={count} value={count}>{count}</MenuItem>
+                        ))}
+                    </StyledTextField>
+                ) : (
+                    <StyledTextField
+                        margin='normal'
+                        select
+                        label={t('Year')}
+                        value={period.year}
+                        onChange={(e) => setPeriod((prev) => ({ ...prev, year: e.target.value }))}
+                        sx={{ minWidth: 100 }}
+                    >
+                        {Array.from({ length: YEAR_COUNT }, (_, i) => String(Number(today.slice(0, 4)) - i)).map((year) => (
+                            <MenuItem key={year} value={year}>{year}</MenuItem>
+                        ))}
+                    </StyledTextField>
+                )}
+                <StyledTextField
+                    margin='normal'
+                    select
+                    label={t('Chart')}
+                    value={chartType}
+                    onChange={(e) => setChartType(e.target.value)}
+                    sx={{ minWidth: 140 }}
+                >
+                    <MenuItem value='bar'>{t('Stacked Bars')}</MenuItem>
+                    <MenuItem value='line'>{t('Lines')}</MenuItem>
+                </StyledTextField>
+            </Box>
+
+            {loadFailed && (
+                <Typography variant='body1' style={{ color: 'red' }}>{t('Failed to load the report')}</Typography>
+            )}
+
+            <canvas ref={canvasRef} id='trendChart' style={{ marginTop: '20px' }}></canvas>
+
+            <Grid container spacing={4} mt={1}>
+                <Grid item xs={12} md={4}>
+                    <Typography variant='h6'>{t('Month over Month')}</Typography>
+                    {comparison.map((row) => (
+                        <Typography key={row.month} variant='body2'>
+                            {formatMonth(row.month)}: {formatMoney(row.total, baseCurrency)}
+                            {row.change !== null && (
+                                <span style={{ color: row.change > 0 ? 'red' : 'limegreen' }}>
+                                    {' '}({formatPercent(row.change)})
+                                </span>
+                            )}
+                        </Typography>
+                    ))}
+                </Grid>
+                <Grid item xs={12} md={4}>
+                    <Typography variant='h6'>{t('Top Descriptions')}</Typography>
+                    {top.length === 0 && (
+                        <Typography variant='body2' style={{ color: 'gray' }}>{t('No expenses in this period')}</Typography>
+                    )}
+                    {top.map((row) => (
+                        <Typography key={row.description.toLowerCase()} variant='body2'>
+                            {row.description}: {formatMoney(row.total, baseCurrency)} ({t('{count}x', { count: row.count })})
+                        </Typography>
+                    ))}
+                </Grid>
+                <Grid item xs={12} md={4}>
+                    <Typography variant='h6'>{t('Averages')}</Typography>
+                    {averages ? (
+                        <>
+                            <Typography variant='body2'>
+                                {t('Per day: {amount}', { amount: formatMoney(averages.daily, baseCurrency) })}
+                            </Typography>
+                            <Typography variant='body2'>
+                                {t('Per week: {amount}', { amount: formatMoney(averages.weekly, baseCurrency) })}
+                            </Typography>
+                            <Typography variant='body2' style={{ color: 'gray' }}>
+                                {t('Over {count} day(s)', { count: averages.days })}
+                            </Typography>
+                        </>
+                    ) : (
+                        <Typography variant='body2' style={{ color: 'gray' }}>{t('This period has not started yet')}</Typography>
+                    )}
+                </Grid>
+            </Grid>
+        </Paper>
+    );
+};
+
+export default ReportsView;
@@ -0,0 +1,108 @@
+/**
+ * Spending reports over several months: totals per category and month, month-over-month
+ * changes, top descriptions and daily or weekly averages
+ * All amounts are integer minor units of the base currency; expenses without a known
+ * exchange rate count as zero, like in the pie chart and the budgets
+ * @module reports
+ */
+
+import {addMonths, isIncome, loadExpensesBetween, monthRange} from './expenses';
+import {addDays} from './recurring';
+
+/** Number of months offered for the trend report */
+export const MONTH_COUNTS = [3, 6, 12, 24];
+
+/**
+ * Lists the months a report covers
+ * @param {{mode: string, count: number, year: string}} period - `months` for the last `count`
+ * months up to `currentMonth`, or `year` for the twelve months of `year`
+ * @param {string} currentMonth - Current month in `YYYY-MM` format
+ * @returns {string[]} Months in ascending `YYYY-MM` order
+ */
+export const reportMonths = (period, currentMonth) => {
+    const first = period.mode === 'year' ? `${period.year}-01` : addMonths(currentMonth, 1 - period.count);
+    const count = period.mode === 'year' ? 12 : period.count;
+    return Array.from({ length: count }, (_, i) => addMonths(first, i));
+};
+
+/**
+ * Loads the expenses of the report months through the date index, leaving out income
+ * @param {string[]} months - Report months in ascending order
+ * @returns {Promise<Array<Object>>} A promise that resolves with the expenses, newest first
+ */
+export const loadReportExpenses = async (months) =>
+    (await loadExpensesBetween([monthRange(months[0])[0], monthRange(months[months.length - 1])[1]]))
+        .filter((expense) => !isIncome(expense));
+
+/**
+ * Sums spending per category and month
+ * @param {Array<Object>} expenses - Expenses of the report months
+ * @param {string[]} months - Report months in ascending order
+ * @param {function(Object): (number|null)} toBase - Converts an expense to the base currency
+ * @returns {{totals: number[], byCategory: Object<string, number[]>}} Totals per month, in the
+ * order of `months`, overall and per category key
+ */
+export const monthlyTotals = (expenses, months, toBase) => {
+    const totals = months.map(() => 0);
+    const byCategory = {};
+    expenses.forEach((expense) => {
+        const index = months.indexOf(expense.date.slice(0, 7));
+        if (index === -1) return;
+        const amount = toBase(expense) ?? 0;
+        byCategory[expense.category] ??= months.map(() => 0);
+        byCategory[expense.category][index] += amount;
+        totals[index] += amount;
+    });
+    return { totals, byCategory };
+};
+
+/**
+ * Compares every month with the month before it
+ * @param {string[]} months - Report months in ascending order
+ * @param {number[]} totals - Spending per month, in the order of `months`
+ * @returns {Array<{month: string, total: number, change: (number|null)}>} One row per month; `change`
+ * is the percentage change from the previous month, or null when there is nothing to compare with
+ */
+export const monthOverMonth = (months, totals) => months.map((month, i) => ({
+    month,
+    total: totals[i],
+    change: i > 0 && totals[i - 1] > 0 ? ((totals[i] - totals[i - 1]) / totals[i - 1]) * 100 : null,
+}));
+
+/**
+ * Groups expenses by description, ignoring case and surrounding spaces, and ranks them by spend
+ * @param {Array<Object>} expenses - Expenses to group
+ * @param {function(Object): (number|null)} toBase - Converts an expense to the base currency
+ * @param {number} [limit=5] - Number of descriptions to return
+ * @returns {Array<{description: string, total: number, count: number}>} Top descriptions, highest spend first
+ */
+export const topDescriptions = (expenses, toBase, limit = 5) => {
+    const groups = new Map();
+    expenses.forEach((expense) => {
+        const description = String(expense.description).trim();
+        const key = description.toLowerCase();
+        const group = groups.get(key) ?? { description, total: 0, count: 0 };
+        group.total += toBase(expense) ?? 0;
+        group.count += 1;
+        groups.set(key, group);
+    });
+    return [...groups.values()].sort((a, b) => b.total - a.total || b.count - a.count).slice(0, limit);
+};
+
+/**
+ * Computes average spending per day and per week over the report months, counting days up to today only
+ * @param {number[]} totals - Spending per month
+ * @param {string[]} months - Report months in ascending order
+ * @param {string} today - Today's date in `YYYY-MM-DD` format
+ * @returns {{days: number, daily: number, weekly: number}|null} Averages in fractional minor units,
+ * or null when the report lies entirely in the future
+ */
+export const spendingAverages = (totals, months, today) => {
+    const first = monthRange(months[0])[0];
+    const lastDay = addDays(`${addMonths(months[months.length - 1], 1)}-01`, -1);
+    const last = lastDay < today ? lastDay : today;
+    if (last < first) return null;
+    const days = (Date.parse(`${last}T00:00:00Z`) - Date.parse(`${first}T00:00:00Z`)) / 86400000 + 1;
+    const total = totals.reduce((sum, amount) => sum + amount, 0);
+    return { days, daily: total / days, weekly: (total / days) * 7 };
+};
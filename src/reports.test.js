@@ -0,0 +1,71 @@
+/**
+ * Tests of the data behind the trend report and its chart
+ */
+
+import {describe, expect, it} from 'vitest';
+import {monthOverMonth, monthlyTotals, reportMonths, spendingAverages, topDescriptions} from './reports';
+
+/** Amounts are already in the base currency */
+const toBase = (expense) => expense.amount;
+
+describe('reportMonths', () => {
+    it('lists the last months up to the current one, or the months of a year', () => {
+        expect(reportMonths({ mode: 'months', count: 3 }, '2024-02')).toEqual(['2023-12', '2024-01', '2024-02']);
+        expect(reportMonths({ mode: 'year', year: '2023' }, '2024-02')).toHaveLength(12);
+        expect(reportMonths({ mode: 'year', year: '2023' }, '2024-02')[11]).toBe('2023-12');
+    });
+});
+
+describe('monthlyTotals', () => {
+    it('sums spending per month and per category, ignoring other months', () => {
+        const months = ['2024-01', '2024-02', '2024-03'];
+        const expenses = [
+            { date: '2023-12-31', category: 'food', amount: 9900 },
+            { date: '2024-01-05', category: 'food', amount: 1000 },
+            { date: '2024-02-10', category: 'transportation', amount: 700 },
+            { date: '2024-03-31', category: 'food', amount: 500 },
+            { date: '2024-03-01', category: 'food', amount: 250 },
+        ];
+
+        expect(monthlyTotals(expenses, months, toBase)).toEqual({
+            totals: [1000, 700, 750],
+            byCategory: { food: [1000, 0, 750], transportation: [0, 700, 0] },
+        });
+    });
+});
+
+describe('monthOverMonth', () => {
+    it('compares every month with the one before, when there is something to compare with', () => {
+        expect(monthOverMonth(['2024-01', '2024-02', '2024-03'], [0, 1000, 1500])).toEqual([
+            { month: '2024-01', total: 0, change: null },
+            { month: '2024-02', total: 1000, change: null },
+            { month: '2024-03', total: 1500, change: 50 },
+        ]);
+    });
+});
+
+describe('topDescriptions', () => {
+    it('groups descriptions regardless of case and spaces and ranks them by spend', () => {
+        const expenses = [
+            { description: 'Coffee', amount: 300 },
+            { description: ' coffee ', amount: 200 },
+            { description: 'Rent', amount: 100000 },
+            { description: 'Book', amount: 500 },
+        ];
+
+        expect(topDescriptions(expenses, toBase, 2)).toEqual([
+            { description: 'Rent', total: 100000, count: 1 },
+            { description: 'Coffee', total: 500, count: 2 },
+        ]);
+    });
+});
+
+describe('spendingAverages', () => {
+    it('averages over the days up to today', () => {
+        expect(spendingAverages([3100], ['2024-03'], '2024-03-10')).toEqual({ days: 10, daily: 310, weekly: 2170 });
+    });
+
+    it('has no averages for a report in the future', () => {
+        expect(spendingAverages([0], ['2024-05'], '2024-03-10')).toBeNull();
+    });
+});
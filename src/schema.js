@@ -0,0 +1,147 @@
+/**
+ * Declared IndexedDB schema for ExpenseTrackerDB
+ * Bump `version` and append a migration step whenever stores, indexes or the shape
+ * of stored records change; steps run in order for every version the user skipped
+ * @module schema
+ */
+
+import {transformRecords} from './idb';
+import {toMinorUnits} from './money';
+
+/**
+ * Categories seeded on first run, matching the categories the app originally shipped with
+ * @type {Array<{key: string, label: string, color: string, archived: boolean}>}
+ */
+export const DEFAULT_CATEGORIES = [
+    { key: 'food', label: 'Food', color: '#cc184e', archived: false },
+    { key: 'transportation', label: 'Transportation', color: '#0066cc', archived: false },
+    { key: 'utilities', label: 'Utilities', color: '#f18e04', archived: false },
+    { key: 'entertainment', label: 'Entertainment', color: '#0d6b10', archived: false },
+    { key: 'other', label: 'Other', color: '#6619b5', archived: false },
+];
+
+/**
+ * Income categories seeded when income tracking was added
+ * @type {Array<{key: string, label: string, color: string, archived: boolean, kind: string}>}
+ */
+export const DEFAULT_INCOME_CATEGORIES = [
+    { key: 'salary', label: 'Salary', color: '#2e7d32', archived: false, kind: 'income' },
+    { key: 'freelance', label: 'Freelance', color: '#00897b', archived: false, kind: 'income' },
+    { key: 'gifts', label: 'Gifts', color: '#7cb342', archived: false, kind: 'income' },
+    { key: 'other-income', label: 'Other Income', color: '#558b2f', archived: false, kind: 'income' },
+];
+
+/** Currency of amounts saved before expenses recorded their currency */
+export const LEGACY_CURRENCY = 'USD';
+
+/** @type {import('./idb').DatabaseSchema} */
+export const SCHEMA = {
+    version: 13,
+    outboxStore: 'outbox',
+    stores: {
+        expenses: {
+            keyPath: 'id',
+            autoIncrement: true,
+            synced: true,
+            indexes: {
+                date: { keyPath: 'date' },
+                category: { keyPath: 'category' },
+                recurrence: { keyPath: 'recurrence', options: { unique: true } },
+                syncId: { keyPath: 'syncId', options: { unique: true } },
+                paidBy: { keyPath: 'paidBy' },
+                tags: { keyPath: 'tags', options: { multiEntry: true } },
+            },
+        },
+        categories: { keyPath: 'key' },
+        budgets: { keyPath: 'category' },
+        recurring: { keyPath: 'id', autoIncrement: true },
+        settings: { keyPath: 'key' },
+        rates: { keyPath: ['from', 'to', 'date'] },
+        outbox: { keyPath: 'syncId' },
+        trash: {
+            keyPath: 'id',
+            indexes: {
+                deletedAt: { keyPath: 'deletedAt' },
+            },
+        },
+        people: { keyPath: 'id' },
+        settlements: { keyPath: 'id', autoIncrement: true },
+        attachments: {
+            keyPath: 'id',
+            autoIncrement: true,
+            indexes: {
+                expenseId: { keyPath: 'expenseId' },
+            },
+        },
+    },
+    migrations: [
+        {
+            /* v2: categories store, seeded with the built-in categories */
+            version: 2,
+            migrate: (transaction) => {
+                const store = transaction.objectStore('categories');
+                DEFAULT_CATEGORIES.forEach((category) => store.put(category));
+            },
+        },
+        /* v3: date and category indexes on expenses, created from the declared stores */
+        /* v4: budgets store, created from the declared stores */
+        /* v5: recurring templates store and the unique recurrence index on generated expenses */
+        {
+            /* v6: settings and exchange rate stores; amounts saved before had no currency and were shown in dollars */
+            version: 6,
+            migrate: (transaction) => {
+                const addCurrency = (record) => (record.currency ? undefined : { ...record, currency: LEGACY_CURRENCY });
+                transformRecords(transaction, 'expenses', addCurrency);
+                transformRecords(transaction, 'recurring', addCurrency);
+            },
+        },
+        {
+            /* v7: amounts are integer minor units of their currency instead of decimal floats */
+            version: 7,
+            migrate: (transaction) => {
+                const toMinor = (record) => ({ ...record, amount: toMinorUnits(record.amount, record.currency) });
+                transformRecords(transaction, 'expenses', toMinor);
+                transformRecords(transaction, 'recurring', toMinor);
+                /* budgets are in the base currency, which lives in the settings store */
+                const request = transaction.objectStore('settings').get('baseCurrency');
+                request.onsuccess = () => {
+                    const currency = request.result?.value ?? LEGACY_CURRENCY;
+                    transformRecords(transaction, 'budgets', (budget) => ({
+                        ...budget,
+                        amount: toMinorUnits(budget.amount, currency),
+                    }));
+                };
+            },
+        },
+        {
+            /* v8: sync identity and change time on expenses, and the outbox of changes waiting to be pushed */
+            version: 8,
+            migrate: (transaction) => {
+                const now = Date.now();
+                /* Joins the pass of the v6 and v7 steps, so the stamped record keeps their conversion */
+                transformRecords(transaction, 'expenses', (expense) => ({
+                    ...expense,
+                    syncId: expense.syncId ?? crypto.randomUUID(),
+                    updatedAt: expense.updatedAt ?? now,
+                }));
+            },
+        },
+        /* v9: trash store for deleted expenses, created from the declared stores */
+        /* v10: people and settlements stores and the paidBy index of shared expenses */
+        /* v11: attachments store for receipts, created from the declared stores */
+        {
+            /* v12: income categories; a key the user already took for an expense category is left alone */
+            version: 12,
+            migrate: (transaction) => {
+                const store = transaction.objectStore('categories');
+                DEFAULT_INCOME_CATEGORIES.forEach((category) => {
+                    const request = store.getKey(category.key);
+                    request.onsuccess = () => {
+                        if (request.result === undefined) store.add(category);
+                    };
+                });
+            },
+        },
+        /* v13: multi-entry tags index on expenses, created from the declared stores */
+    ],
+};
@@ -0,0 +1,71 @@
+/**
+ * Tests of upgrades to the declared schema from databases written by earlier versions of the app
+ */
+
+import {describe, expect, it} from 'vitest';
+import IDBWrapper from './idb';
+import {DEFAULT_CATEGORIES, DEFAULT_INCOME_CATEGORIES, SCHEMA} from './schema';
+
+let databaseCount = 0;
+
+/**
+ * Returns a database name no other test uses
+ * @returns {string} Database name
+ */
+const uniqueName = () => `schema-test-${++databaseCount}`;
+
+/**
+ * Reads every record of a store after opening the database with the declared schema
+ * @param {string} name - Database name
+ * @param {string} storeName - Store to read
+ * @returns {Promise<Array<Object>>} The records
+ */
+const readUpgraded = (name, storeName) => new IDBWrapper(name, storeName, SCHEMA).getAll();
+
+describe('SCHEMA upgrades', () => {
+    it('upgrades the single expense store of the first version', async () => {
+        const name = uniqueName();
+        const v1 = new IDBWrapper(name, 'expenses');
+        await v1.save({ amount: 12.5, category: 'food', description: 'Lunch', date: '2024-03-05' });
+        await v1.save({ amount: 7, category: 'utilities', description: 'Water', date: '2024-03-06' });
+        await v1.close();
+
+        const expenses = await readUpgraded(name, 'expenses');
+        expect(expenses).toEqual([
+            expect.objectContaining({ id: 1, amount: 1250, currency: 'USD', description: 'Lunch' }),
+            expect.objectContaining({ id: 2, amount: 700, currency: 'USD', description: 'Water' }),
+        ]);
+        expenses.forEach((expense) => {
+            expect(expense.syncId).toEqual(expect.any(String));
+            expect(expense.updatedAt).toEqual(expect.any(Number));
+        });
+        expect(await readUpgraded(name, 'categories')).toHaveLength(DEFAULT_CATEGORIES.length + DEFAULT_INCOME_CATEGORIES.length);
+    });
+    it('converts amounts of a version 6 database and stamps them for sync in the same pass', async () => {
+        const name = uniqueName();
+        const { expenses, categories, budgets, recurring, settings, rates } = SCHEMA.stores;
+        const { date, category, recurrence } = expenses.indexes;
+        const v6 = new IDBWrapper(name, 'expenses', {
+            version: 6,
+            stores: {
+                expenses: { keyPath: 'id', autoIncrement: true, indexes: { date, category, recurrence } },
+                categories,
+                budgets,
+                recurring,
+                settings,
+                rates,
+            },
+            migrations: SCHEMA.migrations.filter(({ version }) => version <= 6),
+        });
+        await v6.save({ amount: 12.5, currency: 'USD', category: 'food', description: 'Lunch', date: '2024-03-05' });
+        await v6.save({ amount: 1500, currency: 'JPY', category: 'food', description: 'Ramen', date: '2024-03-06' });
+        await new IDBWrapper(name, 'budgets', v6.schema).save({ category: 'food', amount: 200 });
+        await v6.close();
+
+        const [lunch, ramen] = await readUpgraded(name, 'expenses');
+        expect(lunch).toMatchObject({ amount: 1250, currency: 'USD', syncId: expect.any(String), updatedAt: expect.any(Number) });
+        expect(ramen).toMatchObject({ amount: 1500, currency: 'JPY', syncId: expect.any(String) });
+        expect(await readUpgraded(name, 'budgets')).toEqual([{ category: 'food', amount: 20000 }]);
+        expect(await readUpgraded(name, 'outbox')).toEqual([]);
+    });
+});
@@ -0,0 +1,59 @@
+/**
+ * Service worker that makes the app work offline
+ * The build step in `vite.config.js` fills in the build placeholder below with the list of
+ * files of the build and a version derived from their hashed names, so every deploy installs
+ * a new worker with its own cache; the new worker waits until the page asks it to take over
+ * @module service-worker
+ */
+
+const { version: VERSION, files: PRECACHE_FILES } = __SW_BUILD__;
+
+/** Prefix shared by the caches of every version, so older ones can be found and removed */
+const CACHE_PREFIX = 'cost-manager-';
+
+const CACHE_NAME = `${CACHE_PREFIX}${VERSION}`;
+
+/** Page served for navigations, resolved against the worker's location, i.e. the app's base path */
+const APP_SHELL = new URL('index.html', self.location).href;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME).then((cache) => cache.addAll(PRECACHE_FILES.map((file) => new URL(file, self.location).href)))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then((keys) => Promise.all(
+                keys
+                    .filter((key) => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+                    .map((key) => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+/* Sent by the page when the user accepts the "new version available" prompt */
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+/**
+ * Serves the precached build: navigations get the cached page of this version, so the page
+ * and its hashed assets always match; everything else is answered from the cache first
+ */
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+        return;
+    }
+    const cacheKey = request.mode === 'navigate' ? APP_SHELL : request;
+    event.respondWith(
+        caches.open(CACHE_NAME)
+            .then((cache) => cache.match(cacheKey, { ignoreSearch: request.mode === 'navigate' }))
+            .then((cached) => cached ?? fetch(request))
+    );
+});
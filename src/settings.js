@@ -0,0 +1,52 @@
+/**
+ * Persisted application settings
+ * Each setting is kept in the `settings` store as { key, value }
+ * @module settings
+ */
+
+import {settingsDB} from './db';
+
+/**
+ * Default values used for settings that were never saved
+ * @type {Object<string, *>}
+ */
+export const DEFAULT_SETTINGS = {
+    baseCurrency: 'USD',
+    /* Language of the interface; empty follows the browser, see the i18n module */
+    language: '',
+    /* Color theme, one of THEME_MODES in the styles module */
+    theme: 'system',
+    /* Category new expenses start in while it is active; empty starts them in the first active one */
+    defaultCategory: 'food',
+    /* Whether new entries start dated today rather than with an empty date */
+    defaultDateToday: false,
+    /* First day of the week of the list's week period, 0 for Sunday to 6 for Saturday */
+    firstDayOfWeek: 1,
+    /* How amounts show their currency, one of CURRENCY_DISPLAYS in the money module */
+    currencyDisplay: 'symbol',
+    /* Sync is off while no endpoint is set, see the sync module */
+    syncEndpoint: '',
+    syncToken: '',
+    syncMode: 'lastWriteWins',
+    syncCursor: 0,
+    lastSyncedAt: null,
+    /* Days deleted expenses stay in the trash before they are purged */
+    trashRetentionDays: 30,
+};
+
+/**
+ * Loads every setting, filling in defaults for settings that were never saved
+ * @returns {Promise<Object<string, *>>} A promise that resolves with the settings keyed by name
+ */
+export const loadSettings = async () => {
+    const stored = await settingsDB.getAll();
+    return stored.reduce((settings, { key, value }) => ({ ...settings, [key]: value }), { ...DEFAULT_SETTINGS });
+};
+
+/**
+ * Saves a single setting
+ * @param {string} key - Setting name
+ * @param {*} value - Setting value
+ * @returns {Promise<string>} A promise that resolves with the setting name
+ */
+export const saveSetting = (key, value) => settingsDB.save({ key, value });
@@ -0,0 +1,105 @@
+import {Box, Checkbox, FormControlLabel, MenuItem, Typography} from '@mui/material';
+import {StyledTextField} from './styles';
+import {SPLIT_MODES} from './splits';
+import {amountStep} from './money';
+import {t} from './i18n';
+
+/**
+ * Fields of the expense form that share an expense: who paid it and how it is split
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.people - Known people
+ * @param {{paidBy: string, mode: string, shares: Object<string, (boolean|string)>}} props.value - Split form state
+ * @param {string} props.currency - Currency of the expense, which sets the step of exact amounts
+ * @param {Function} props.onChange - Called with the updated split form state
+ * @returns {JSX.Element} SplitFields component
+ */
+const SplitFields = ({ people, value, currency, onChange }) => {
+    /**
+     * Changes who paid; a newly shared expense starts split equally between everyone
+     * @param {string} paidBy - Person id, or an empty string for an expense that is not shared
+     * @returns {void}
+     */
+    const changePaidBy = (paidBy) => {
+        const shares = value.paidBy || !paidBy
+            ? value.shares
+            : Object.fromEntries(people.map((person) => [person.id, true]));
+        onChange({ ...value, paidBy, shares });
+    };
+
+    /**
+     * Changes the split mode, clearing the typed shares of the previous mode
+     * @param {string} mode - One of the SPLIT_MODES keys
+     * @returns {void}
+     */
+    const changeMode = (mode) => {
+        const shares = Object.fromEntries(people.map((person) => [person.id, mode === 'equal' ? true : '']));
+        onChange({ ...value, mode, shares });
+    };
+
+    const changeShare = (id, share) => onChange({ ...value, shares: { ...value.shares, [id]: share } });
+
+    return (
+        <Box>
+            <Box display='flex' gap={1}>
+                <StyledTextField
+                    fullWidth
+                    margin='normal'
+                    select
+                    label={t('Paid By')}
+                    value={value.paidBy}
+                    onChange={(e) => changePaidBy(e.target.value)}
+                >
+                    <MenuItem value=''>{t('Not Shared')}</MenuItem>
+                    {people.map((person) => (
+                        <MenuItem key={person.id} value={person.id}>{person.name}</MenuItem>
+                    ))}
+                </StyledTextField>
+                {value.paidBy && (
+                    <StyledTextField
+                        fullWidth
+                        margin='normal'
+                        select
+                        label={t('Split')}
+                        value={value.mode}
+                        onChange={(e) => changeMode(e.target.value)}
+                    >
+                        {Object.entries(SPLIT_MODES).map(([mode, label]) => (
+                            <MenuItem key={mode} value={mode}>{t(label)}</MenuItem>
+                        ))}
+                    </StyledTextField>
+                )}
+            </Box>
+            {value.paidBy && (
+                <Box>
+                    <Typography variant='body2' style={{ color: 'gray' }}>{t('Shared by')}</Typography>
+                    {people.map((person) => (value.mode === 'equal' ? (
+                        <FormControlLabel
+                            key={person.id}
+                            control={(
+                                <Checkbox
+                                    checked={value.shares[person.id] === true}
+                                    onChange={(e) => changeShare(person.id, e.target.checked)}
+                                />
+                            )}
+                            label={person.name}
+                        />
+                    ) : (
+                        <StyledTextField
+                            key={person.id}
+                            fullWidth
+                            margin='dense'
+                            label={value.mode === 'percent' ? `${person.name} (%)` : `${person.name} (${currency})`}
+                            type='number'
+                            value={value.shares[person.id] ?? ''}
+                            onChange={(e) => changeShare(person.id, e.target.value)}
+                            inputProps={{ step: value.mode === 'percent' ? 'any' : amountStep(currency), min: '0' }}
+                        />
+                    )))}
+                </Box>
+            )}
+        </Box>
+    );
+};
+
+export default SplitFields;
@@ -0,0 +1,250 @@
+/**
+ * Shared expenses: the people costs are shared with, how an expense is split between them
+ * and who owes whom
+ * People are kept in the `people` store as { id, name }, with random ids so records that
+ * reference them stay valid in backups and on other devices
+ * A shared expense names who paid it in `paidBy` and how it is split in `split`, as
+ * { mode, shares } where `shares` maps person ids to the input of the mode:
+ * - `equal`: 1 for every person sharing the expense
+ * - `percent`: the person's percentage, all adding up to 100
+ * - `exact`: the person's amount in minor units, all adding up to the expense amount
+ * Reimbursements are kept in the `settlements` store as { id, from, to, amount, currency, date }
+ * Balances are kept per currency, so they never depend on exchange rates
+ * @module splits
+ */
+
+import {expenseDB, peopleDB, settlementDB} from './db';
+import {toDateString} from './expenses';
+import {amountToInput, formatMoney, parseAmount} from './money';
+import {t} from './i18n';
+
+/** Split modes and their labels */
+export const SPLIT_MODES = {
+    equal: 'Equally',
+    percent: 'By Percentage',
+    exact: 'By Exact Amounts',
+};
+
+/** Split form state of an expense that is not shared */
+export const EMPTY_SPLIT_INPUT = { paidBy: '', mode: 'equal', shares: {} };
+
+/**
+ * Loads all people, sorted by name
+ * @returns {Promise<Array<Object>>} A promise that resolves with the stored people
+ */
+export const loadPeople = async () => (await peopleDB.getAll()).sort((a, b) => a.name.localeCompare(b.name));
+
+/**
+ * Stores a new person
+ * @param {string} name - Display name
+ * @returns {Promise<Object>} A promise that resolves with the stored person
+ */
+export const addPerson = async (name) => {
+    const person = { id: crypto.randomUUID(), name };
+    await peopleDB.save(person);
+    return person;
+};
+
+/**
+ * Looks up a person's name, falling back to a placeholder for deleted people
+ * @param {Array<Object>} people - Known people
+ * @param {string} id - Person id
+ * @returns {string} Display name
+ */
+export const personName = (people, id) => people.find((person) => person.id === id)?.name ?? t('Unknown person');
+
+/**
+ * Deletes a person who is not part of any shared expense or reimbursement
+ * @param {string} id - Person id
+ * @returns {Promise<void>}
+ * @throws {Error} When the person is still referenced, since balances would no longer add up
+ */
+export const deletePerson = async (id) => {
+    const [shared, settlements] = await Promise.all([expenseDB.getAllByIndex('paidBy'), settlementDB.getAll()]);
+    const inUse = shared.some((expense) => expense.paidBy === id || id in expense.split.shares)
+        || settlements.some((settlement) => settlement.from === id || settlement.to === id);
+    if (inUse) {
+        throw new Error('This person is part of shared expenses and cannot be deleted');
+    }
+    await peopleDB.delete(id);
+};
+
+/**
+ * Divides an expense amount between the people sharing it, in whole minor units
+ * Remainders of equal and percentage splits go to the largest fractional shares, so the
+ * shares always add up to the amount
+ * @param {number} amount - Expense amount in minor units
+ * @param {{mode: string, shares: Object<string, number>}} split - Split of the expense
+ * @returns {Object<string, number>} Share of every person in minor units
+ */
+export const splitShares = (amount, split) => {
+    const entries = Object.entries(split.shares);
+    if (split.mode === 'exact') {
+        return Object.fromEntries(entries);
+    }
+    const weights = entries.map(([, value]) => (split.mode === 'equal' ? 1 : value));
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    const exact = weights.map((weight) => (amount * weight) / totalWeight);
+    const shares = exact.map(Math.floor);
+    let remainder = amount - shares.reduce((sum, share) => sum + share, 0);
+    exact
+        .map((value, i) => ({ i, fraction: value - shares[i] }))
+        .sort((a, b) => b.fraction - a.fraction || a.i - b.i)
+        .forEach(({ i }) => {
+            if (remainder <= 0) return;
+            shares[i] += 1;
+            remainder -= 1;
+        });
+    return Object.fromEntries(entries.map(([id], i) => [id, shares[i]]));
+};
+
+/**
+ * Converts the split form state into the fields stored on an expense
+ * @param {{paidBy: string, mode: string, shares: Object<string, (boolean|string)>}} input - Form
+ * state, with checkboxes for equal splits and typed text otherwise
+ * @param {number} amount - Expense amount in minor units
+ * @param {string} currency - Expense currency
+ * @param {Array<Object>} people - Known people
+ * @returns {{fields: ({paidBy: string, split: Object}|null), error: (string|null)}} Stored fields,
+ * null for an expense that is not shared, or the first validation error
+ */
+export const parseSplitInput = (input, amount, currency, people) => {
+    if (!input.paidBy) {
+        return { fields: null, error: null };
+    }
+    const known = (id) => people.some((person) => person.id === id);
+    const filled = Object.entries(input.shares).filter(([id, value]) => known(id) && value !== '' && value !== false);
+    if (!known(input.paidBy)) {
+        return { fields: null, error: 'Please choose who paid' };
+    }
+    if (filled.length === 0) {
+        return { fields: null, error: 'Please choose who shares the expense' };
+    }
+    let shares;
+    if (input.mode === 'equal') {
+        shares = Object.fromEntries(filled.map(([id]) => [id, 1]));
+    } else if (input.mode === 'percent') {
+        shares = Object.fromEntries(filled.map(([id, value]) => [id, Number(value)]));
+        const values = Object.values(shares);
+        if (values.some((value) => !(value > 0))) {
+            return { fields: null, error: 'Percentages Must Be Greater Than 0' };
+        }
+        if (Math.abs(values.reduce((sum, value) => sum + value, 0) - 100) > 0.001) {
+            return { fields: null, error: 'Percentages must add up to 100' };
+        }
+    } else {
+        shares = Object.fromEntries(filled.map(([id, value]) => [id, parseAmount(value, currency)]));
+        const values = Object.values(shares);
+        if (values.some((value) => value === null)) {
+            return { fields: null, error: 'Please enter valid amounts for every person' };
+        }
+        if (values.reduce((sum, value) => sum + value, 0) !== amount) {
+            return { fields: null, error: t('Amounts must add up to {amount}', { amount: formatMoney(amount, currency) }) };
+        }
+    }
+    return { fields: { paidBy: input.paidBy, split: { mode: input.mode, shares } }, error: null };
+};
+
+/**
+ * Converts the stored split of an expense back into form state
+ * @param {Object} expense - Expense record
+ * @returns {{paidBy: string, mode: string, shares: Object<string, (boolean|string)>}} Form state
+ */
+export const toSplitInput = (expense) => {
+    if (!expense.paidBy) {
+        return EMPTY_SPLIT_INPUT;
+    }
+    const { mode, shares } = expense.split;
+    const toInput = (value) => {
+        if (mode === 'equal') return true;
+        return mode === 'exact' ? amountToInput(value, expense.currency) : String(value);
+    };
+    return {
+        paidBy: expense.paidBy,
+        mode,
+        shares: Object.fromEntries(Object.entries(shares).map(([id, value]) => [id, toInput(value)])),
+    };
+};
+
+/**
+ * Computes what every person is owed, positive, or owes, negative, per currency
+ * @param {Array<Object>} expenses - Shared expenses
+ * @param {Array<Object>} settlements - Recorded reimbursements
+ * @returns {Object<string, Object<string, number>>} Net amounts in minor units by currency and person id
+ */
+export const computeBalances = (expenses, settlements) => {
+    const balances = {};
+    const add = (currency, person, amount) => {
+        balances[currency] ??= {};
+        balances[currency][person] = (balances[currency][person] ?? 0) + amount;
+    };
+    expenses.filter((expense) => expense.paidBy && expense.split).forEach((expense) => {
+        add(expense.currency, expense.paidBy, expense.amount);
+        Object.entries(splitShares(expense.amount, expense.split))
+            .forEach(([person, share]) => add(expense.currency, person, -share));
+    });
+    settlements.forEach((settlement) => {
+        add(settlement.currency, settlement.from, settlement.amount);
+        add(settlement.currency, settlement.to, -settlement.amount);
+    });
+    return balances;
+};
+
+/**
+ * Suggests reimbursements that zero out the balances of one currency, matching the largest
+ * debts with the largest credits so few transfers are needed
+ * @param {Object<string, number>} net - Net amounts by person id, adding up to zero
+ * @returns {Array<{from: string, to: string, amount: number}>} Transfers in minor units
+ */
+export const suggestTransfers = (net) => {
+    const sides = (sign) => Object.entries(net)
+        .filter(([, amount]) => amount * sign > 0)
+        .map(([person, amount]) => ({ person, amount: amount * sign }))
+        .sort((a, b) => b.amount - a.amount);
+    const debtors = sides(-1);
+    const creditors = sides(1);
+    const transfers = [];
+    let i = 0;
+    let j = 0;
+    while (i < debtors.length && j < creditors.length) {
+        const amount = Math.min(debtors[i].amount, creditors[j].amount);
+        transfers.push({ from: debtors[i].person, to: creditors[j].person, amount });
+        debtors[i].amount -= amount;
+        creditors[j].amount -= amount;
+        if (debtors[i].amount === 0) i += 1;
+        if (creditors[j].amount === 0) j += 1;
+    }
+    return transfers;
+};
+
+/**
+ * Loads the shared expenses and reimbursements and computes the balances
+ * Only expenses with a payer are read, through the paidBy index
+ * @returns {Promise<{balances: Object<string, Object<string, number>>, settlements: Array<Object>}>}
+ * A promise that resolves with the balances and the reimbursements, newest first
+ */
+export const loadBalances = async () => {
+    const [expenses, settlements] = await Promise.all([expenseDB.getAllByIndex('paidBy'), settlementDB.getAll()]);
+    return {
+        balances: computeBalances(expenses, settlements),
+        settlements: settlements.reverse(),
+    };
+};
+
+/**
+ * Records reimbursements in one transaction
+ * @param {Array<{from: string, to: string, amount: number}>} transfers - Reimbursements to record
+ * @param {string} currency - Currency of the reimbursements
+ * @returns {Promise<Array<Object>>} A promise that resolves with the stored settlements
+ */
+export const recordSettlements = (transfers, currency) =>
+    settlementDB.transaction('settlements', 'readwrite', ({ settlements }) => {
+        const date = toDateString();
+        const stored = [];
+        transfers.forEach((transfer) => {
+            const settlement = { ...transfer, currency, date };
+            const request = settlements.add(settlement);
+            request.onsuccess = () => stored.push({ ...settlement, id: request.result });
+        });
+        return stored;
+    });
@@ -0,0 +1,155 @@
+/**
+ * Shared Material-UI themes and styled components used across the expense tracker
+ * @module styles
+ */
+
+import createCache from '@emotion/cache';
+import {prefixer} from 'stylis';
+import rtlPlugin from 'stylis-plugin-rtl';
+import {Button, TextField} from '@mui/material';
+import {createTheme, styled} from '@mui/material/styles';
+
+/** Theme choices offered in the preferences, with their labels; `system` follows the browser */
+export const THEME_MODES = {
+    system: 'System',
+    light: 'Light',
+    dark: 'Dark',
+};
+
+/**
+ * Palettes of the light and dark theme
+ * `primary` colors inputs and regular buttons, `danger` colors delete buttons
+ */
+const PALETTES = {
+    light: {
+        primary: {
+            main: '#4caf50', /* Green */
+            dark: '#434d55',
+            contrastText: '#ffffff',
+        },
+        secondary: {
+            main: '#ffffff', /* White */
+        },
+        danger: {
+            main: '#800000', /* Maroon */
+            contrastText: '#ffffff',
+        },
+    },
+    dark: {
+        primary: {
+            main: '#66bb6a', /* Lighter green, readable on dark surfaces */
+            dark: '#a5d6a7',
+            contrastText: 'rgba(0, 0, 0, 0.87)',
+        },
+        secondary: {
+            main: '#1e1e1e',
+        },
+        danger: {
+            main: '#ef9a9a',
+            contrastText: 'rgba(0, 0, 0, 0.87)',
+        },
+        background: {
+            default: '#121212',
+            paper: '#1e1e1e',
+        },
+    },
+};
+
+/**
+ * Material-UI theme of the expense tracker in a color mode and writing direction
+ * Includes the palette the styled components below take their colors from
+ * @param {'light'|'dark'} mode - Color mode
+ * @param {'ltr'|'rtl'} direction - Writing direction of the active language, so MUI lays
+ * components out right to left for RTL languages
+ * @returns {import('@mui/material').Theme} Theme
+ */
+export const createAppTheme = (mode, direction) => createTheme({
+    direction,
+    palette: { mode, ...PALETTES[mode] },
+});
+
+/**
+ * Emotion style caches per writing direction; the RTL one flips the margins, paddings and
+ * positions of the generated styles, which the theme's `direction` alone leaves as they are
+ */
+const STYLE_CACHES = {
+    ltr: createCache({ key: 'mui' }),
+    rtl: createCache({ key: 'mui-rtl', stylisPlugins: [prefixer, rtlPlugin] }),
+};
+
+/**
+ * Returns the emotion cache the components of a writing direction are styled through
+ * @param {'ltr'|'rtl'} direction - Writing direction of the active language
+ * @returns {import('@emotion/cache').EmotionCache} Style cache for an emotion CacheProvider
+ */
+export const styleCache = (direction) => STYLE_CACHES[direction] ?? STYLE_CACHES.ltr;
+
+/**
+ * Colors the text, grid lines and slice borders of Chart.js options after a theme, for new charts
+ * and charts updated in place
+ * @param {Object} options - Chart options
+ * @param {import('@mui/material').Theme} theme - Active theme
+ * @returns {Object} The same options
+ */
+export const themeChart = (options, theme) => {
+    options.color = theme.palette.text.secondary;
+    options.borderColor = theme.palette.divider;
+    ((options.elements ??= {}).arc ??= {}).borderColor = theme.palette.background.paper;
+    Object.values(options.scales ?? {}).forEach((scale) => {
+        (scale.ticks ??= {}).color = theme.palette.text.secondary;
+        (scale.grid ??= {}).color = theme.palette.divider;
+    });
+    return options;
+};
+
+/**
+ * Styled button component with custom variants for regular and delete actions
+ * Handles different states (hover, active) and color schemes based on variant
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.theme - Material-UI theme object
+ * @param {'delete' | undefined} props.variant - Button variant
+ * @returns {JSX.Element} Styled button component
+ */
+export const StyledButton = styled(Button)(({ theme, variant }) => ({
+    ...(variant === 'delete' && {
+        backgroundColor: theme.palette.secondary.main,
+        color: theme.palette.danger.main,
+        border: `1px solid ${theme.palette.danger.main}`,
+        '&:hover': {
+            backgroundColor: theme.palette.danger.main, /* Filled with the danger color on hover */
+            color: theme.palette.danger.contrastText,
+            border: `1px solid ${theme.palette.danger.main}`,
+        },
+    }),
+    ...(!variant && {
+        backgroundColor: theme.palette.secondary.main,
+        color: theme.palette.primary.main,
+        border: `1px solid ${theme.palette.primary.main}`,
+        '&:hover': {
+            backgroundColor: theme.palette.primary.main,
+            color: theme.palette.primary.contrastText,
+        },
+    }),
+}));
+
+/* Custom styled TextField */
+export const StyledTextField = styled(TextField)(({theme}) => ({
+    '& .MuiInputLabel-root': {
+        color: theme.palette.primary.main, /* Label color */
+    },
+    '& .MuiOutlinedInput-root': {
+        '& fieldset': {
+            borderColor: theme.palette.primary.main, /* Border color */
+        },
+        '&:hover fieldset': {
+            borderColor: theme.palette.primary.dark, /* Border color on hover */
+        },
+        '&.Mui-focused fieldset': {
+            borderColor: theme.palette.primary.main, /* Border color when focused */
+        },
+    },
+    '& .MuiInputBase-input': {
+        color: theme.palette.primary.main, /* Input text color */
+    },
+}));
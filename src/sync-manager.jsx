@@ -0,0 +1,261 @@
+import {useEffect, useRef, useState} from 'react';
+import {Box, MenuItem, Paper, Typography} from '@mui/material';
+import {StyledButton, StyledTextField} from './styles';
+import {formatMoney} from './money';
+import {formatDate, formatDateTime, t} from './i18n';
+import {SYNC_MODES, configureSync, countPending, loadConflicts, resolveConflict, syncNow} from './sync';
+
+/** Interval between automatic syncs while sync is configured */
+const SYNC_INTERVAL = 60 * 1000;
+
+/**
+ * Describes one side of a conflict
+ * @param {Object|null} record - Expense record, or null when that side deleted it
+ * @returns {string} Short description such as `01/03/2024 Lunch 12.50 USD`
+ */
+const describeRecord = (record) =>
+    record ? `${formatDate(record.date)} ${record.description} ${formatMoney(record.amount, record.currency)}` : t('Deleted');
+
+/**
+ * Sync settings panel: server endpoint, token and conflict mode, sync status and the
+ * conflicts waiting for the user
+ * While sync is configured it runs on load, every minute and whenever the browser comes back online
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.settings - Stored settings, including the sync settings
+ * @param {Function} props.onSettingsChange - Called with the changed settings once saved
+ * @param {Function} props.onExpensesChanged - Called after a sync changed stored expenses
+ * @param {Function} props.showMessage - Displays a status message to the user
+ * @returns {JSX.Element} SyncManager component
+ */
+const SyncManager = ({ settings, onSettingsChange, onExpensesChanged, showMessage }) => {
+    const [form, setForm] = useState({ syncEndpoint: '', syncToken: '', syncMode: 'lastWriteWins' });
+    const [status, setStatus] = useState({ syncing: false, error: '', pending: 0, lastSyncedAt: null });
+    const [conflicts, setConflicts] = useState([]);
+    const runSyncRef = useRef(null);
+
+    const enabled = Boolean(settings.syncEndpoint);
+
+    /**
+     * Fills the form with the stored sync settings
+     * @returns {void}
+     */
+    useEffect(() => {
+        setForm({ syncEndpoint: settings.syncEndpoint, syncToken: settings.syncToken, syncMode: settings.syncMode });
+    }, [settings.syncEndpoint, settings.syncToken, settings.syncMode]);
+
+    /**
+     * Shows the time of the last sync, which other tabs may have run
+     * @returns {void}
+     */
+    useEffect(() => {
+        setStatus((prev) => ({ ...prev, lastSyncedAt: settings.lastSyncedAt }));
+    }, [settings.lastSyncedAt]);
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setForm((prev) => ({ ...prev, [name]: value }));
+    };
+
+    /**
+     * Reloads the number of pending changes and the open conflicts
+     * @returns {Promise<void>}
+     */
+    const refreshQueue = async () => {
+        const [pending, open] = await Promise.all([countPending(), loadConflicts()]);
+        setStatus((prev) => ({ ...prev, pending }));
+        setConflicts(open);
+    };
+
+    /**
+     * Syncs with the server; failures are shown in the panel and retried by the next sync
+     * @param {boolean} [manual=false] - Whether the user asked for it, which reports the outcome
+     * @returns {Promise<void>}
+     */
+    const runSync = async (manual = false) => {
+        setStatus((prev) => ({ ...prev, syncing: true }));
+        try {
+            const result = await syncNow();
+            setStatus((prev) => ({ ...prev, error: '', lastSyncedAt: result.lastSyncedAt }));
+            if (result.applied > 0) {
+                onExpensesChanged();
+            }
+            if (result.conflicts > 0) {
+                showMessage(t('{count} Sync Conflict(s) Need Your Decision', { count: result.conflicts }), 'error');
+            } else if (manual) {
+                showMessage(t('Synced: {received} Received, {sent} Sent', { received: result.applied, sent: result.pushed }));
+            }
+        } catch (error) {
+            console.error('Error syncing:', error);
+            setStatus((prev) => ({ ...prev, error: error.message }));
+            if (manual) {
+                showMessage(error.message, 'error');
+            }
+        } finally {
+            setStatus((prev) => ({ ...prev, syncing: false }));
+            await refreshQueue().catch((error) => console.error('Error loading the sync queue:', error));
+        }
+    };
+    runSyncRef.current = runSync;
+
+    /**
+     * Syncs on load, periodically and when the connection returns, while sync is configured
+     * @returns {void}
+     */
+    useEffect(() => {
+        if (!enabled) return;
+        const sync = () => runSyncRef.current();
+        sync();
+        const timer = setInterval(sync, SYNC_INTERVAL);
+        window.addEventListener('online', sync);
+        return () => {
+            clearInterval(timer);
+            window.removeEventListener('online', sync);
+        };
+    }, [enabled, settings.syncEndpoint]);
+
+    /**
+     * Saves the sync settings from the form
+     * @param {React.FormEvent<HTMLFormElement>} e - Form submission event
+     * @returns {Promise<void>}
+     */
+    const saveSettings = async (e) => {
+        e.preventDefault();
+        const syncEndpoint = form.syncEndpoint.trim();
+        if (!URL.canParse(syncEndpoint) || !/^https?:$/.test(new URL(syncEndpoint).protocol)) {
+            showMessage('Please enter an http(s) URL for the sync server', 'error');
+            return;
+        }
+        try {
+            const changed = await configureSync({ ...form, syncEndpoint }, settings);
+            onSettingsChange(changed);
+            showMessage('Sync Settings Saved Successfully!');
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+    };
+
+    /**
+     * Turns sync off; changes keep being queued and are pushed once sync is turned on again
+     * @returns {Promise<void>}
+     */
+    const disableSync = async () => {
+        try {
+            onSettingsChange(await configureSync({ syncEndpoint: '' }, settings));
+            setStatus((prev) => ({ ...prev, error: '' }));
+            showMessage('Sync Turned Off');
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+    };
+
+    /**
+     * Resolves a conflict and pushes the outcome right away
+     * @param {Object} entry - Conflicting outbox entry
+     * @param {'local' | 'server'} keep - Which side to keep
+     * @returns {Promise<void>}
+     */
+    const resolve = async (entry, keep) => {
+        try {
+            await resolveConflict(entry, keep);
+            if (keep === 'server') {
+                onExpensesChanged();
+            }
+            await runSync();
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+    };
+
+    return (
+        <Paper elevation={3} style={{ padding: '20px' }}>
+            <Typography variant='h5' gutterBottom>{t('Sync')}</Typography>
+            <form onSubmit={saveSettings}>
+                <StyledTextField
+                    fullWidth
+                    margin='normal'
+                    label={t('Server URL')}
+                    name='syncEndpoint'
+                    value={form.syncEndpoint}
+                    onChange={handleChange}
+                    placeholder='http://localhost:8787'
+                    required
+                />
+                <Box display='flex' gap={1}>
+                    <StyledTextField
+                        fullWidth
+                        margin='normal'
+                        label={t('Access Token')}
+                        type='password'
+                        name='syncToken'
+                        value={form.syncToken}
+                        onChange={handleChange}
+                        autoComplete='off'
+                    />
+                    <StyledTextField
+                        margin='normal'
+                        select
+                        label={t('Conflicts')}
+                        name='syncMode'
+                        value={form.syncMode}
+                        onChange={handleChange}
+                        sx={{ minWidth: 170 }}
+                    >
+                        {Object.entries(SYNC_MODES).map(([mode, label]) => (
+                            <MenuItem key={mode} value={mode}>{t(label)}</MenuItem>
+                        ))}
+                    </StyledTextField>
+                </Box>
+                <Box display='flex' gap={1}>
+                    <StyledButton type='submit' fullWidth>
+                        {t(enabled ? 'Save Sync Settings' : 'Turn On Sync')}
+                    </StyledButton>
+                    {enabled && (
+                        <StyledButton type='button' variant='delete' onClick={disableSync}>
+                            {t('Turn Off')}
+                        </StyledButton>
+                    )}
+                </Box>
+            </form>
+
+            {enabled && (
+                <Box mt={3}>
+                    <Box display='flex' alignItems='center' gap={1}>
+                        <Typography variant='body1' flexGrow={1}>
+                            {status.lastSyncedAt
+                                ? t('Last synced {time}', { time: formatDateTime(status.lastSyncedAt) })
+                                : t('Not synced yet')}
+                            {` · ${t('{count} change(s) waiting', { count: status.pending })}`}
+                        </Typography>
+                        <StyledButton onClick={() => runSync(true)} disabled={status.syncing}>
+                            {t(status.syncing ? 'Syncing...' : 'Sync Now')}
+                        </StyledButton>
+                    </Box>
+                    {status.error && (
+                        <Typography variant='body2' style={{ color: 'red' }}>
+                            {t('{error}; changes stay queued and are sent on the next sync', { error: t(status.error) })}
+                        </Typography>
+                    )}
+                </Box>
+            )}
+
+            {conflicts.length > 0 && (
+                <Box mt={3}>
+                    <Typography variant='h6'>{t('Conflicts')}</Typography>
+                    {conflicts.map((entry) => (
+                        <Box key={entry.syncId} mb={2}>
+                            <Typography variant='body2'>{t('Yours: {record}', { record: describeRecord(entry.record) })}</Typography>
+                            <Typography variant='body2'>{t('Server: {record}', { record: describeRecord(entry.conflict.record) })}</Typography>
+                            <Box display='flex' gap={1} mt={1}>
+                                <StyledButton onClick={() => resolve(entry, 'local')}>{t('Keep Mine')}</StyledButton>
+                                <StyledButton onClick={() => resolve(entry, 'server')}>{t("Keep Server's")}</StyledButton>
+                            </Box>
+                        </Box>
+                    ))}
+                </Box>
+            )}
+        </Paper>
+    );
+};
+
+export default SyncManager;
@@ -0,0 +1,313 @@
+/**
+ * Optional sync of expenses with a self-hostable REST server
+ * Writes to synced stores are tracked by IDBWrapper: records carry a `syncId` and an `updatedAt`
+ * timestamp, and every change waits in the `outbox` store, deletes as tombstones, until pushed
+ *
+ * The server speaks a small JSON protocol, implemented for local testing by `scripts/mock-sync-server.js`:
+ * - `GET  <endpoint>/changes?since=<cursor>&limit=<n>` returns `{ changes, cursor, more }`, the
+ *   latest change of every record changed after the cursor
+ * - `POST <endpoint>/changes` with `{ changes }` returns `{ accepted, rejected }` lists of syncIds;
+ *   the server keeps a change unless it already has a newer one of the same record
+ * A change is `{ syncId, store, record, deleted, updatedAt }`, with `record` null for tombstones
+ *
+ * A sync pulls before it pushes; a pulled change of a record that also has a pending local change
+ * is a conflict, resolved by last-write-wins or kept in the outbox entry for the user to resolve
+ * @module sync
+ */
+
+import {expenseDB, outboxDB} from './db';
+import {loadSettings, saveSetting} from './settings';
+import {deleteAttachmentsOf} from './attachments';
+import {t} from './i18n';
+
+/** Conflict resolution modes and their labels */
+export const SYNC_MODES = {
+    lastWriteWins: 'Last Write Wins',
+    manual: 'Ask Me',
+};
+
+/** Number of changes pulled or pushed per request */
+const BATCH_SIZE = 500;
+
+/** Web Lock name that keeps tabs from syncing at the same time */
+const SYNC_LOCK = 'cost-manager-sync';
+
+/**
+ * Sends a JSON request to the sync server
+ * @param {{endpoint: string, token: string}} config - Server URL and optional bearer token
+ * @param {string} path - Path below the endpoint, starting with `/`
+ * @param {RequestInit} [options] - Fetch options
+ * @returns {Promise<Object>} A promise that resolves with the parsed response
+ * @throws {Error} When the server cannot be reached or responds with an error status
+ */
+const request = async (config, path, options = {}) => {
+    const response = await fetch(`${config.endpoint.replace(/\/+$/, '')}${path}`, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(config.token && { Authorization: `Bearer ${config.token}` }),
+        },
+    });
+    if (!response.ok) {
+        throw new Error(t('The sync server responded with {status}', { status: response.status }));
+    }
+    return response.json();
+};
+
+/**
+ * Builds the stored record of a pulled change
+ * @param {Object} change - Change pulled from the server
+ * @param {number} [id] - Local key of the record it replaces
+ * @returns {Object} Expense record
+ */
+const toRecord = (change, id) => ({
+    ...change.record,
+    syncId: change.syncId,
+    updatedAt: change.updatedAt,
+    ...(id !== undefined && { id }),
+});
+
+/**
+ * Checks whether a pulled change is the pending change itself, pushed by an earlier sync
+ * whose outbox cleanup did not happen
+ * @param {Object} entry - Pending outbox entry
+ * @param {Object} change - Change pulled from the server
+ * @returns {boolean} True when both describe the same write
+ */
+const isSameChange = (entry, change) =>
+    entry.updatedAt === change.updatedAt
+    && entry.deleted === change.deleted
+    && JSON.stringify(entry.record) === JSON.stringify(change.record);
+
+/**
+ * Writes a pulled change to the expenses store, inside an untracked transaction
+ * Unless forced, changes older than the local record are ignored; deleted records lose their attachments
+ * Two devices can generate the same recurring occurrence under different syncIds; the unique
+ * recurrence index only allows one, so every device keeps the one with the smaller syncId
+ * @param {Object<string, IDBObjectStore>} stores - The `expenses`, `outbox` and `attachments` stores
+ * @param {Object} change - Change pulled from the server
+ * @param {boolean} force - Whether to apply the change even when the local record is newer
+ * @param {function(): void} [onApplied] - Called once the change is written
+ * @returns {void}
+ */
+const applyChange = (stores, change, force, onApplied = () => {}) => {
+    const lookup = stores.expenses.index('syncId').get(change.syncId);
+    lookup.onsuccess = () => {
+        const local = lookup.result;
+        if (local && !force && (local.updatedAt > change.updatedAt || (!change.deleted && local.updatedAt === change.updatedAt))) {
+            return;
+        }
+        if (change.deleted) {
+            if (!local) return;
+            stores.expenses.delete(local.id);
+            deleteAttachmentsOf(stores.attachments, [local.id]);
+            onApplied();
+            return;
+        }
+        if (local || !change.record.recurrence) {
+            stores.expenses.put(toRecord(change, local?.id));
+            onApplied();
+            return;
+        }
+        const twin = stores.expenses.index('recurrence').get(change.record.recurrence);
+        twin.onsuccess = () => {
+            const existing = twin.result;
+            if (!existing) {
+                stores.expenses.put(toRecord(change));
+                onApplied();
+            } else if (change.syncId < existing.syncId) {
+                stores.expenses.put(toRecord(change, existing.id));
+                onApplied();
+                stores.outbox.put({
+                    syncId: existing.syncId,
+                    store: 'expenses',
+                    record: null,
+                    deleted: true,
+                    updatedAt: Date.now(),
+                });
+            }
+        };
+    };
+};
+
+/**
+ * Applies one batch of pulled changes against the pending local changes
+ * @param {Array<Object>} changes - Changes pulled from the server
+ * @param {string} mode - Conflict resolution mode, a SYNC_MODES key
+ * @returns {Promise<{applied: number, conflicts: number}>} A promise that resolves once committed
+ */
+const applyBatch = (changes, mode) =>
+    expenseDB.transaction(['expenses', 'outbox', 'attachments'], 'readwrite', (stores) => {
+        const counts = { applied: 0, conflicts: 0 };
+        const countApplied = () => {
+            counts.applied += 1;
+        };
+        changes.filter((change) => change.store === 'expenses').forEach((change) => {
+            const pending = stores.outbox.get(change.syncId);
+            pending.onsuccess = () => {
+                const entry = pending.result;
+                if (!entry) {
+                    applyChange(stores, change, false, countApplied);
+                } else if (!entry.conflict && isSameChange(entry, change)) {
+                    /* The server already has this exact change from an earlier push */
+                    stores.outbox.delete(change.syncId);
+                } else if (mode === 'manual') {
+                    stores.outbox.put({ ...entry, conflict: change });
+                    counts.conflicts += 1;
+                } else if (change.updatedAt > entry.updatedAt) {
+                    applyChange(stores, change, true, countApplied);
+                    stores.outbox.delete(change.syncId);
+                }
+            };
+        });
+        return counts;
+    }, { track: false });
+
+/**
+ * Pulls every change made after the stored cursor, saving the cursor after each batch
+ * @param {{endpoint: string, token: string}} config - Server URL and optional bearer token
+ * @param {number} since - Cursor of the last pulled change
+ * @param {string} mode - Conflict resolution mode, a SYNC_MODES key
+ * @returns {Promise<{applied: number, conflicts: number}>} Counts of applied and conflicting changes
+ */
+const pullChanges = async (config, since, mode) => {
+    const totals = { applied: 0, conflicts: 0 };
+    let cursor = since;
+    for (let more = true; more;) {
+        const response = await request(config, `/changes?since=${encodeURIComponent(cursor)}&limit=${BATCH_SIZE}`);
+        const counts = await applyBatch(response.changes, mode);
+        totals.applied += counts.applied;
+        totals.conflicts += counts.conflicts;
+        cursor = response.cursor;
+        more = response.more && response.changes.length > 0;
+        await saveSetting('syncCursor', cursor);
+    }
+    return totals;
+};
+
+/**
+ * Pushes the pending changes that are not in conflict, removing those the server accepted
+ * Entries changed again while their push was under way stay queued for the next sync
+ * @param {{endpoint: string, token: string}} config - Server URL and optional bearer token
+ * @returns {Promise<number>} Number of changes the server accepted
+ */
+const pushChanges = async (config) => {
+    const entries = (await outboxDB.getAll()).filter((entry) => !entry.conflict);
+    let pushed = 0;
+    for (let start = 0; start < entries.length; start += BATCH_SIZE) {
+        const batch = entries.slice(start, start + BATCH_SIZE);
+        const { accepted = [] } = await request(config, '/changes', {
+            method: 'POST',
+            body: JSON.stringify({
+                changes: batch.map(({ syncId, store, record, deleted, updatedAt }) => ({ syncId, store, record, deleted, updatedAt })),
+            }),
+        });
+        await expenseDB.transaction('outbox', 'readwrite', ({ outbox }) => {
+            batch.filter((entry) => accepted.includes(entry.syncId)).forEach((sent) => {
+                const current = outbox.get(sent.syncId);
+                current.onsuccess = () => {
+                    if (current.result && !current.result.conflict && current.result.updatedAt === sent.updatedAt) {
+                        outbox.delete(sent.syncId);
+                    }
+                };
+            });
+        });
+        pushed += accepted.length;
+    }
+    return pushed;
+};
+
+/**
+ * Pulls and then pushes changes with the configured server
+ * Only one tab syncs at a time where Web Locks are supported; the outbox keeps every change
+ * that could not be pushed, so a failed sync is simply retried later
+ * @returns {Promise<{applied: number, conflicts: number, pushed: number, lastSyncedAt: number}>}
+ * A promise that resolves with what the sync did
+ * @throws {Error} When sync is not configured or the server cannot be reached
+ */
+export const syncNow = async () => {
+    const run = async () => {
+        const settings = await loadSettings();
+        if (!settings.syncEndpoint) {
+            throw new Error('Sync is not configured');
+        }
+        const config = { endpoint: settings.syncEndpoint, token: settings.syncToken };
+        const pulled = await pullChanges(config, settings.syncCursor, settings.syncMode);
+        const pushed = await pushChanges(config);
+        const lastSyncedAt = Date.now();
+        await saveSetting('lastSyncedAt', lastSyncedAt);
+        return { ...pulled, pushed, lastSyncedAt };
+    };
+    return navigator.locks ? navigator.locks.request(SYNC_LOCK, run) : run();
+};
+
+/**
+ * Queues every stored expense for the next push, replacing the outbox
+ * Used when sync starts with a server, which has none of the local changes yet
+ * @returns {Promise<void>}
+ */
+const queueAllExpenses = () =>
+    expenseDB.transaction(['expenses', 'outbox'], 'readwrite', ({ expenses, outbox }) => {
+        outbox.clear();
+        const request = expenses.getAll();
+        request.onsuccess = () => request.result.forEach((expense) => {
+            const record = { ...expense };
+            delete record.id;
+            outbox.put({ syncId: expense.syncId, store: 'expenses', record, deleted: false, updatedAt: expense.updatedAt });
+        });
+    }, { track: false });
+
+/**
+ * Saves the sync settings; switching to another server starts over from its first change
+ * and queues every local expense for it
+ * @param {{syncEndpoint: string, syncToken: string, syncMode: string}} config - New settings,
+ * with an empty endpoint to turn sync off
+ * @param {Object} current - Current settings
+ * @returns {Promise<Object>} A promise that resolves with the changed settings
+ */
+export const configureSync = async (config, current) => {
+    const changed = { ...config };
+    if (config.syncEndpoint && config.syncEndpoint !== current.syncEndpoint) {
+        await queueAllExpenses();
+        changed.syncCursor = 0;
+        changed.lastSyncedAt = null;
+    }
+    await Promise.all(Object.entries(changed).map(([key, value]) => saveSetting(key, value)));
+    return changed;
+};
+
+/**
+ * Counts the changes waiting to be pushed
+ * @returns {Promise<number>} A promise that resolves with the outbox size
+ */
+export const countPending = () => outboxDB.count();
+
+/**
+ * Loads the pending changes that conflict with a change pulled from the server
+ * @returns {Promise<Array<Object>>} Outbox entries whose `conflict` holds the server's change
+ */
+export const loadConflicts = async () => (await outboxDB.getAll()).filter((entry) => entry.conflict);
+
+/**
+ * Resolves a conflict by keeping the local change or the server's change
+ * Keeping the local change makes it the newest one, so the server accepts it on the next push
+ * @param {Object} entry - Conflicting outbox entry
+ * @param {'local' | 'server'} keep - Which side to keep
+ * @returns {Promise<void>}
+ */
+export const resolveConflict = (entry, keep) =>
+    expenseDB.transaction(['expenses', 'outbox', 'attachments'], 'readwrite', (stores) => {
+        if (keep === 'server') {
+            applyChange(stores, entry.conflict, true);
+            stores.outbox.delete(entry.syncId);
+            return;
+        }
+        const updatedAt = Date.now();
+        const resolved = { ...entry, updatedAt, record: entry.record && { ...entry.record, updatedAt } };
+        delete resolved.conflict;
+        stores.outbox.put(resolved);
+        const lookup = stores.expenses.index('syncId').get(entry.syncId);
+        lookup.onsuccess = () => {
+            if (lookup.result) stores.expenses.put({ ...lookup.result, updatedAt });
+        };
+    }, { track: false });
@@ -0,0 +1,86 @@
+import {useEffect, useMemo, useRef} from 'react';
+import {Chart} from 'chart.js/auto';
+import {useTheme} from '@mui/material/styles';
+import {Box, Typography} from '@mui/material';
+import {formatMoney} from './money';
+import {themeChart} from './styles';
+import {tagTotals} from './tags';
+import {getLanguage, localizeChart, t} from './i18n';
+
+/** Color of the tag bars */
+const BAR_COLOR = '#0066cc';
+
+/**
+ * Spending per tag of the listed expenses, as horizontal bars
+ * Expenses with several tags count towards each of them, so the bars may add up to more than the total
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.expenses - Expenses matching the active filter
+ * @param {string} props.baseCurrency - Currency the totals are shown in
+ * @param {function(Object): (number|null)} props.toBase - Converts an expense to the base currency
+ * @returns {JSX.Element} TagChart component
+ */
+const TagChart = ({ expenses, baseCurrency, toBase }) => {
+    const canvasRef = useRef(null);
+    const chartRef = useRef(null);
+    const totals = useMemo(() => tagTotals(expenses, toBase), [expenses, toBase]);
+    const language = getLanguage();
+    const theme = useTheme();
+
+    /**
+     * Creates the chart on first render and updates it in place afterwards
+     * @returns {void}
+     */
+    useEffect(() => {
+        const data = {
+            labels: totals.map(({ tag }) => tag),
+            datasets: [{ label: t('Spending'), data: totals.map(({ total }) => total), backgroundColor: BAR_COLOR }],
+        };
+        const tooltipLabel = (context) => formatMoney(context.raw || 0, baseCurrency);
+        const tickLabel = (value) => formatMoney(value, baseCurrency);
+
+        if (chartRef.current) {
+            chartRef.current.data = data;
+            chartRef.current.options.plugins.tooltip.callbacks.label = tooltipLabel;
+            chartRef.current.options.scales.x.ticks.callback = tickLabel;
+            localizeChart(chartRef.current.options);
+            themeChart(chartRef.current.options, theme);
+            chartRef.current.update();
+            return;
+        }
+        chartRef.current = new Chart(canvasRef.current.getContext('2d'), {
+            type: 'bar',
+            data,
+            options: themeChart(localizeChart({
+                indexAxis: 'y',
+                responsive: true,
+                scales: {
+                    x: { beginAtZero: true, ticks: { callback: tickLabel } },
+                    y: {},
+                },
+                plugins: {
+                    legend: { display: false },
+                    tooltip: { callbacks: { label: tooltipLabel } },
+                },
+            }), theme),
+        });
+    }, [totals, baseCurrency, language, theme]);
+
+    /* Destroy the chart when the view unmounts */
+    useEffect(() => () => {
+        chartRef.current?.destroy();
+        chartRef.current = null;
+    }, []);
+
+    return (
+        <Box>
+            <Typography variant='h6'>{t('By Tag')}</Typography>
+            {totals.length === 0 && (
+                <Typography variant='body2' style={{ color: 'gray' }}>{t('No tagged expenses')}</Typography>
+            )}
+            <canvas ref={canvasRef} id='tagChart'></canvas>
+        </Box>
+    );
+};
+
+export default TagChart;
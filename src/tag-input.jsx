@@ -0,0 +1,34 @@
+import {Autocomplete, Chip} from '@mui/material';
+import {StyledTextField} from './styles';
+import {normalizeTags} from './tags';
+import {t} from './i18n';
+
+/**
+ * Tags field of the expense form, suggesting tags already in use while allowing new ones
+ * A typed tag is added on Enter or when the field loses focus
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<string>} props.value - Tags of the expense
+ * @param {Array<string>} props.options - Tags in use, offered as suggestions
+ * @param {Function} props.onChange - Called with the normalized tags
+ * @returns {JSX.Element} TagInput component
+ */
+const TagInput = ({ value, options, onChange }) => (
+    <Autocomplete
+        multiple
+        freeSolo
+        autoSelect
+        options={options}
+        value={value}
+        onChange={(e, tags) => onChange(normalizeTags(tags))}
+        renderTags={(tags, getTagProps) => tags.map((tag, index) => {
+            const { key, ...tagProps } = getTagProps({ index });
+            return <Chip key={key} size='small' label={tag} {...tagProps}/>;
+        })}
+        renderInput={(params) => (
+            <StyledTextField {...params} margin='normal' label={t('Tags')} placeholder={t('e.g. berlin trip')}/>
+        )}
+    />
+);
+
+export default TagInput;
@@ -0,0 +1,58 @@
+/**
+ * Tags on expenses, for questions a single category cannot answer, such as the cost of a trip
+ * Expenses carry zero or more tags in `tags`, trimmed, lowercase and without duplicates;
+ * the multi-entry `tags` index lists every expense once under each of its tags
+ * @module tags
+ */
+
+import {expenseDB} from './db';
+import {isIncome} from './expenses';
+
+/**
+ * Cleans up tags typed by the user
+ * @param {Array<string>} tags - Tags as entered
+ * @returns {Array<string>} Trimmed, lowercase tags without empty entries or duplicates
+ */
+export const normalizeTags = (tags) => [...new Set(tags.map((tag) => String(tag).trim().toLowerCase()).filter(Boolean))];
+
+/**
+ * Reads tags from comma-separated text, as in CSV files
+ * @param {string} text - Comma-separated tags
+ * @returns {Array<string>} Normalized tags
+ */
+export const parseTags = (text) => normalizeTags(String(text ?? '').split(','));
+
+/**
+ * Lists every tag in use through the tags index
+ * @returns {Promise<Array<string>>} A promise that resolves with the tags in alphabetical order
+ */
+export const loadTags = () => expenseDB.getIndexKeys('tags');
+
+/**
+ * Loads the expenses with a tag through the tags index, newest first
+ * @param {string} tag - Tag to look up
+ * @param {[string, string]|null} bounds - Inclusive first and last date, or null for all time
+ * @returns {Promise<Array<Object>>} A promise that resolves with the tagged expenses in the range
+ */
+export const loadTaggedExpenses = async (tag, bounds) =>
+    (await expenseDB.getAllByIndex('tags', tag))
+        .filter((expense) => !bounds || (expense.date >= bounds[0] && expense.date <= bounds[1]))
+        .sort((a, b) => b.date.localeCompare(a.date) || b.id - a.id);
+
+/**
+ * Sums spending per tag; an expense with several tags counts fully towards each of them
+ * @param {Array<Object>} expenses - Expenses to sum
+ * @param {function(Object): (number|null)} toBase - Converts an expense to the base currency
+ * @returns {Array<{tag: string, total: number}>} Totals in minor units of the base currency, highest first
+ */
+export const tagTotals = (expenses, toBase) => {
+    const totals = {};
+    expenses.filter((expense) => !isIncome(expense)).forEach((expense) => {
+        (expense.tags ?? []).forEach((tag) => {
+            totals[tag] = (totals[tag] ?? 0) + (toBase(expense) ?? 0);
+        });
+    });
+    return Object.entries(totals)
+        .map(([tag, total]) => ({ tag, total }))
+        .sort((a, b) => b.total - a.total || a.tag.localeCompare(b.tag));
+};
@@ -0,0 +1,34 @@
+/**
+ * Tests of tag cleanup and the spending per tag of the tag chart
+ */
+
+import {describe, expect, it} from 'vitest';
+import {normalizeTags, parseTags, tagTotals} from './tags';
+
+describe('normalizeTags', () => {
+    it('trims, lowercases and removes empty and repeated tags', () => {
+        expect(normalizeTags([' Trip ', 'trip', '', 'Food'])).toEqual(['trip', 'food']);
+        expect(parseTags('a, B ,,a')).toEqual(['a', 'b']);
+        expect(parseTags(undefined)).toEqual([]);
+    });
+});
+
+describe('tagTotals', () => {
+    it('counts an expense towards each of its tags, leaving income out, highest first', () => {
+        const expenses = [
+            { amount: 1000, tags: ['trip', 'food'] },
+            { amount: 500, tags: ['trip'] },
+            { amount: 200, tags: ['b'] },
+            { amount: 200, tags: ['a'] },
+            { amount: 9000 },
+            { amount: 7000, tags: ['trip'], kind: 'income' },
+        ];
+
+        expect(tagTotals(expenses, (expense) => expense.amount)).toEqual([
+            { tag: 'trip', total: 1500 },
+            { tag: 'food', total: 1000 },
+            { tag: 'a', total: 200 },
+            { tag: 'b', total: 200 },
+        ]);
+    });
+});
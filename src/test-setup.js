@@ -0,0 +1,31 @@
+/**
+ * Test environment shared by every test file
+ * Installs an in-memory IndexedDB and fills in the browser APIs jsdom lacks, so the
+ * data layer and the components run headless in Node
+ * Every test file gets a fresh module graph and therefore an empty database
+ * @module test-setup
+ */
+
+import 'fake-indexeddb/auto';
+import {afterEach, vi} from 'vitest';
+import {cleanup, configure} from '@testing-library/react';
+
+/* Unmount rendered components after every test */
+afterEach(cleanup);
+
+/* A render of the whole app in jsdom can take seconds, far longer than the default wait of the find and waitFor helpers */
+configure({ asyncUtilTimeout: 15000 });
+
+/* jsdom has no media queries; the app asks for the preferred color scheme */
+window.matchMedia = (query) => ({
+    matches: false,
+    media: query,
+    addEventListener: () => {},
+    removeEventListener: () => {},
+});
+
+/* jsdom does not draw on canvases; tests that render charts stub Chart.js, which ignores the context */
+HTMLCanvasElement.prototype.getContext = () => ({});
+
+/* Open channels would keep the test process alive; without BroadcastChannel the wrapper skips cross-tab messages */
+vi.stubGlobal('BroadcastChannel', undefined);
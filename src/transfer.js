@@ -0,0 +1,328 @@
+/**
+ * CSV and JSON import/export of expenses
+ * Exports cover all expenses or a single month; imports are validated row by row with the
+ * same rules as the add form and checked for duplicates before anything is written
+ * @module transfer
+ */
+
+import {expenseDB} from './db';
+import {LEGACY_CURRENCY, SCHEMA} from './schema';
+import {isValidDate, loadMonthExpenses, validateExpense} from './expenses';
+import {isCurrencyCode} from './currency';
+import {amountToInput, parseAmount, toMinorUnits} from './money';
+import {parseAttachments} from './attachments';
+import {parseTags} from './tags';
+
+/** Expense fields that can be exported and mapped to CSV columns on import */
+export const CSV_FIELDS = ['date', 'amount', 'currency', 'category', 'description', 'tags', 'notes'];
+
+/** Column headers used when exporting CSV */
+export const FIELD_LABELS = {
+    date: 'Date',
+    amount: 'Amount',
+    currency: 'Currency',
+    category: 'Category',
+    description: 'Description',
+    tags: 'Tags',
+    notes: 'Notes',
+};
+
+/** Identifies JSON files produced by this app */
+const BACKUP_FORMAT = 'CostManagerApp';
+
+/**
+ * Quotes a CSV cell when it contains separators, quotes or line breaks
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+const escapeCSV = (value) => {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializes expenses to CSV, using category labels for readability
+ * @param {Array<Object>} expenses - Expenses to export
+ * @param {Array<Object>} categories - Known categories
+ * @returns {string} CSV text with a header row
+ */
+export const toCSV = (expenses, categories) => {
+    const label = (key) => categories.find((c) => c.key === key)?.label ?? key;
+    const lines = [
+        CSV_FIELDS.map((field) => FIELD_LABELS[field]),
+        ...expenses.map((expense) => [
+            expense.date,
+            amountToInput(expense.amount, expense.currency),
+            expense.currency,
+            label(expense.category),
+            expense.description,
+            (expense.tags ?? []).join(', '),
+            expense.notes ?? '',
+        ]),
+    ];
+    return lines.map((line) => line.map(escapeCSV).join(',')).join('\r\n');
+};
+
+/**
+ * Parses CSV text into rows of cells, honoring quoted cells with embedded separators
+ * @param {string} text - CSV text
+ * @returns {Array<string[]>} Parsed rows, without empty lines
+ */
+export const parseCSV = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    row.push(cell);
+    rows.push(row);
+    return rows.filter((cells) => cells.some((value) => value.trim() !== ''));
+};
+
+/**
+ * Guesses which CSV column holds each expense field from the header names
+ * @param {string[]} headers - Header row of the CSV file
+ * @returns {Object<string, number>} Column index per field, -1 when no column matches
+ */
+export const guessMapping = (headers) => {
+    const normalized = headers.map((header) => header.trim().toLowerCase());
+    return Object.fromEntries(CSV_FIELDS.map((field) => [
+        field,
+        normalized.findIndex((header) => header.includes(field) || header === FIELD_LABELS[field].toLowerCase()),
+    ]));
+};
+
+/**
+ * Converts a date cell to `YYYY-MM-DD`, accepting ISO dates and `DD/MM/YYYY` as shown in the list
+ * @param {string} value - Date cell
+ * @returns {string} Normalized date, or the trimmed input when it is not recognized
+ */
+export const normalizeDate = (value) => {
+    const text = String(value ?? '').trim();
+    const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    const dayFirst = text.match(/^(\d{1,2})[/.](\d{1,2})[/.](\d{4})$/);
+    const [year, month, day] = iso ? iso.slice(1) : dayFirst ? [dayFirst[3], dayFirst[2], dayFirst[1]] : [];
+    if (!year) return text;
+    const date = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+    return isValidDate(date) ? date : text;
+};
+
+/**
+ * Resolves a category cell to a category key by key or label, ignoring case
+ * @param {string} value - Category cell
+ * @param {Array<Object>} categories - Known categories
+ * @returns {string} Matching category key, or the trimmed input when unknown
+ */
+export const findCategoryKey = (value, categories) => {
+    const text = String(value ?? '').trim().toLowerCase();
+    const category = categories.find((c) => c.key.toLowerCase() === text || c.label.toLowerCase() === text);
+    return category ? category.key : text;
+};
+
+/**
+ * Builds expense records from CSV data rows using a column mapping
+ * @param {Array<string[]>} rows - CSV data rows, without the header
+ * @param {Object<string, number>} mapping - Column index per field
+ * @param {Array<Object>} categories - Known categories
+ * @param {string} defaultCurrency - Currency of rows without a currency column or value
+ * @returns {Array<Object>} Expense records, not yet validated; amounts are integer minor units,
+ * or null when the cell is not a positive decimal amount
+ */
+export const rowsToExpenses = (rows, mapping, categories, defaultCurrency) => rows.map((cells) => {
+    const cell = (field) => (mapping[field] >= 0 ? cells[mapping[field]] ?? '' : '');
+    const currency = String(cell('currency')).trim().toUpperCase() || defaultCurrency;
+    /* Currency symbols and thousands separators are dropped; a minus sign is kept so negative amounts fail */
+    const amount = String(cell('amount')).replace(/[^\d.-]/g, '');
+    const category = findCategoryKey(cell('category'), categories);
+    /* Rows filed under an income category are income */
+    const kind = categories.find((c) => c.key === category)?.kind;
+    const tags = parseTags(cell('tags'));
+    const notes = String(cell('notes')).trim();
+    return {
+        date: normalizeDate(cell('date')),
+        amount: parseAmount(amount, isCurrencyCode(currency) ? currency : defaultCurrency),
+        currency,
+        category,
+        description: String(cell('description')).trim(),
+        ...(kind && { kind }),
+        ...(tags.length > 0 && { tags }),
+        ...(notes && { notes }),
+    };
+});
+
+/**
+ * Creates a JSON backup of expenses, categories and exchange rates, tagged with the schema version
+ * @param {Array<Object>} expenses - Expenses to include
+ * @param {Array<Object>} categories - Categories to include
+ * @param {Array<Object>} rates - Exchange rates to include
+ * @param {Array<Object>} [attachments] - Attachments from `exportAttachments`, omitted to leave files out
+ * @returns {string} Pretty-printed JSON text
+ */
+export const createBackup = (expenses, categories, rates, attachments) => JSON.stringify({
+    format: BACKUP_FORMAT,
+    schemaVersion: SCHEMA.version,
+    exportedAt: new Date().toISOString(),
+    categories,
+    rates,
+    expenses,
+    ...(attachments && { attachments }),
+}, null, 2);
+
+/**
+ * Parses a JSON backup created by `createBackup`, upgrading records from older schema versions
+ * @param {string} text - JSON text
+ * @returns {{schemaVersion: number, categories: Array<Object>, rates: Array<Object>, expenses: Array<Object>,
+ * attachments: Array<Object>}} Backup contents, attachments decoded into records keyed to the backed up expense ids
+ * @throws {Error} When the file is not a backup of this app, was made by a newer version or has a damaged attachment
+ */
+export const parseBackup = (text) => {
+    let backup;
+    try {
+        backup = JSON.parse(text);
+    } catch {
+        throw new Error('The file is not valid JSON');
+    }
+    if (backup?.format !== BACKUP_FORMAT || !Array.isArray(backup.expenses)) {
+        throw new Error('The file is not a Cost Manager backup');
+    }
+    if (!Number.isInteger(backup.schemaVersion) || backup.schemaVersion > SCHEMA.version) {
+        throw new Error('The backup was made by a newer version of the app');
+    }
+    /* Upgrade expenses the way the v6 and v7 migrations upgrade stored records */
+    const upgrade = (expense) => {
+        const record = { currency: LEGACY_CURRENCY, ...expense };
+        return backup.schemaVersion < 7 && isCurrencyCode(record.currency)
+            ? { ...record, amount: toMinorUnits(record.amount, record.currency) }
+            : record;
+    };
+    return {
+        schemaVersion: backup.schemaVersion,
+        categories: Array.isArray(backup.categories) ? backup.categories : [],
+        rates: Array.isArray(backup.rates) ? backup.rates : [],
+        expenses: backup.expenses.map(upgrade),
+        attachments: Array.isArray(backup.attachments) ? parseAttachments(backup.attachments) : [],
+    };
+};
+
+/**
+ * Key used to detect the same expense entered twice
+ * @param {Object} expense - Expense record
+ * @returns {string} Key built from date, amount, currency, category and description
+ */
+const duplicateKey = (expense) => [
+    expense.date,
+    Number(expense.amount),
+    expense.currency,
+    expense.category,
+    String(expense.description).trim().toLowerCase(),
+].join('|');
+
+/**
+ * Validates imported expenses and flags duplicates of stored expenses or earlier rows
+ * Only stored expenses within the imported date span are read, through the date index
+ * @param {Array<Object>} records - Expense records to import
+ * @param {Array<Object>} categories - Known categories, including any the import adds
+ * @returns {Promise<Array<{line: number, expense: Object, error: (string|null), duplicate: boolean}>>}
+ * A per-row report, with `line` counting data rows from 1
+ */
+export const validateImport = async (records, categories) => {
+    const rows = records.map((expense, i) => ({
+        line: i + 1,
+        expense,
+        error: validateExpense(expense, categories),
+        duplicate: false,
+    }));
+    const dates = rows.filter((row) => !row.error).map((row) => row.expense.date).sort();
+    const existing = dates.length > 0 ? await expenseDB.getRange('date', dates[0], dates[dates.length - 1]) : [];
+    const seen = new Set(existing.map(duplicateKey));
+
+    rows.filter((row) => !row.error).forEach((row) => {
+        const key = duplicateKey(row.expense);
+        row.duplicate = seen.has(key);
+        seen.add(key);
+    });
+    return rows;
+};
+
+/**
+ * Writes imported expenses, and any categories, rates and attachments they need, in a single transaction
+ * @param {Array<Object>} expenses - Validated expenses; ids from a backup only link them to their attachments
+ * @param {Array<Object>} [newCategories=[]] - Categories to create before the expenses
+ * @param {Array<Object>} [rates=[]] - Exchange rates to create or replace
+ * @param {Array<Object>} [attachments=[]] - Attachments from a backup, keyed to the backed up expense ids
+ * @returns {Promise<Array<Object>>} A promise that resolves with the stored expenses and their new ids
+ * @throws {Error} When any write fails, in which case nothing is imported
+ */
+export const importExpenses = (expenses, newCategories = [], rates = [], attachments = []) =>
+    expenseDB.transaction(['expenses', 'categories', 'rates', 'attachments'], 'readwrite', (stores) => {
+        const stored = [];
+        newCategories.forEach((category) => stores.categories.put(category));
+        rates.forEach((rate) => stores.rates.put(rate));
+        expenses.forEach((expense) => {
+            const record = { ...expense };
+            delete record.id;
+            /* Imported rows become new records with their own sync identity */
+            delete record.syncId;
+            delete record.updatedAt;
+            const request = stores.expenses.add(record);
+            request.onsuccess = () => {
+                stored.push({ ...record, id: request.result });
+                attachments
+                    .filter((attachment) => expense.id !== undefined && attachment.expenseId === expense.id)
+                    .forEach((attachment) => stores.attachments.add({ ...attachment, expenseId: request.result }));
+            };
+        });
+        return stored;
+    });
+
+/**
+ * Loads the expenses to export, oldest first
+ * @param {string} [monthYear] - Month in `YYYY-MM` format, omitted to export everything
+ * @returns {Promise<Array<Object>>} A promise that resolves with the expenses to export
+ */
+export const loadExportExpenses = async (monthYear) => (monthYear
+    ? (await loadMonthExpenses(monthYear)).reverse()
+    : expenseDB.getAllByIndex('date'));
+
+/**
+ * Offers text content to the user as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File content
+ * @param {string} type - MIME type of the content
+ * @returns {void}
+ */
+export const downloadFile = (filename, content, type) => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+};
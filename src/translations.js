@@ -0,0 +1,934 @@
+/**
+ * Message catalogs, keyed by language and then by the English text of a message
+ * English only lists the messages whose wording depends on a count; every other English
+ * message is its own key. Messages with a `count` list their plural forms, for Hebrew also `two`
+ * @module translations
+ */
+
+export const TRANSLATIONS = {
+    en: {
+        '{count} Expense(s) Moved to Trash': {
+            one: '{count} Expense Moved to Trash',
+            other: '{count} Expenses Moved to Trash',
+        },
+        '{count} Expense(s) Moved to {target}': {
+            one: '{count} Expense Moved to {target}',
+            other: '{count} Expenses Moved to {target}',
+        },
+        '{count} Recurring Expense(s) Added': {
+            one: '{count} Recurring Expense Added',
+            other: '{count} Recurring Expenses Added',
+        },
+        '{count} expense(s) have no exchange rate to {currency} and are left out of the totals': {
+            one: '{count} expense has no exchange rate to {currency} and is left out of the totals',
+            other: '{count} expenses have no exchange rate to {currency} and are left out of the totals',
+        },
+        'Merged {count} Expense(s) Successfully!': {
+            one: 'Merged {count} Expense Successfully!',
+            other: 'Merged {count} Expenses Successfully!',
+        },
+        'Recurring Expense Saved, {count} Expense(s) Added!': {
+            one: 'Recurring Expense Saved, {count} Expense Added!',
+            other: 'Recurring Expense Saved, {count} Expenses Added!',
+        },
+        'Exported {count} Expense(s)': {
+            one: 'Exported {count} Expense',
+            other: 'Exported {count} Expenses',
+        },
+        'Imported {count} Expense(s) Successfully!': {
+            one: 'Imported {count} Expense Successfully!',
+            other: 'Imported {count} Expenses Successfully!',
+        },
+        'Import {count} Expense(s)': {
+            one: 'Import {count} Expense',
+            other: 'Import {count} Expenses',
+        },
+        '{count} duplicate(s)': {
+            one: '{count} duplicate',
+            other: '{count} duplicates',
+        },
+        '{count} error(s)': {
+            one: '{count} error',
+            other: '{count} errors',
+        },
+        '{count} new category(s)': {
+            one: '{count} new category',
+            other: '{count} new categories',
+        },
+        '{count} attachment(s)': {
+            one: '{count} attachment',
+            other: '{count} attachments',
+        },
+        'Over {count} day(s)': {
+            one: 'Over {count} day',
+            other: 'Over {count} days',
+        },
+        '{count} Expense(s) Restored': {
+            one: '{count} Expense Restored',
+            other: '{count} Expenses Restored',
+        },
+        'Delete {count} Expense(s) Permanently? This Cannot Be Undone.': {
+            one: 'Delete {count} Expense Permanently? This Cannot Be Undone.',
+            other: 'Delete {count} Expenses Permanently? This Cannot Be Undone.',
+        },
+        '{count} Expense(s) Deleted Permanently': {
+            one: '{count} Expense Deleted Permanently',
+            other: '{count} Expenses Deleted Permanently',
+        },
+        '{count} Sync Conflict(s) Need Your Decision': {
+            one: '{count} Sync Conflict Needs Your Decision',
+            other: '{count} Sync Conflicts Need Your Decision',
+        },
+        '{count} change(s) waiting': {
+            one: '{count} change waiting',
+            other: '{count} changes waiting',
+        },
+    },
+
+    de: {
+        /* App and expense form */
+        'Expense Tracker': 'Ausgaben-Tracker',
+        'Language': 'Sprache',
+        'Browser Default': 'Browser-Standard',
+        'Expense': 'Ausgabe',
+        'Income': 'Einnahme',
+        'Add New Expense': 'Neue Ausgabe hinzufügen',
+        'Add New Income': 'Neue Einnahme hinzufügen',
+        'Edit Expense': 'Ausgabe bearbeiten',
+        'Edit Income': 'Einnahme bearbeiten',
+        'Add Expense': 'Ausgabe hinzufügen',
+        'Add Income': 'Einnahme hinzufügen',
+        'Save Changes': 'Änderungen speichern',
+        'Expense Added Successfully!': 'Ausgabe erfolgreich hinzugefügt!',
+        'Income Added Successfully!': 'Einnahme erfolgreich hinzugefügt!',
+        'Expense Updated Successfully!': 'Ausgabe erfolgreich aktualisiert!',
+        'Income Updated Successfully!': 'Einnahme erfolgreich aktualisiert!',
+        'Amount': 'Betrag',
+        'Currency': 'Währung',
+        'Category': 'Kategorie',
+        'Description': 'Beschreibung',
+        'Notes': 'Notizen',
+        'Date': 'Datum',
+        'Tags': 'Tags',
+        'e.g. berlin trip': 'z. B. berlinreise',
+        'Cancel': 'Abbrechen',
+        'View Expenses': 'Ausgaben anzeigen',
+        'Income: {amount}': 'Einnahmen: {amount}',
+        'Spending: {amount}': 'Ausgaben: {amount}',
+        'Net: {amount}': 'Saldo: {amount}',
+        'Select All in View': 'Alle angezeigten auswählen',
+        'Select {description}': '{description} auswählen',
+        'No expenses for this period': 'Keine Ausgaben in diesem Zeitraum',
+        'No expenses match the filters': 'Keine Ausgaben entsprechen den Filtern',
+        'Paid by {name}': 'Bezahlt von {name}',
+        'Edit': 'Bearbeiten',
+        'Delete': 'Löschen',
+        'Expense Moved to Trash': 'Ausgabe in den Papierkorb verschoben',
+        '{count} Expense(s) Moved to Trash': {
+            one: '{count} Ausgabe in den Papierkorb verschoben',
+            other: '{count} Ausgaben in den Papierkorb verschoben',
+        },
+        '{count} Expense(s) Moved to {target}': {
+            one: '{count} Ausgabe nach {target} verschoben',
+            other: '{count} Ausgaben nach {target} verschoben',
+        },
+        '{count} Recurring Expense(s) Added': {
+            one: '{count} wiederkehrende Ausgabe hinzugefügt',
+            other: '{count} wiederkehrende Ausgaben hinzugefügt',
+        },
+        '{count} expense(s) have no exchange rate to {currency} and are left out of the totals': {
+            one: '{count} Ausgabe hat keinen Wechselkurs zu {currency} und fehlt in den Summen',
+            other: '{count} Ausgaben haben keinen Wechselkurs zu {currency} und fehlen in den Summen',
+        },
+        'This expense goes over budget:\n{details}\n\nSave it anyway?':
+            'Diese Ausgabe überschreitet das Budget:\n{details}\n\nTrotzdem speichern?',
+        'Failed to load attachments': 'Anhänge konnten nicht geladen werden',
+        'Failed to load categories': 'Kategorien konnten nicht geladen werden',
+        'Failed to load people': 'Personen konnten nicht geladen werden',
+        'Failed to generate recurring expenses': 'Wiederkehrende Ausgaben konnten nicht erzeugt werden',
+        'Failed to load settings': 'Einstellungen konnten nicht geladen werden',
+        'Failed to load budgets': 'Budgets konnten nicht geladen werden',
+        'Failed to load expenses': 'Ausgaben konnten nicht geladen werden',
+        'Please close other tabs of this app to finish updating':
+            'Bitte schließen Sie andere Tabs dieser App, um die Aktualisierung abzuschließen',
+        'The app was updated in another tab, please reload':
+            'Die App wurde in einem anderen Tab aktualisiert, bitte neu laden',
+        'A new version of the app is available': 'Eine neue Version der App ist verfügbar',
+        'Reload': 'Neu laden',
+        'Undo': 'Rückgängig',
+
+        /* Validation */
+        'Amount Must Be Greater Than 0': 'Der Betrag muss größer als 0 sein',
+        'Description is required': 'Eine Beschreibung ist erforderlich',
+        'Date is required': 'Ein Datum ist erforderlich',
+        'Date is not a valid date': 'Das Datum ist ungültig',
+        'Start date is required': 'Ein Startdatum ist erforderlich',
+        'Start date is not a valid date': 'Das Startdatum ist ungültig',
+        'Please choose a valid category': 'Bitte wählen Sie eine gültige Kategorie',
+        'Currency must be a 3-letter code': 'Die Währung muss ein Code aus 3 Buchstaben sein',
+        'Transaction aborted': 'Transaktion abgebrochen',
+
+        /* Filters */
+        'Search Descriptions and Notes': 'Beschreibungen und Notizen durchsuchen',
+        'Period': 'Zeitraum',
+        'Month': 'Monat',
+        'Date Range': 'Datumsbereich',
+        'All Time': 'Gesamter Zeitraum',
+        'Select Month and Year': 'Monat und Jahr wählen',
+        'From': 'Von',
+        'To': 'Bis',
+        'All Categories': 'Alle Kategorien',
+        'Tag': 'Tag',
+        'All Tags': 'Alle Tags',
+        'Min ({currency})': 'Min. ({currency})',
+        'Max ({currency})': 'Max. ({currency})',
+        'Clear Filters': 'Filter zurücksetzen',
+
+        /* Selection */
+        '{count} selected': '{count} ausgewählt',
+        'Clear Selection': 'Auswahl aufheben',
+        'Delete Selected': 'Auswahl löschen',
+        'New Category': 'Neue Kategorie',
+        'Recategorize': 'Umkategorisieren',
+        'New Date': 'Neues Datum',
+        'Move': 'Verschieben',
+
+        /* Categories */
+        'Uncategorized': 'Ohne Kategorie',
+        'Food': 'Essen',
+        'Transportation': 'Verkehr',
+        'Utilities': 'Nebenkosten',
+        'Entertainment': 'Unterhaltung',
+        'Other': 'Sonstiges',
+        'Salary': 'Gehalt',
+        'Freelance': 'Freiberuflich',
+        'Gifts': 'Geschenke',
+        'Other Income': 'Sonstige Einnahmen',
+        '{name} (deleted)': '{name} (gelöscht)',
+        'Manage Categories': 'Kategorien verwalten',
+        'Label': 'Bezeichnung',
+        'Income Label': 'Bezeichnung (Einnahme)',
+        '(archived)': '(archiviert)',
+        'Color': 'Farbe',
+        'Save': 'Speichern',
+        'Archive': 'Archivieren',
+        'Restore': 'Wiederherstellen',
+        'Merge into': 'Zusammenführen mit',
+        'Merge': 'Zusammenführen',
+        'Type': 'Art',
+        'Add Category': 'Kategorie hinzufügen',
+        'Category name is required': 'Ein Kategoriename ist erforderlich',
+        'Category Added Successfully!': 'Kategorie erfolgreich hinzugefügt!',
+        'Category Updated Successfully!': 'Kategorie erfolgreich aktualisiert!',
+        'Category Deleted Successfully!': 'Kategorie erfolgreich gelöscht!',
+        'Move all expenses to the selected category and remove this one?':
+            'Alle Ausgaben in die gewählte Kategorie verschieben und diese entfernen?',
+        'Are You Sure You Want To Delete This Category?': 'Möchten Sie diese Kategorie wirklich löschen?',
+        'Merged {count} Expense(s) Successfully!': {
+            one: '{count} Ausgabe erfolgreich zusammengeführt!',
+            other: '{count} Ausgaben erfolgreich zusammengeführt!',
+        },
+
+        /* Budgets */
+        'Budgets': 'Budgets',
+        'Overall': 'Gesamt',
+        '{name}: {spent} of {limit}': '{name}: {spent} von {limit}',
+        '(incl. {amount} carried over)': '(inkl. {amount} Übertrag)',
+        'over by {amount}': '{amount} darüber',
+        'Monthly Budgets': 'Monatsbudgets',
+        'Budget For': 'Budget für',
+        'Monthly Amount ({currency})': 'Monatlicher Betrag ({currency})',
+        'Carry over unused amounts to the next month': 'Nicht genutzte Beträge in den nächsten Monat übertragen',
+        'Save Budget': 'Budget speichern',
+        'Remove': 'Entfernen',
+        '{name}: {amount} per month (since {month})': '{name}: {amount} pro Monat (seit {month})',
+        '{name}: {amount} per month, with carry-over (since {month})': '{name}: {amount} pro Monat, mit Übertrag (seit {month})',
+        'Budget Must Be Greater Than 0': 'Das Budget muss größer als 0 sein',
+        'Budget Saved Successfully!': 'Budget erfolgreich gespeichert!',
+        'Budget Removed Successfully!': 'Budget erfolgreich entfernt!',
+
+        /* Recurring expenses */
+        'Recurring Expenses': 'Wiederkehrende Ausgaben',
+        'Edit Recurring Expense': 'Wiederkehrende Ausgabe bearbeiten',
+        'Add Recurring Expense': 'Wiederkehrende Ausgabe hinzufügen',
+        'Repeats': 'Wiederholung',
+        'Daily': 'Täglich',
+        'Weekly': 'Wöchentlich',
+        'Monthly': 'Monatlich',
+        'Yearly': 'Jährlich',
+        'Start Date': 'Startdatum',
+        'End Date (optional)': 'Enddatum (optional)',
+        'Day of Month (defaults to the start day, last day in short months)':
+            'Tag im Monat (standardmäßig der Starttag, in kurzen Monaten der letzte Tag)',
+        'paused': 'pausiert',
+        'Next: {date}': 'Nächste: {date}',
+        'Skip': 'Überspringen',
+        'Pause': 'Pausieren',
+        'Resume': 'Fortsetzen',
+        'Please choose a valid frequency': 'Bitte wählen Sie eine gültige Wiederholung',
+        'End date must be on or after the start date': 'Das Enddatum darf nicht vor dem Startdatum liegen',
+        'Day of month must be between 1 and 31': 'Der Tag im Monat muss zwischen 1 und 31 liegen',
+        'Recurring Expense Saved!': 'Wiederkehrende Ausgabe gespeichert!',
+        'Recurring Expense Saved, {count} Expense(s) Added!': {
+            one: 'Wiederkehrende Ausgabe gespeichert, {count} Ausgabe hinzugefügt!',
+            other: 'Wiederkehrende Ausgabe gespeichert, {count} Ausgaben hinzugefügt!',
+        },
+        'Recurring Expense Paused': 'Wiederkehrende Ausgabe pausiert',
+        'Recurring Expense Resumed': 'Wiederkehrende Ausgabe fortgesetzt',
+        'Occurrence on {date} Skipped': 'Termin am {date} übersprungen',
+        'Stop this recurring expense? Expenses already added are kept.':
+            'Diese wiederkehrende Ausgabe beenden? Bereits hinzugefügte Ausgaben bleiben erhalten.',
+        'Recurring Expense Deleted': 'Wiederkehrende Ausgabe gelöscht',
+
+        /* Import and export */
+        'Import / Export': 'Import / Export',
+        'Export': 'Exportieren',
+        'All Expenses': 'Alle Ausgaben',
+        'Selected Month': 'Gewählter Monat',
+        'Include attachments in JSON backups': 'Anhänge in JSON-Sicherungen aufnehmen',
+        'Export CSV': 'CSV exportieren',
+        'Export JSON Backup': 'JSON-Sicherung exportieren',
+        'Import CSV or JSON': 'CSV oder JSON importieren',
+        'Column Mapping': 'Spaltenzuordnung',
+        '(not mapped)': '(nicht zugeordnet)',
+        'Column {number}': 'Spalte {number}',
+        'Preview': 'Vorschau',
+        'Check Rows': 'Zeilen prüfen',
+        'Import Report': 'Importbericht',
+        '{count} ready': '{count} bereit',
+        '{count} duplicate(s)': {
+            one: '{count} Duplikat',
+            other: '{count} Duplikate',
+        },
+        '{count} error(s)': {
+            one: '{count} Fehler',
+            other: '{count} Fehler',
+        },
+        '{count} new category(s)': {
+            one: '{count} neue Kategorie',
+            other: '{count} neue Kategorien',
+        },
+        '{count} attachment(s)': {
+            one: '{count} Anhang',
+            other: '{count} Anhänge',
+        },
+        'Row {line}: {problem}': 'Zeile {line}: {problem}',
+        'Duplicate of an existing expense, will be skipped': 'Duplikat einer vorhandenen Ausgabe, wird übersprungen',
+        'Import {count} Expense(s)': {
+            one: '{count} Ausgabe importieren',
+            other: '{count} Ausgaben importieren',
+        },
+        'Exported {count} Expense(s)': {
+            one: '{count} Ausgabe exportiert',
+            other: '{count} Ausgaben exportiert',
+        },
+        'Imported {count} Expense(s) Successfully!': {
+            one: '{count} Ausgabe erfolgreich importiert!',
+            other: '{count} Ausgaben erfolgreich importiert!',
+        },
+        'The CSV file has no data rows': 'Die CSV-Datei enthält keine Datenzeilen',
+        '(invalid amount)': '(ungültiger Betrag)',
+        'The file is not valid JSON': 'Die Datei ist kein gültiges JSON',
+        'The file is not a Cost Manager backup': 'Die Datei ist keine Cost-Manager-Sicherung',
+        'The backup was made by a newer version of the app': 'Die Sicherung stammt von einer neueren Version der App',
+        'The attachment {name} in the backup is damaged': 'Der Anhang {name} in der Sicherung ist beschädigt',
+
+        /* Currencies */
+        'Currencies': 'Währungen',
+        'Base Currency': 'Basiswährung',
+        '1 {from} in {to}': '1 {from} in {to}',
+        'Save Exchange Rate': 'Wechselkurs speichern',
+        'No exchange rates yet; expenses in other currencies are left out of totals':
+            'Noch keine Wechselkurse; Ausgaben in anderen Währungen fehlen in den Summen',
+        'Totals Are Now Shown in {currency}': 'Summen werden jetzt in {currency} angezeigt',
+        'Add an exchange rate between the two currencies first, so the budgets can be converted': 'Fügen Sie zuerst einen Wechselkurs zwischen den beiden Währungen hinzu, damit die Budgets umgerechnet werden können',
+        'Please choose a currency other than the base currency': 'Bitte wählen Sie eine andere Währung als die Basiswährung',
+        'Rate Must Be Greater Than 0': 'Der Kurs muss größer als 0 sein',
+        'Exchange Rate Saved Successfully!': 'Wechselkurs erfolgreich gespeichert!',
+        'Exchange Rate Deleted': 'Wechselkurs gelöscht',
+
+        /* Sync */
+        'Sync': 'Synchronisierung',
+        'Server URL': 'Server-URL',
+        'Access Token': 'Zugriffstoken',
+        'Conflicts': 'Konflikte',
+        'Last Write Wins': 'Letzte Änderung gewinnt',
+        'Ask Me': 'Nachfragen',
+        'Save Sync Settings': 'Synchronisierung speichern',
+        'Turn On Sync': 'Synchronisierung einschalten',
+        'Turn Off': 'Ausschalten',
+        'Last synced {time}': 'Zuletzt synchronisiert {time}',
+        'Not synced yet': 'Noch nicht synchronisiert',
+        '{count} change(s) waiting': {
+            one: '{count} Änderung ausstehend',
+            other: '{count} Änderungen ausstehend',
+        },
+        'Syncing...': 'Synchronisiere...',
+        'Sync Now': 'Jetzt synchronisieren',
+        '{error}; changes stay queued and are sent on the next sync':
+            '{error}; Änderungen bleiben vorgemerkt und werden bei der nächsten Synchronisierung gesendet',
+        'Yours: {record}': 'Ihre: {record}',
+        'Server: {record}': 'Server: {record}',
+        'Deleted': 'Gelöscht',
+        'Keep Mine': 'Meine behalten',
+        "Keep Server's": 'Server-Version behalten',
+        '{count} Sync Conflict(s) Need Your Decision': {
+            one: '{count} Synchronisierungskonflikt wartet auf Ihre Entscheidung',
+            other: '{count} Synchronisierungskonflikte warten auf Ihre Entscheidung',
+        },
+        'Synced: {received} Received, {sent} Sent': 'Synchronisiert: {received} empfangen, {sent} gesendet',
+        'Please enter an http(s) URL for the sync server': 'Bitte geben Sie eine http(s)-URL für den Server ein',
+        'Sync Settings Saved Successfully!': 'Synchronisierung erfolgreich gespeichert!',
+        'Sync Turned Off': 'Synchronisierung ausgeschaltet',
+        'Sync is not configured': 'Die Synchronisierung ist nicht eingerichtet',
+        'The sync server responded with {status}': 'Der Server antwortete mit {status}',
+
+        /* Trash */
+        'Trash': 'Papierkorb',
+        'Keep Deleted Expenses For (Days)': 'Gelöschte Ausgaben aufbewahren (Tage)',
+        'Failed to load the trash': 'Der Papierkorb konnte nicht geladen werden',
+        'The trash is empty': 'Der Papierkorb ist leer',
+        'Restore All': 'Alle wiederherstellen',
+        'Empty Trash': 'Papierkorb leeren',
+        'Deleted {time}': 'Gelöscht {time}',
+        '{count} Expense(s) Restored': {
+            one: '{count} Ausgabe wiederhergestellt',
+            other: '{count} Ausgaben wiederhergestellt',
+        },
+        'Delete {count} Expense(s) Permanently? This Cannot Be Undone.': {
+            one: '{count} Ausgabe endgültig löschen? Dies kann nicht rückgängig gemacht werden.',
+            other: '{count} Ausgaben endgültig löschen? Dies kann nicht rückgängig gemacht werden.',
+        },
+        '{count} Expense(s) Deleted Permanently': {
+            one: '{count} Ausgabe endgültig gelöscht',
+            other: '{count} Ausgaben endgültig gelöscht',
+        },
+        'Days Must Be a Whole Number From 1 to {max}': 'Die Tage müssen eine ganze Zahl von 1 bis {max} sein',
+        'Trash Setting Saved Successfully!': 'Papierkorb-Einstellung erfolgreich gespeichert!',
+
+        /* Shared expenses */
+        'Paid By': 'Bezahlt von',
+        'Not Shared': 'Nicht geteilt',
+        'Split': 'Aufteilung',
+        'Equally': 'Zu gleichen Teilen',
+        'By Percentage': 'Nach Prozent',
+        'By Exact Amounts': 'Nach genauen Beträgen',
+        'Shared by': 'Geteilt von',
+        'Please choose who paid': 'Bitte wählen Sie, wer bezahlt hat',
+        'Please choose who shares the expense': 'Bitte wählen Sie, wer die Ausgabe teilt',
+        'Percentages Must Be Greater Than 0': 'Die Prozentsätze müssen größer als 0 sein',
+        'Percentages must add up to 100': 'Die Prozentsätze müssen zusammen 100 ergeben',
+        'Amounts must add up to {amount}': 'Die Beträge müssen zusammen {amount} ergeben',
+        'Unknown person': 'Unbekannte Person',
+        'Please enter valid amounts for every person': 'Bitte geben Sie für jede Person einen gültigen Betrag ein',
+        'People & Balances': 'Personen & Salden',
+        'Name': 'Name',
+        'Add Person': 'Person hinzufügen',
+        'Failed to load balances': 'Salden konnten nicht geladen werden',
+        'Who Owes Whom': 'Wer schuldet wem',
+        'Everyone is settled up': 'Alle sind ausgeglichen',
+        '{name} is owed {amount}': '{name} bekommt {amount}',
+        '{name} owes {amount}': '{name} schuldet {amount}',
+        'Settle Up {currency}': '{currency} ausgleichen',
+        'Recent Reimbursements': 'Letzte Rückzahlungen',
+        '{from} paid {to} {amount}': '{from} hat {to} {amount} gezahlt',
+        '{from} pays {to} {amount}': '{from} zahlt {to} {amount}',
+        'Record these reimbursements?\n{details}': 'Diese Rückzahlungen erfassen?\n{details}',
+        '{currency} Balances Settled': 'Salden in {currency} ausgeglichen',
+        'Name is required': 'Ein Name ist erforderlich',
+        'A person with this name already exists': 'Eine Person mit diesem Namen existiert bereits',
+        'Person Added Successfully!': 'Person erfolgreich hinzugefügt!',
+        'Person Deleted': 'Person gelöscht',
+        'This person is part of shared expenses and cannot be deleted':
+            'Diese Person ist an geteilten Ausgaben beteiligt und kann nicht gelöscht werden',
+
+        /* Attachments */
+        'Attach Receipts': 'Belege anhängen',
+        '{name} ({size}, not saved yet)': '{name} ({size}, noch nicht gespeichert)',
+        'Storage used: {usage} of {quota}': 'Belegter Speicher: {usage} von {quota}',
+        'Open {name}': '{name} öffnen',
+        'Download': 'Herunterladen',
+        'Close': 'Schließen',
+        '{name} is not an image or PDF': '{name} ist kein Bild und kein PDF',
+        '{name} is larger than {size}': '{name} ist größer als {size}',
+        'Not enough storage space for {size} of attachments': 'Nicht genug Speicherplatz für {size} an Anhängen',
+
+        /* Reports and charts */
+        'Reports': 'Berichte',
+        'Last Months': 'Letzte Monate',
+        'Full Year': 'Ganzes Jahr',
+        'Months': 'Monate',
+        'Year': 'Jahr',
+        'Chart': 'Diagramm',
+        'Stacked Bars': 'Gestapelte Balken',
+        'Lines': 'Linien',
+        'Failed to load the report': 'Der Bericht konnte nicht geladen werden',
+        'Month over Month': 'Monatsvergleich',
+        'Top Descriptions': 'Häufigste Beschreibungen',
+        'No expenses in this period': 'Keine Ausgaben in diesem Zeitraum',
+        '{count}x': '{count}×',
+        'Averages': 'Durchschnitte',
+        'Per day: {amount}': 'Pro Tag: {amount}',
+        'Per week: {amount}': 'Pro Woche: {amount}',
+        'Over {count} day(s)': {
+            one: 'Über {count} Tag',
+            other: 'Über {count} Tage',
+        },
+        'This period has not started yet': 'Dieser Zeitraum hat noch nicht begonnen',
+        'Cash Flow': 'Cashflow',
+        'Balance': 'Saldo',
+        'Balance: {amount}': 'Saldo: {amount}',
+        'Spending': 'Ausgaben',
+        'Failed to load the cash flow': 'Der Cashflow konnte nicht geladen werden',
+        'By Tag': 'Nach Tag',
+        'No tagged expenses': 'Keine Ausgaben mit Tags',
+        'Week': 'Woche',
+        'Any Day of the Week': 'Beliebiger Tag der Woche',
+        '{from} to {to}': '{from} bis {to}',
+        'Preferences': 'Einstellungen',
+        'Preferences Saved': 'Einstellungen gespeichert',
+        'Theme': 'Design',
+        'System': 'System',
+        'Light': 'Hell',
+        'Dark': 'Dunkel',
+        'Default Category': 'Standardkategorie',
+        'First Active Category': 'Erste aktive Kategorie',
+        'Date new entries today': 'Neue Einträge auf heute datieren',
+        'First Day of the Week': 'Erster Tag der Woche',
+        'Currency Display': 'Währungsanzeige',
+        'Symbol ($)': 'Symbol ($)',
+        'Narrow Symbol': 'Schmales Symbol',
+        'Code (USD)': 'Code (USD)',
+        'Name (US dollars)': 'Name (US-Dollar)',
+    },
+
+    he: {
+        /* App and expense form */
+        'Expense Tracker': 'מעקב הוצאות',
+        'Language': 'שפה',
+        'Browser Default': 'ברירת המחדל של הדפדפן',
+        'Expense': 'הוצאה',
+        'Income': 'הכנסה',
+        'Add New Expense': 'הוספת הוצאה חדשה',
+        'Add New Income': 'הוספת הכנסה חדשה',
+        'Edit Expense': 'עריכת הוצאה',
+        'Edit Income': 'עריכת הכנסה',
+        'Add Expense': 'הוספת הוצאה',
+        'Add Income': 'הוספת הכנסה',
+        'Save Changes': 'שמירת השינויים',
+        'Expense Added Successfully!': 'ההוצאה נוספה בהצלחה!',
+        'Income Added Successfully!': 'ההכנסה נוספה בהצלחה!',
+        'Expense Updated Successfully!': 'ההוצאה עודכנה בהצלחה!',
+        'Income Updated Successfully!': 'ההכנסה עודכנה בהצלחה!',
+        'Amount': 'סכום',
+        'Currency': 'מטבע',
+        'Category': 'קטגוריה',
+        'Description': 'תיאור',
+        'Notes': 'הערות',
+        'Date': 'תאריך',
+        'Tags': 'תגיות',
+        'e.g. berlin trip': 'למשל טיול לברלין',
+        'Cancel': 'ביטול',
+        'View Expenses': 'הצגת הוצאות',
+        'Income: {amount}': 'הכנסות: {amount}',
+        'Spending: {amount}': 'הוצאות: {amount}',
+        'Net: {amount}': 'נטו: {amount}',
+        'Select All in View': 'בחירת כל המוצגים',
+        'Select {description}': 'בחירת {description}',
+        'No expenses for this period': 'אין הוצאות בתקופה זו',
+        'No expenses match the filters': 'אין הוצאות התואמות את המסננים',
+        'Paid by {name}': 'שולם על ידי {name}',
+        'Edit': 'עריכה',
+        'Delete': 'מחיקה',
+        'Expense Moved to Trash': 'ההוצאה הועברה לסל המחזור',
+        '{count} Expense(s) Moved to Trash': {
+            one: 'הוצאה אחת הועברה לסל המחזור',
+            two: 'שתי הוצאות הועברו לסל המחזור',
+            other: '{count} הוצאות הועברו לסל המחזור',
+        },
+        '{count} Expense(s) Moved to {target}': {
+            one: 'הוצאה אחת הועברה אל {target}',
+            two: 'שתי הוצאות הועברו אל {target}',
+            other: '{count} הוצאות הועברו אל {target}',
+        },
+        '{count} Recurring Expense(s) Added': {
+            one: 'נוספה הוצאה קבועה אחת',
+            two: 'נוספו שתי הוצאות קבועות',
+            other: 'נוספו {count} הוצאות קבועות',
+        },
+        '{count} expense(s) have no exchange rate to {currency} and are left out of the totals': {
+            one: 'להוצאה אחת אין שער חליפין ל-{currency} והיא אינה נכללת בסכומים',
+            two: 'לשתי הוצאות אין שער חליפין ל-{currency} והן אינן נכללות בסכומים',
+            other: 'ל-{count} הוצאות אין שער חליפין ל-{currency} והן אינן נכללות בסכומים',
+        },
+        'This expense goes over budget:\n{details}\n\nSave it anyway?':
+            'הוצאה זו חורגת מהתקציב:\n{details}\n\nלשמור בכל זאת?',
+        'Failed to load attachments': 'טעינת הקבצים המצורפים נכשלה',
+        'Failed to load categories': 'טעינת הקטגוריות נכשלה',
+        'Failed to load people': 'טעינת האנשים נכשלה',
+        'Failed to generate recurring expenses': 'יצירת ההוצאות הקבועות נכשלה',
+        'Failed to load settings': 'טעינת ההגדרות נכשלה',
+        'Failed to load budgets': 'טעינת התקציבים נכשלה',
+        'Failed to load expenses': 'טעינת ההוצאות נכשלה',
+        'Please close other tabs of this app to finish updating': 'יש לסגור לשוניות אחרות של היישום כדי לסיים את העדכון',
+        'The app was updated in another tab, please reload': 'היישום עודכן בלשונית אחרת, יש לטעון מחדש',
+        'A new version of the app is available': 'גרסה חדשה של היישום זמינה',
+        'Reload': 'טעינה מחדש',
+        'Undo': 'ביטול פעולה',
+
+        /* Validation */
+        'Amount Must Be Greater Than 0': 'הסכום חייב להיות גדול מ-0',
+        'Description is required': 'יש להזין תיאור',
+        'Date is required': 'יש להזין תאריך',
+        'Date is not a valid date': 'התאריך אינו תקין',
+        'Start date is required': 'יש להזין תאריך התחלה',
+        'Start date is not a valid date': 'תאריך ההתחלה אינו תקין',
+        'Please choose a valid category': 'יש לבחור קטגוריה תקינה',
+        'Currency must be a 3-letter code': 'המטבע חייב להיות קוד בן 3 אותיות',
+        'Transaction aborted': 'הפעולה בוטלה',
+
+        /* Filters */
+        'Search Descriptions and Notes': 'חיפוש בתיאורים ובהערות',
+        'Period': 'תקופה',
+        'Month': 'חודש',
+        'Date Range': 'טווח תאריכים',
+        'All Time': 'כל הזמן',
+        'Select Month and Year': 'בחירת חודש ושנה',
+        'From': 'מתאריך',
+        'To': 'עד תאריך',
+        'All Categories': 'כל הקטגוריות',
+        'Tag': 'תגית',
+        'All Tags': 'כל התגיות',
+        'Min ({currency})': 'מינימום ({currency})',
+        'Max ({currency})': 'מקסימום ({currency})',
+        'Clear Filters': 'ניקוי מסננים',
+
+        /* Selection */
+        '{count} selected': '{count} נבחרו',
+        'Clear Selection': 'ניקוי הבחירה',
+        'Delete Selected': 'מחיקת הנבחרים',
+        'New Category': 'קטגוריה חדשה',
+        'Recategorize': 'שינוי קטגוריה',
+        'New Date': 'תאריך חדש',
+        'Move': 'העברה',
+
+        /* Categories */
+        'Uncategorized': 'ללא קטגוריה',
+        'Food': 'מזון',
+        'Transportation': 'תחבורה',
+        'Utilities': 'חשבונות',
+        'Entertainment': 'בידור',
+        'Other': 'אחר',
+        'Salary': 'משכורת',
+        'Freelance': 'עבודה עצמאית',
+        'Gifts': 'מתנות',
+        'Other Income': 'הכנסה אחרת',
+        '{name} (deleted)': '{name} (נמחקה)',
+        'Manage Categories': 'ניהול קטגוריות',
+        'Label': 'שם',
+        'Income Label': 'שם (הכנסה)',
+        '(archived)': '(בארכיון)',
+        'Color': 'צבע',
+        'Save': 'שמירה',
+        'Archive': 'העברה לארכיון',
+        'Restore': 'שחזור',
+        'Merge into': 'מיזוג לתוך',
+        'Merge': 'מיזוג',
+        'Type': 'סוג',
+        'Add Category': 'הוספת קטגוריה',
+        'Category name is required': 'יש להזין שם קטגוריה',
+        'Category Added Successfully!': 'הקטגוריה נוספה בהצלחה!',
+        'Category Updated Successfully!': 'הקטגוריה עודכנה בהצלחה!',
+        'Category Deleted Successfully!': 'הקטגוריה נמחקה בהצלחה!',
+        'Move all expenses to the selected category and remove this one?': 'להעביר את כל ההוצאות לקטגוריה שנבחרה ולהסיר קטגוריה זו?',
+        'Are You Sure You Want To Delete This Category?': 'האם למחוק קטגוריה זו?',
+        'Merged {count} Expense(s) Successfully!': {
+            one: 'הוצאה אחת מוזגה בהצלחה!',
+            two: 'שתי הוצאות מוזגו בהצלחה!',
+            other: '{count} הוצאות מוזגו בהצלחה!',
+        },
+
+        /* Budgets */
+        'Budgets': 'תקציבים',
+        'Overall': 'כללי',
+        '{name}: {spent} of {limit}': '{name}: {spent} מתוך {limit}',
+        '(incl. {amount} carried over)': '(כולל {amount} שהועברו)',
+        'over by {amount}': 'חריגה של {amount}',
+        'Monthly Budgets': 'תקציבים חודשיים',
+        'Budget For': 'תקציב עבור',
+        'Monthly Amount ({currency})': 'סכום חודשי ({currency})',
+        'Carry over unused amounts to the next month': 'העברת יתרה שלא נוצלה לחודש הבא',
+        'Save Budget': 'שמירת התקציב',
+        'Remove': 'הסרה',
+        '{name}: {amount} per month (since {month})': '{name}: {amount} לחודש (מאז {month})',
+        '{name}: {amount} per month, with carry-over (since {month})': '{name}: {amount} לחודש, עם העברת יתרה (מאז {month})',
+        'Budget Must Be Greater Than 0': 'התקציב חייב להיות גדול מ-0',
+        'Budget Saved Successfully!': 'התקציב נשמר בהצלחה!',
+        'Budget Removed Successfully!': 'התקציב הוסר בהצלחה!',
+
+        /* Recurring expenses */
+        'Recurring Expenses': 'הוצאות קבועות',
+        'Edit Recurring Expense': 'עריכת הוצאה קבועה',
+        'Add Recurring Expense': 'הוספת הוצאה קבועה',
+        'Repeats': 'חזרה',
+        'Daily': 'יומי',
+        'Weekly': 'שבועי',
+        'Monthly': 'חודשי',
+        'Yearly': 'שנתי',
+        'Start Date': 'תאריך התחלה',
+        'End Date (optional)': 'תאריך סיום (רשות)',
+        'Day of Month (defaults to the start day, last day in short months)':
+            'יום בחודש (ברירת המחדל היא יום ההתחלה, היום האחרון בחודשים קצרים)',
+        'paused': 'מושהית',
+        'Next: {date}': 'הבא: {date}',
+        'Skip': 'דילוג',
+        'Pause': 'השהיה',
+        'Resume': 'חידוש',
+        'Please choose a valid frequency': 'יש לבחור תדירות תקינה',
+        'End date must be on or after the start date': 'תאריך הסיום חייב להיות בתאריך ההתחלה או אחריו',
+        'Day of month must be between 1 and 31': 'היום בחודש חייב להיות בין 1 ל-31',
+        'Recurring Expense Saved!': 'ההוצאה הקבועה נשמרה!',
+        'Recurring Expense Saved, {count} Expense(s) Added!': {
+            one: 'ההוצאה הקבועה נשמרה, נוספה הוצאה אחת!',
+            two: 'ההוצאה הקבועה נשמרה, נוספו שתי הוצאות!',
+            other: 'ההוצאה הקבועה נשמרה, נוספו {count} הוצאות!',
+        },
+        'Recurring Expense Paused': 'ההוצאה הקבועה הושהתה',
+        'Recurring Expense Resumed': 'ההוצאה הקבועה חודשה',
+        'Occurrence on {date} Skipped': 'המועד ב-{date} דולג',
+        'Stop this recurring expense? Expenses already added are kept.': 'להפסיק הוצאה קבועה זו? הוצאות שכבר נוספו יישמרו.',
+        'Recurring Expense Deleted': 'ההוצאה הקבועה נמחקה',
+
+        /* Import and export */
+        'Import / Export': 'ייבוא / ייצוא',
+        'Export': 'ייצוא',
+        'All Expenses': 'כל ההוצאות',
+        'Selected Month': 'החודש שנבחר',
+        'Include attachments in JSON backups': 'הכללת קבצים מצורפים בגיבויי JSON',
+        'Export CSV': 'ייצוא CSV',
+        'Export JSON Backup': 'ייצוא גיבוי JSON',
+        'Import CSV or JSON': 'ייבוא CSV או JSON',
+        'Column Mapping': 'מיפוי עמודות',
+        '(not mapped)': '(לא ממופה)',
+        'Column {number}': 'עמודה {number}',
+        'Preview': 'תצוגה מקדימה',
+        'Check Rows': 'בדיקת שורות',
+        'Import Report': 'דוח ייבוא',
+        '{count} ready': '{count} מוכנות',
+        '{count} duplicate(s)': {
+            one: 'כפילות אחת',
+            two: 'שתי כפילויות',
+            other: '{count} כפילויות',
+        },
+        '{count} error(s)': {
+            one: 'שגיאה אחת',
+            two: 'שתי שגיאות',
+            other: '{count} שגיאות',
+        },
+        '{count} new category(s)': {
+            one: 'קטגוריה חדשה אחת',
+            two: 'שתי קטגוריות חדשות',
+            other: '{count} קטגוריות חדשות',
+        },
+        '{count} attachment(s)': {
+            one: 'קובץ מצורף אחד',
+            two: 'שני קבצים מצורפים',
+            other: '{count} קבצים מצורפים',
+        },
+        'Row {line}: {problem}': 'שורה {line}: {problem}',
+        'Duplicate of an existing expense, will be skipped': 'כפילות של הוצאה קיימת, תדולג',
+        'Import {count} Expense(s)': {
+            one: 'ייבוא הוצאה אחת',
+            two: 'ייבוא שתי הוצאות',
+            other: 'ייבוא {count} הוצאות',
+        },
+        'Exported {count} Expense(s)': {
+            one: 'יוצאה הוצאה אחת',
+            two: 'יוצאו שתי הוצאות',
+            other: 'יוצאו {count} הוצאות',
+        },
+        'Imported {count} Expense(s) Successfully!': {
+            one: 'הוצאה אחת יובאה בהצלחה!',
+            two: 'שתי הוצאות יובאו בהצלחה!',
+            other: '{count} הוצאות יובאו בהצלחה!',
+        },
+        'The CSV file has no data rows': 'בקובץ ה-CSV אין שורות נתונים',
+        '(invalid amount)': '(סכום לא תקין)',
+        'The file is not valid JSON': 'הקובץ אינו JSON תקין',
+        'The file is not a Cost Manager backup': 'הקובץ אינו גיבוי של Cost Manager',
+        'The backup was made by a newer version of the app': 'הגיבוי נוצר בגרסה חדשה יותר של היישום',
+        'The attachment {name} in the backup is damaged': 'הקובץ המצורף {name} בגיבוי פגום',
+
+        /* Currencies */
+        'Currencies': 'מטבעות',
+        'Base Currency': 'מטבע בסיס',
+        '1 {from} in {to}': '1 {from} ב-{to}',
+        'Save Exchange Rate': 'שמירת שער החליפין',
+        'No exchange rates yet; expenses in other currencies are left out of totals':
+            'אין עדיין שערי חליפין; הוצאות במטבעות אחרים אינן נכללות בסכומים',
+        'Totals Are Now Shown in {currency}': 'הסכומים מוצגים כעת ב-{currency}',
+        'Add an exchange rate between the two currencies first, so the budgets can be converted': 'יש להוסיף קודם שער חליפין בין שני המטבעות, כדי שניתן יהיה להמיר את התקציבים',
+        'Please choose a currency other than the base currency': 'יש לבחור מטבע שונה ממטבע הבסיס',
+        'Rate Must Be Greater Than 0': 'השער חייב להיות גדול מ-0',
+        'Exchange Rate Saved Successfully!': 'שער החליפין נשמר בהצלחה!',
+        'Exchange Rate Deleted': 'שער החליפין נמחק',
+
+        /* Sync */
+        'Sync': 'סנכרון',
+        'Server URL': 'כתובת השרת',
+        'Access Token': 'אסימון גישה',
+        'Conflicts': 'התנגשויות',
+        'Last Write Wins': 'השינוי האחרון קובע',
+        'Ask Me': 'לשאול אותי',
+        'Save Sync Settings': 'שמירת הגדרות הסנכרון',
+        'Turn On Sync': 'הפעלת סנכרון',
+        'Turn Off': 'כיבוי',
+        'Last synced {time}': 'סונכרן לאחרונה {time}',
+        'Not synced yet': 'טרם סונכרן',
+        '{count} change(s) waiting': {
+            one: 'שינוי אחד ממתין',
+            two: 'שני שינויים ממתינים',
+            other: '{count} שינויים ממתינים',
+        },
+        'Syncing...': 'מסנכרן...',
+        'Sync Now': 'סנכרון עכשיו',
+        '{error}; changes stay queued and are sent on the next sync': '{error}; השינויים נשמרים בתור ויישלחו בסנכרון הבא',
+        'Yours: {record}': 'שלך: {record}',
+        'Server: {record}': 'שרת: {record}',
+        'Deleted': 'נמחק',
+        'Keep Mine': 'שמירת הגרסה שלי',
+        "Keep Server's": 'שמירת גרסת השרת',
+        '{count} Sync Conflict(s) Need Your Decision': {
+            one: 'התנגשות סנכרון אחת ממתינה להחלטתך',
+            two: 'שתי התנגשויות סנכרון ממתינות להחלטתך',
+            other: '{count} התנגשויות סנכרון ממתינות להחלטתך',
+        },
+        'Synced: {received} Received, {sent} Sent': 'סונכרן: {received} התקבלו, {sent} נשלחו',
+        'Please enter an http(s) URL for the sync server': 'יש להזין כתובת http(s) לשרת הסנכרון',
+        'Sync Settings Saved Successfully!': 'הגדרות הסנכרון נשמרו בהצלחה!',
+        'Sync Turned Off': 'הסנכרון כובה',
+        'Sync is not configured': 'הסנכרון אינו מוגדר',
+        'The sync server responded with {status}': 'שרת הסנכרון השיב {status}',
+
+        /* Trash */
+        'Trash': 'סל המחזור',
+        'Keep Deleted Expenses For (Days)': 'שמירת הוצאות שנמחקו (ימים)',
+        'Failed to load the trash': 'טעינת סל המחזור נכשלה',
+        'The trash is empty': 'סל המחזור ריק',
+        'Restore All': 'שחזור הכול',
+        'Empty Trash': 'ריקון סל המחזור',
+        'Deleted {time}': 'נמחק {time}',
+        '{count} Expense(s) Restored': {
+            one: 'הוצאה אחת שוחזרה',
+            two: 'שתי הוצאות שוחזרו',
+            other: '{count} הוצאות שוחזרו',
+        },
+        'Delete {count} Expense(s) Permanently? This Cannot Be Undone.': {
+            one: 'למחוק הוצאה אחת לצמיתות? לא ניתן לבטל פעולה זו.',
+            two: 'למחוק שתי הוצאות לצמיתות? לא ניתן לבטל פעולה זו.',
+            other: 'למחוק {count} הוצאות לצמיתות? לא ניתן לבטל פעולה זו.',
+        },
+        '{count} Expense(s) Deleted Permanently': {
+            one: 'הוצאה אחת נמחקה לצמיתות',
+            two: 'שתי הוצאות נמחקו לצמיתות',
+            other: '{count} הוצאות נמחקו לצמיתות',
+        },
+        'Days Must Be a Whole Number From 1 to {max}': 'מספר הימים חייב להיות מספר שלם בין 1 ל-{max}',
+        'Trash Setting Saved Successfully!': 'הגדרת סל המחזור נשמרה בהצלחה!',
+
+        /* Shared expenses */
+        'Paid By': 'שולם על ידי',
+        'Not Shared': 'לא משותפת',
+        'Split': 'חלוקה',
+        'Equally': 'שווה בשווה',
+        'By Percentage': 'לפי אחוזים',
+        'By Exact Amounts': 'לפי סכומים מדויקים',
+        'Shared by': 'משותפת עם',
+        'Please choose who paid': 'יש לבחור מי שילם',
+        'Please choose who shares the expense': 'יש לבחור מי שותף בהוצאה',
+        'Percentages Must Be Greater Than 0': 'האחוזים חייבים להיות גדולים מ-0',
+        'Percentages must add up to 100': 'סכום האחוזים חייב להיות 100',
+        'Amounts must add up to {amount}': 'סכום הסכומים חייב להיות {amount}',
+        'Unknown person': 'אדם לא ידוע',
+        'Please enter valid amounts for every person': 'יש להזין סכום תקין לכל אדם',
+        'People & Balances': 'אנשים ויתרות',
+        'Name': 'שם',
+        'Add Person': 'הוספת אדם',
+        'Failed to load balances': 'טעינת היתרות נכשלה',
+        'Who Owes Whom': 'מי חייב למי',
+        'Everyone is settled up': 'כולם מסולקים',
+        '{name} is owed {amount}': '{name} זכאי ל-{amount}',
+        '{name} owes {amount}': '{name} חייב {amount}',
+        'Settle Up {currency}': 'סילוק חובות ב-{currency}',
+        'Recent Reimbursements': 'החזרים אחרונים',
+        '{from} paid {to} {amount}': '{from} שילם ל{to} {amount}',
+        '{from} pays {to} {amount}': '{from} משלם ל{to} {amount}',
+        'Record these reimbursements?\n{details}': 'לרשום את ההחזרים האלה?\n{details}',
+        '{currency} Balances Settled': 'היתרות ב-{currency} סולקו',
+        'Name is required': 'יש להזין שם',
+        'A person with this name already exists': 'כבר קיים אדם בשם זה',
+        'Person Added Successfully!': 'האדם נוסף בהצלחה!',
+        'Person Deleted': 'האדם נמחק',
+        'This person is part of shared expenses and cannot be deleted': 'אדם זה שותף בהוצאות משותפות ולא ניתן למחוק אותו',
+
+        /* Attachments */
+        'Attach Receipts': 'צירוף קבלות',
+        '{name} ({size}, not saved yet)': '{name} ({size}, טרם נשמר)',
+        'Storage used: {usage} of {quota}': 'נפח בשימוש: {usage} מתוך {quota}',
+        'Open {name}': 'פתיחת {name}',
+        'Download': 'הורדה',
+        'Close': 'סגירה',
+        '{name} is not an image or PDF': '{name} אינו תמונה או PDF',
+        '{name} is larger than {size}': '{name} גדול מ-{size}',
+        'Not enough storage space for {size} of attachments': 'אין מספיק מקום אחסון ל-{size} של קבצים מצורפים',
+
+        /* Reports and charts */
+        'Reports': 'דוחות',
+        'Last Months': 'החודשים האחרונים',
+        'Full Year': 'שנה מלאה',
+        'Months': 'חודשים',
+        'Year': 'שנה',
+        'Chart': 'תרשים',
+        'Stacked Bars': 'עמודות מוערמות',
+        'Lines': 'קווים',
+        'Failed to load the report': 'טעינת הדוח נכשלה',
+        'Month over Month': 'השוואה חודשית',
+        'Top Descriptions': 'התיאורים המובילים',
+        'No expenses in this period': 'אין הוצאות בתקופה זו',
+        '{count}x': '×{count}',
+        'Averages': 'ממוצעים',
+        'Per day: {amount}': 'ליום: {amount}',
+        'Per week: {amount}': 'לשבוע: {amount}',
+        'Over {count} day(s)': {
+            one: 'במשך יום אחד',
+            two: 'במשך יומיים',
+            other: 'במשך {count} ימים',
+        },
+        'This period has not started yet': 'תקופה זו טרם החלה',
+        'Cash Flow': 'תזרים מזומנים',
+        'Balance': 'יתרה',
+        'Balance: {amount}': 'יתרה: {amount}',
+        'Spending': 'הוצאות',
+        'Failed to load the cash flow': 'טעינת תזרים המזומנים נכשלה',
+        'By Tag': 'לפי תגית',
+        'No tagged expenses': 'אין הוצאות עם תגיות',
+        'Week': 'שבוע',
+        'Any Day of the Week': 'יום כלשהו בשבוע',
+        '{from} to {to}': '{from} עד {to}',
+        'Preferences': 'העדפות',
+        'Preferences Saved': 'ההעדפות נשמרו',
+        'Theme': 'ערכת נושא',
+        'System': 'מערכת',
+        'Light': 'בהירה',
+        'Dark': 'כהה',
+        'Default Category': 'קטגוריית ברירת מחדל',
+        'First Active Category': 'הקטגוריה הפעילה הראשונה',
+        'Date new entries today': 'לתארך רשומות חדשות להיום',
+        'First Day of the Week': 'היום הראשון בשבוע',
+        'Currency Display': 'תצוגת מטבע',
+        'Symbol ($)': 'סמל ($)',
+        'Narrow Symbol': 'סמל מצומצם',
+        'Code (USD)': 'קוד (USD)',
+        'Name (US dollars)': 'שם (דולר אמריקאי)',
+    },
+};
@@ -0,0 +1,167 @@
+import {useEffect, useState} from 'react';
+import {Box, Paper, Typography} from '@mui/material';
+import {StyledButton, StyledTextField} from './styles';
+import {resolveCategory} from './categories';
+import {formatMoney} from './money';
+import {saveSetting} from './settings';
+import {formatDate, formatDateTime, t} from './i18n';
+import {loadTrash, purgeExpiredTrash, purgeTrash, restoreExpenses} from './trash';
+
+/** Longest retention offered, in days */
+const MAX_RETENTION_DAYS = 365;
+
+/**
+ * Trash panel: deleted expenses with restore and permanent delete, and the retention setting
+ * Expired entries are purged when the panel loads
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.categories - Known categories
+ * @param {number} props.retentionDays - Days deleted expenses are kept
+ * @param {*} props.reloadKey - Changes whenever expenses may have been deleted, which reloads the trash
+ * @param {Function} props.onRestored - Called with the restored expenses
+ * @param {Function} props.onRetentionChange - Called with the new retention once saved
+ * @param {Function} props.showMessage - Displays a status message to the user
+ * @returns {JSX.Element} TrashView component
+ */
+const TrashView = ({ categories, retentionDays, reloadKey, onRestored, onRetentionChange, showMessage }) => {
+    const [entries, setEntries] = useState([]);
+    const [retention, setRetention] = useState(String(retentionDays));
+    const [loadFailed, setLoadFailed] = useState(false);
+
+    useEffect(() => {
+        setRetention(String(retentionDays));
+    }, [retentionDays]);
+
+    /**
+     * Purges expired entries, then loads the trash
+     * @returns {void}
+     */
+    useEffect(() => {
+        let cancelled = false;
+        purgeExpiredTrash()
+            .then(loadTrash)
+            .then((loaded) => {
+                if (cancelled) return;
+                setEntries(loaded);
+                setLoadFailed(false);
+            })
+            .catch((error) => {
+                console.error('Error loading the trash:', error);
+                if (!cancelled) setLoadFailed(true);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [reloadKey, retentionDays]);
+
+    /**
+     * Moves trashed expenses back to the expense list
+     * @param {Array<number>} ids - Keys of the trashed expenses
+     * @returns {Promise<void>}
+     */
+    const restore = async (ids) => {
+        try {
+            const restored = await restoreExpenses(ids);
+            setEntries((prev) => prev.filter((entry) => !ids.includes(entry.id)));
+            onRestored(restored);
+            showMessage(t('{count} Expense(s) Restored', { count: restored.length }));
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+    };
+
+    /**
+     * Deletes trashed expenses for good, after confirmation
+     * @param {Array<number>} ids - Keys of the trashed expenses
+     * @returns {Promise<void>}
+     */
+    const purge = async (ids) => {
+        if (!window.confirm(t('Delete {count} Expense(s) Permanently? This Cannot Be Undone.', { count: ids.length }))) {
+            return;
+        }
+        try {
+            await purgeTrash(ids);
+            setEntries((prev) => prev.filter((entry) => !ids.includes(entry.id)));
+            showMessage(t('{count} Expense(s) Deleted Permanently', { count: ids.length }));
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+    };
+
+    /**
+     * Saves the number of days deleted expenses are kept
+     * @param {React.FormEvent<HTMLFormElement>} e - Form submission event
+     * @returns {Promise<void>}
+     */
+    const saveRetention = async (e) => {
+        e.preventDefault();
+        const days = Number(retention);
+        if (!Number.isInteger(days) || days < 1 || days > MAX_RETENTION_DAYS) {
+            showMessage(t('Days Must Be a Whole Number From 1 to {max}', { max: MAX_RETENTION_DAYS }), 'error');
+            return;
+        }
+        try {
+            await saveSetting('trashRetentionDays', days);
+            onRetentionChange(days);
+            showMessage('Trash Setting Saved Successfully!');
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+    };
+
+    return (
+        <Paper elevation={3} style={{ padding: '20px' }}>
+            <Typography variant='h5' gutterBottom>{t('Trash')}</Typography>
+            <form onSubmit={saveRetention}>
+                <Box display='flex' alignItems='center' gap={1}>
+                    <StyledTextField
+                        fullWidth
+                        margin='normal'
+                        label={t('Keep Deleted Expenses For (Days)')}
+                        type='number'
+                        value={retention}
+                        onChange={(e) => setRetention(e.target.value)}
+                        inputProps={{ min: 1, max: MAX_RETENTION_DAYS, step: 1 }}
+                        required
+                    />
+                    <StyledButton type='submit'>{t('Save')}</StyledButton>
+                </Box>
+            </form>
+
+            {loadFailed && (
+                <Typography variant='body1' style={{ color: 'red' }}>{t('Failed to load the trash')}</Typography>
+            )}
+
+            <Box mt={3}>
+                {entries.length === 0 ? (
+                    <Typography variant='body1' style={{ color: 'gray' }}>{t('The trash is empty')}</Typography>
+                ) : (
+                    <Box display='flex' gap={1} mb={2}>
+                        <StyledButton fullWidth onClick={() => restore(entries.map((entry) => entry.id))}>
+                            {t('Restore All')}
+                        </StyledButton>
+                        <StyledButton fullWidth variant='delete' onClick={() => purge(entries.map((entry) => entry.id))}>
+                            {t('Empty Trash')}
+                        </StyledButton>
+                    </Box>
+                )}
+                {entries.map((entry) => (
+                    <Box key={entry.id} display='flex' alignItems='center' gap={1} mb={1}>
+                        <Box flexGrow={1}>
+                            <Typography variant='body1' style={{ color: resolveCategory(categories, entry.category).color }}>
+                                {formatDate(entry.date)}: {formatMoney(entry.amount, entry.currency)} - {entry.description}
+                            </Typography>
+                            <Typography variant='body2' style={{ color: 'gray' }}>
+                                {t('Deleted {time}', { time: formatDateTime(entry.deletedAt) })}
+                            </Typography>
+                        </Box>
+                        <StyledButton onClick={() => restore([entry.id])}>{t('Restore')}</StyledButton>
+                        <StyledButton variant='delete' onClick={() => purge([entry.id])}>{t('Delete')}</StyledButton>
+                    </Box>
+                ))}
+            </Box>
+        </Paper>
+    );
+};
+
+export default TrashView;
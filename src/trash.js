@@ -0,0 +1,98 @@
+/**
+ * Trash bin for deleted expenses
+ * Deleting an expense moves it, stamped with `deletedAt`, from the expenses store to the trash
+ * store, where it stays until it is restored, purged by hand or purged automatically once it is
+ * older than the retention setting
+ * For sync the move is a delete; a restore writes the record back under its old syncId
+ * @module trash
+ */
+
+import {expenseDB, trashDB} from './db';
+import {loadSettings} from './settings';
+import {deleteAttachmentsOf} from './attachments';
+
+/** Milliseconds in a day */
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Moves expenses to the trash in one transaction, so either all of them move or none does
+ * @param {Array<number>} ids - Keys of the expenses to delete
+ * @returns {Promise<Array<Object>>} A promise that resolves with the trashed records
+ */
+export const trashExpenses = (ids) =>
+    expenseDB.transaction(['expenses', 'trash'], 'readwrite', ({ expenses, trash }) => {
+        const trashed = [];
+        const deletedAt = Date.now();
+        ids.forEach((id) => {
+            const request = expenses.get(id);
+            request.onsuccess = () => {
+                if (!request.result) return;
+                const record = { ...request.result, deletedAt };
+                trash.put(record);
+                expenses.delete(id);
+                trashed.push(record);
+            };
+        });
+        return trashed;
+    });
+
+/**
+ * Moves expenses from the trash back to the expense list under their old ids
+ * @param {Array<number>} ids - Keys of the trashed expenses
+ * @returns {Promise<Array<Object>>} A promise that resolves with the restored expenses
+ * @throws {Error} When a restored expense clashes with one generated again since, e.g. the
+ * same recurring occurrence; nothing is restored then
+ */
+export const restoreExpenses = (ids) =>
+    expenseDB.transaction(['expenses', 'trash'], 'readwrite', ({ expenses, trash }) => {
+        const restored = [];
+        ids.forEach((id) => {
+            const request = trash.get(id);
+            request.onsuccess = () => {
+                if (!request.result) return;
+                const expense = { ...request.result };
+                delete expense.deletedAt;
+                expenses.put(expense);
+                trash.delete(id);
+                restored.push(expense);
+            };
+        });
+        return restored;
+    });
+
+/**
+ * Loads the trash, most recently deleted first
+ * @returns {Promise<Array<Object>>} A promise that resolves with the trashed records
+ */
+export const loadTrash = () => trashDB.getPage({ indexName: 'deletedAt', direction: 'prev' });
+
+/**
+ * Deletes trashed expenses and their attachments for good
+ * @param {Array<number>} ids - Keys of the trashed expenses
+ * @returns {Promise<void>} A promise that resolves once they are gone
+ */
+export const purgeTrash = (ids) =>
+    expenseDB.transaction(['trash', 'attachments'], 'readwrite', ({ trash, attachments }) => {
+        ids.forEach((id) => trash.delete(id));
+        deleteAttachmentsOf(attachments, ids);
+    });
+
+/**
+ * Deletes the trashed expenses that are older than the retention setting, with their attachments
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {Promise<number>} A promise that resolves with the number of purged expenses
+ */
+export const purgeExpiredTrash = async (now = Date.now()) => {
+    const { trashRetentionDays } = await loadSettings();
+    const cutoff = now - trashRetentionDays * DAY;
+    return expenseDB.transaction(['trash', 'attachments'], 'readwrite', ({ trash, attachments }) => {
+        const expired = { count: 0 };
+        const request = trash.index('deletedAt').getAllKeys(IDBKeyRange.upperBound(cutoff, true));
+        request.onsuccess = () => {
+            request.result.forEach((id) => trash.delete(id));
+            deleteAttachmentsOf(attachments, request.result);
+            expired.count = request.result.length;
+        };
+        return expired;
+    }).then(({ count }) => count);
+};
@@ -0,0 +1,36 @@
+import {Snackbar} from '@mui/material';
+import {StyledButton} from './styles';
+import {t} from './i18n';
+
+/** Milliseconds the undo offer stays on screen */
+const UNDO_DURATION = 6000;
+
+/**
+ * Snackbar that reports a deletion and offers to undo it until it hides
+ * @component
+ * @param {Object} props - Component props
+ * @param {{text: string, ids: Array<number>}|null} props.action - Last deletion, or null when there is nothing to undo
+ * @param {Function} props.onUndo - Called when the user clicks Undo
+ * @param {Function} props.onClose - Called when the snackbar hides
+ * @returns {JSX.Element} UndoSnackbar component
+ */
+const UndoSnackbar = ({ action, onUndo, onClose }) => (
+    <Snackbar
+        /* A new deletion remounts the snackbar, which restarts its timer */
+        key={action?.ids.join()}
+        open={action !== null}
+        autoHideDuration={UNDO_DURATION}
+        onClose={(event, reason) => {
+            if (reason !== 'clickaway') onClose();
+        }}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+        message={action?.text}
+        action={(
+            <StyledButton size='small' onClick={onUndo}>
+                {t('Undo')}
+            </StyledButton>
+        )}
+    />
+);
+
+export default UndoSnackbar;
@@ -0,0 +1,34 @@
+import {useEffect, useState} from 'react';
+import {Snackbar} from '@mui/material';
+import {StyledButton} from './styles';
+import {activateUpdate, registerServiceWorker} from './pwa';
+import {t} from './i18n';
+
+/**
+ * Registers the service worker and offers a reload when a new version has been deployed
+ * @component
+ * @returns {JSX.Element} UpdatePrompt component
+ */
+const UpdatePrompt = () => {
+    const [waitingWorker, setWaitingWorker] = useState(null);
+
+    useEffect(() => {
+        registerServiceWorker(setWaitingWorker)
+            .catch((error) => console.error('Error registering the service worker:', error));
+    }, []);
+
+    return (
+        <Snackbar
+            open={waitingWorker !== null}
+            anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+            message={t('A new version of the app is available')}
+            action={(
+                <StyledButton size='small' onClick={() => activateUpdate(waitingWorker)}>
+                    {t('Reload')}
+                </StyledButton>
+            )}
+        />
+    );
+};
+
+export default UpdatePrompt;
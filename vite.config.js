@@ -4,9 +4,53 @@
  * @see {@link https://vite.dev/config/}
  */
 
+import { createHash } from 'node:crypto'
+import { readFileSync, readdirSync } from 'node:fs'
+import { join, relative, sep } from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+/**
+ * Lists the files in a directory and its subdirectories
+ * @param {string} dir - Directory to list
+ * @returns {string[]} Paths relative to `dir`, with forward slashes
+ */
+const listFiles = (dir) => readdirSync(dir, { withFileTypes: true, recursive: true })
+  .filter((entry) => entry.isFile())
+  .map((entry) => relative(dir, join(entry.parentPath ?? entry.path, entry.name)).split(sep).join('/'))
+
+/**
+ * Emits `sw.js` from `src/service-worker.js` with the precache list of the build
+ * The version is a hash of the emitted file names, which Vite makes content-hashed, and
+ * of the page itself, so every deploy that changes anything gets a new cache
+ * Paths are relative to the worker, so they follow the base path
+ * @returns {import('vite').Plugin} Build-only plugin
+ */
+const serviceWorker = () => {
+  let publicDir
+
+  return {
+    name: 'cost-manager-service-worker',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(config) {
+      publicDir = config.publicDir
+    },
+    generateBundle(_, bundle) {
+      const files = [...Object.keys(bundle), ...listFiles(publicDir)]
+        .filter((file) => !file.endsWith('.map'))
+        .sort()
+      const hash = createHash('sha256')
+      files.forEach((file) => hash.update(file))
+      hash.update(bundle['index.html'].source)
+      const build = { version: hash.digest('hex').slice(0, 12), files }
+      const source = readFileSync(new URL('./src/service-worker.js', import.meta.url), 'utf8')
+        .replace('__SW_BUILD__;', `${JSON.stringify(build)};`)
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    },
+  }
+}
+
 /**
  * Vite configuration object
  * @type {import('vite').UserConfig}
@@ -16,8 +60,9 @@ export default defineConfig({
    * Plugins configuration
    * @property {Array} plugins - List of Vite plugins
    * @property {Function} plugins[].react - React plugin for Vite
+   * @property {Function} plugins[].serviceWorker - Generates the offline service worker on build
    */
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
 
   /**
    * Base public path
@@ -25,4 +70,17 @@ export default defineConfig({
    * @property {string} base - The base URL path for the application
    */
   base: '/CostManegerApp/',
-})
\ No newline at end of file
+
+  /**
+   * Test configuration for Vitest
+   * Tests run headless in Node, against an in-memory IndexedDB and a jsdom document
+   * @property {string} environment - DOM implementation the tests run in
+   * @property {string[]} setupFiles - Runs before every test file, see `src/test-setup.js`
+   * @property {number} testTimeout - Milliseconds a test may take; rendering the whole app in jsdom is slow
+   */
+  test: {
+    environment: 'jsdom',
+    setupFiles: ['./src/test-setup.js'],
+    testTimeout: 60000,
+  },
+})